@@ -3,15 +3,20 @@
  * CFA Institute - Vanilla JavaScript Implementation
  * 
  * This calculator demonstrates yield-to-maturity calculations for coupon bonds
- * using numerical methods (bisection) to solve for the internal rate of return.
+ * using a bracketing root-finder (safeguarded Newton / Brent) to solve for the
+ * internal rate of return.
  * Built with accessibility (WCAG 2.1 AA) and maintainability in mind.
  */
 
 import { state, setState, subscribe } from './ytm-modules/state.js';
-import { calculateBondYTMMetrics } from './ytm-modules/calculations.js';
+import { calculateBondYTMMetrics, estimatePriceChange, calculateEffectiveMeasures, INSTRUMENT_TYPES } from './ytm-modules/calculations.js';
 import { 
   validateAllInputs, 
   validateField, 
+  validateDates,
+  validateExerciseSchedule,
+  validatePrincipalSchedule,
+  validateForwardPath,
   updateFieldError, 
   updateValidationSummary,
   hasErrors 
@@ -29,6 +34,25 @@ import { renderChart, shouldShowLabels, destroyChart } from './ytm-modules/chart
 import { renderTable } from './ytm-modules/table.js';
 import { renderResults } from './ytm-modules/results.js';
 import { renderDynamicEquation } from './ytm-modules/equation.js';
+import { addMonths, formatISODate, parseISODate } from './ytm-modules/schedule.js';
+import { yearFraction, accrualFractions } from './ytm-modules/day-count.js';
+import { rollToBusinessDay } from './ytm-modules/calendar.js';
+import { renderScheduleEditor } from './ytm-modules/schedule-editor.js';
+import { setupYieldConverter } from './ytm-modules/converter.js';
+import { setupMoneyMarketPanel } from './ytm-modules/money-market-panel.js';
+import { setupCashFlowEditor } from './ytm-modules/cash-flow-editor.js';
+import { setupCurvePanel } from './ytm-modules/curve-panel.js';
+import { renderRateTree } from './ytm-modules/tree-view.js';
+import { setupKeyRateView, renderKeyRateDurations } from './ytm-modules/key-rate-view.js';
+import { setupHorizonPanel, updateHorizonPanel } from './ytm-modules/horizon-panel.js';
+import { calculateIRR } from './ytm-modules/irr.js';
+import { nominalFromRealYield } from './ytm-modules/inflation.js';
+import { bootstrapSpotCurve, parYieldAt, buildSpotCurve, forwardRateBetween, discountFactorAt } from './ytm-modules/curve.js';
+import { interpolateRate } from './ytm-modules/spreads.js';
+import { KEY_RATE_YEARS, keyRateWeight } from './ytm-modules/key-rates.js';
+import { calculateHorizonReturn } from './ytm-modules/horizon.js';
+import { calculateMoneyMarketYields } from './ytm-modules/money-market.js';
+import { convertYield } from './ytm-modules/yield-conversion.js';
 
 // =============================================================================
 // INITIALIZATION
@@ -43,8 +67,62 @@ function init() {
   // Set up input event listeners
   setupInputListeners();
   
+  // Set up the instrument, solve-for selector, coupon frequency, term mode, date and day-count inputs
+  setupInstrumentTypeSelect();
+  setupSolveForSelect();
+  setupFrequencySelect();
+  setupTermModeToggle();
+  setupDateInputs();
+  setupDayCountSelect();
+  setupStubTypeSelect();
+  
+  // Set up the call, put and sinking-fund schedule editors
+  renderOptionScheduleEditors();
+  setupPrincipalInputs();
+  setupFloatingRateInputs();
+  
+  // Set up the standalone yield converter (can start from the solved YTM)
+  setupYieldConverter(() => {
+    const calculations = state.ytmCalculations;
+    if (!calculations || calculations.bondEquivalentYield === null) return null;
+    return { rate: calculations.bondEquivalentYield, periodicity: state.frequency };
+  });
+  
+  // Set up the money-market instruments panel
+  setupMoneyMarketPanel();
+  
+  // Set up the spot-rate curve panel (the bond is priced off its curve and
+  // measured against its government and swap curves)
+  setupCurvePanel((curves) => {
+    setState(curves);
+    updateCalculations();
+  });
+  
+  // Set up the key rate durations chart / table toggle
+  setupKeyRateView();
+  
+  // Set up the horizon analysis (holding period, reinvestment rate and horizon yield)
+  setupHorizonPanel();
+  
+  // Set up the custom cash-flow editor (can start from the bond's own flows;
+  // a perpetual's flows never end, so there is nothing finite to copy, and an
+  // inflation-linked bond copies its indexed flows)
+  setupCashFlowEditor(() => {
+    const calculations = state.ytmCalculations;
+    if (!calculations || state.instrumentType === 'perpetual') return null;
+    const cashFlows = calculations.inflationLinked?.cashFlows ?? calculations.cashFlows;
+    return {
+      flows: cashFlows.map(cf => ({
+        time: Number(cf.timeYears.toFixed(6)),
+        amount: Number(cf.totalCashFlow.toFixed(6))
+      })),
+      frequency: state.frequency
+    };
+  });
+  
   // Set up view toggle listeners
   setupViewToggle();
+  setupRedemptionToggle();
   
   // Set up skip link handlers
   setupSkipLinks();
@@ -115,7 +193,15 @@ function setupInputListeners() {
   const inputs = [
     { id: 'bond-price', field: 'bondPrice' },
     { id: 'coupon-payment', field: 'couponPayment' },
-    { id: 'years', field: 'years' }
+    { id: 'years', field: 'years' },
+    { id: 'face-value', field: 'faceValue' },
+    { id: 'yield-rate', field: 'yieldRate' },
+    { id: 'reference-rate', field: 'referenceRate' },
+    { id: 'quoted-margin', field: 'quotedMargin' },
+    { id: 'index-ratio', field: 'indexRatio' },
+    { id: 'inflation-rate', field: 'inflationRate' },
+    { id: 'comparable-yield', field: 'comparableYield' },
+    { id: 'rate-volatility', field: 'rateVolatility' }
   ];
   
   inputs.forEach(({ id, field }) => {
@@ -138,10 +224,14 @@ function setupInputListeners() {
         delete errors[field];
       }
       
-      setState({
-        [field]: value,
-        errors
-      });
+      setState({ [field]: value });
+      
+      // Call dates are checked against the maturity
+      if (field === 'years') {
+        applyScheduleValidation(errors);
+      }
+      
+      setState({ errors });
       
       // Update validation summary
       updateValidationSummary(errors);
@@ -161,11 +251,641 @@ function setupInputListeners() {
   });
 }
 
+/**
+ * Input field for each variable the calculator can solve for
+ */
+const SOLVE_FOR_FIELDS = {
+  yieldRate: 'yield-rate',
+  bondPrice: 'bond-price',
+  couponPayment: 'coupon-payment',
+  years: 'years',
+  faceValue: 'face-value'
+};
+
+/**
+ * Set up the solve-for selector
+ */
+function setupSolveForSelect() {
+  const select = $('#solve-for');
+  if (!select) return;
+  
+  listen(select, 'change', () => applySolveFor(select.value));
+}
+
+/**
+ * Make one input the unknown: its field is locked and shows the solved value
+ * 
+ * The field being released keeps the last solved value as its input, the way
+ * a financial calculator's TVM registers do.
+ * 
+ * @param {string} variable - Key of SOLVE_FOR_FIELDS
+ */
+function applySolveFor(variable) {
+  const errors = { ...state.errors };
+  const updates = { solveFor: variable };
+  
+  Object.entries(SOLVE_FOR_FIELDS).forEach(([field, id]) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    // A zero-coupon bond's coupon stays locked at zero, a floating-rate note's at its current coupon
+    if (field === 'couponPayment' && (state.instrumentType === 'zero' || state.instrumentType === 'frn')) return;
+    
+    const isSolved = field === variable;
+    const wasSolved = input.disabled;
+    input.disabled = isSolved;
+    input.classList.toggle('solved-field', isSolved);
+    
+    if (isSolved) {
+      delete errors[field];
+      updateFieldError(id, null);
+    } else if (wasSolved) {
+      // With no solution to keep, fall back to the last value entered
+      if (input.value === '') input.value = String(state[field]);
+      const value = parseFloat(input.value);
+      const error = validateField(field, value);
+      updates[field] = value;
+      updateFieldError(id, error);
+      if (error) {
+        errors[field] = error;
+      } else {
+        delete errors[field];
+      }
+    }
+  });
+  
+  setState(updates);
+  applyScheduleValidation(errors);
+  setState({ errors });
+  updateValidationSummary(errors);
+  updateCalculations();
+}
+
+/**
+ * Show the solved value in the locked input field
+ * @param {Object} calculations - YTM calculations
+ */
+function showSolvedValue(calculations) {
+  const variable = state.solveFor;
+  const input = $(`#${SOLVE_FOR_FIELDS[variable]}`);
+  const solvedVariable = calculations.solved ? calculations.solved.variable : 'yieldRate';
+  if (!input || solvedVariable !== variable) return;
+  
+  const value = calculations.solved
+    ? calculations.solved.value
+    : calculations.bondEquivalentYield !== null ? calculations.bondEquivalentYield * 100 : null;
+  
+  input.value = value === null ? '' : Number(value.toFixed(variable === 'years' ? 2 : 4)).toString();
+}
+
+/**
+ * Show a floating-rate note's current coupon in the locked coupon field
+ * @param {Object} calculations - YTM calculations
+ */
+function showFloatingCoupon(calculations) {
+  const input = $('#coupon-payment');
+  if (!input || state.instrumentType !== 'frn' || !calculations.floatingRate) return;
+  
+  input.value = Number((calculations.couponPayment * state.frequency).toFixed(4)).toString();
+}
+
+/** Compounding periods per year for the Zero-coupon frequency choice */
+const ZERO_COUPON_FREQUENCY = 2;
+
+/**
+ * State updates for a coupon frequency choice
+ * 
+ * The Zero-coupon frequency predates the instrument type selector and is kept
+ * for anyone used to it: it now selects a zero-coupon bond compounded
+ * semiannually.
+ * 
+ * @param {string} value - Value of the frequency option
+ * @returns {Object} { frequency, instrumentType? }
+ */
+function frequencySelection(value) {
+  return value === 'zero'
+    ? { instrumentType: 'zero', frequency: ZERO_COUPON_FREQUENCY }
+    : { frequency: Number(value) };
+}
+
+/**
+ * Set up the coupon frequency selector
+ */
+function setupFrequencySelect() {
+  const select = $('#coupon-frequency');
+  if (!select) return;
+  
+  listen(select, 'change', () => {
+    const updates = frequencySelection(select.value);
+    setState(updates);
+    if (updates.instrumentType) {
+      select.value = String(updates.frequency);
+      const instrumentSelect = $('#instrument-type');
+      if (instrumentSelect) instrumentSelect.value = updates.instrumentType;
+      applyInstrumentToInputs();
+      announceToScreenReader(`${INSTRUMENT_TYPES[updates.instrumentType].label} selected`);
+    }
+    renderOptionScheduleEditors();
+    revalidateTerm();
+  });
+}
+
+/**
+ * Set up the instrument type selector (coupon, zero-coupon, perpetual or
+ * inflation-linked bond, or floating-rate note)
+ */
+function setupInstrumentTypeSelect() {
+  const select = $('#instrument-type');
+  if (!select) return;
+  
+  listen(select, 'change', () => {
+    setState({ instrumentType: select.value });
+    applyInstrumentToInputs();
+    revalidateTerm();
+    announceToScreenReader(`${INSTRUMENT_TYPES[select.value].label} selected`);
+  });
+}
+
+/**
+ * Match the inputs to the instrument type
+ * 
+ * A zero-coupon bond has no coupon to enter or solve for, and its frequency
+ * only sets how the yield compounds. A perpetual bond has no maturity, so the
+ * term, the face value and the call and put schedules do not apply. A
+ * floating-rate note's coupon comes from its reference rate and margin, and
+ * its frequency is how often the coupon resets.
+ */
+function applyInstrumentToInputs() {
+  const { instrumentType } = state;
+  const zeroCoupon = instrumentType === 'zero';
+  const perpetual = instrumentType === 'perpetual';
+  const floating = instrumentType === 'frn';
+  
+  const frequencyLabel = $('#coupon-frequency-label');
+  if (frequencyLabel) {
+    frequencyLabel.textContent = zeroCoupon ? 'Compounding:' : floating ? 'Reset frequency:' : 'Coupon frequency:';
+  }
+  
+  // A perpetual is always priced on its coupon alone, with no dates to enter
+  if (perpetual && state.termMode === 'dates') switchTermMode('years');
+  $('#term-mode-controls').style.display = perpetual ? 'none' : '';
+  $('#years-input-group').style.display = perpetual ? 'none' : '';
+  $('#stub-type-group').style.display = perpetual ? 'none' : '';
+  
+  applyScheduleVisibility();
+  applySolveForAvailability();
+  
+  const couponInput = $('#coupon-payment');
+  if (couponInput && state.solveFor !== 'couponPayment') {
+    couponInput.disabled = zeroCoupon || floating;
+    couponInput.value = zeroCoupon ? '0' : String(state.couponPayment);
+    
+    const errors = { ...state.errors };
+    const error = zeroCoupon || floating ? null : validateField('couponPayment', state.couponPayment);
+    updateFieldError('coupon-payment', error);
+    if (error) {
+      errors.couponPayment = error;
+    } else {
+      delete errors.couponPayment;
+    }
+    setState({ errors });
+  }
+}
+
+/**
+ * Set up the Years / Dates toggle for entering maturity
+ */
+function setupTermModeToggle() {
+  const yearsBtn = $('#term-years-btn');
+  const datesBtn = $('#term-dates-btn');
+  if (!yearsBtn || !datesBtn) return;
+  
+  listen(yearsBtn, 'click', () => switchTermMode('years'));
+  listen(datesBtn, 'click', () => switchTermMode('dates'));
+}
+
+/**
+ * Check whether the bond repays principal before maturity
+ * @returns {boolean} True for a coupon bond with a non-bullet principal schedule
+ */
+function isAmortizing() {
+  return state.instrumentType === 'coupon' && state.principalType !== 'bullet';
+}
+
+/**
+ * Check whether the bond can carry call and put schedules
+ * @returns {boolean} True for fixed-rate bullet bonds with a maturity
+ */
+function allowsEmbeddedOptions() {
+  return (state.instrumentType === 'coupon' || state.instrumentType === 'zero') && !isAmortizing();
+}
+
+/**
+ * Disable the solve-for options the current bond cannot solve for
+ * 
+ * Zero-coupon bonds have no coupon, perpetual bonds no maturity or face value,
+ * and a maturity cannot be solved for when it is fixed by dates or shapes an
+ * amortization schedule. A floating-rate note solves only for its yield and
+ * discount margin. A disabled selection falls back to the yield.
+ */
+function applySolveForAvailability() {
+  const solveForSelect = $('#solve-for');
+  if (!solveForSelect) return;
+  
+  const perpetual = state.instrumentType === 'perpetual';
+  const floating = state.instrumentType === 'frn';
+  const unavailable = {
+    bondPrice: floating,
+    couponPayment: state.instrumentType === 'zero' || floating,
+    years: perpetual || floating || state.termMode === 'dates' || isAmortizing(),
+    faceValue: perpetual || floating
+  };
+  Object.entries(unavailable).forEach(([variable, disabled]) => {
+    solveForSelect.querySelector(`option[value="${variable}"]`).disabled = disabled;
+  });
+  if (unavailable[state.solveFor]) {
+    solveForSelect.value = 'yieldRate';
+    applySolveFor('yieldRate');
+  }
+}
+
+/**
+ * Show the schedules that apply to the current bond
+ * 
+ * Principal repayment applies to coupon bonds; call and put schedules to
+ * fixed-rate bullet bonds with a maturity; the floating-rate terms to
+ * floating-rate notes; the indexation terms to inflation-linked bonds.
+ */
+function applyScheduleVisibility() {
+  const couponBond = state.instrumentType === 'coupon';
+  const floating = state.instrumentType === 'frn';
+  const showOptions = allowsEmbeddedOptions();
+  
+  $('#floating-rate-fieldset').style.display = floating ? '' : 'none';
+  $('#inflation-linked-fieldset').style.display = state.instrumentType === 'linker' ? '' : 'none';
+  $('#forward-path-group').style.display = state.referencePathType === 'forward' ? '' : 'none';
+  $('#call-schedule-fieldset').style.display = showOptions ? '' : 'none';
+  $('#put-schedule-fieldset').style.display = showOptions ? '' : 'none';
+  $('#option-valuation-fieldset').style.display = showOptions ? '' : 'none';
+  $('#principal-schedule-fieldset').style.display = couponBond ? '' : 'none';
+  $('#custom-principal-group').style.display = state.principalType === 'custom' ? '' : 'none';
+  $('#sinking-fund-editor').style.display = state.principalType === 'sinking' ? '' : 'none';
+}
+
+/**
+ * Set up the principal repayment selector and custom repayment list
+ */
+function setupPrincipalInputs() {
+  const select = $('#principal-type');
+  const customInput = $('#custom-principal');
+  if (!select || !customInput) return;
+  
+  listen(select, 'change', () => {
+    setState({ principalType: select.value });
+    applyScheduleVisibility();
+    applySolveForAvailability();
+    revalidateTerm();
+    announceToScreenReader(`Principal repayment: ${select.options[select.selectedIndex].text}`);
+  });
+  
+  listen(customInput, 'input', debounce(() => {
+    setState({ customPrincipal: customInput.value });
+    revalidateTerm();
+  }, 300));
+}
+
+/**
+ * Set up the floating-rate note's reference-rate projection inputs
+ * (the reference rate and quoted margin are handled with the other numeric inputs)
+ */
+function setupFloatingRateInputs() {
+  const select = $('#reference-path-type');
+  const pathInput = $('#forward-path');
+  if (!select || !pathInput) return;
+  
+  listen(select, 'change', () => {
+    setState({ referencePathType: select.value });
+    applyScheduleVisibility();
+    revalidateTerm();
+    announceToScreenReader(`Coupons projected from ${select.options[select.selectedIndex].text.toLowerCase()}`);
+  });
+  
+  listen(pathInput, 'input', debounce(() => {
+    setState({ forwardPath: pathInput.value });
+    revalidateTerm();
+  }, 300));
+}
+
+/**
+ * Switch between entering years to maturity and settlement/maturity dates
+ * @param {string} mode - 'years' or 'dates'
+ */
+function switchTermMode(mode) {
+  const yearsBtn = $('#term-years-btn');
+  const datesBtn = $('#term-dates-btn');
+  const isDates = mode === 'dates';
+  
+  yearsBtn.classList.toggle('active', !isDates);
+  yearsBtn.setAttribute('aria-pressed', String(!isDates));
+  datesBtn.classList.toggle('active', isDates);
+  datesBtn.setAttribute('aria-pressed', String(isDates));
+  
+  $('#years-input-group').style.display = isDates ? 'none' : '';
+  $('#stub-type-group').style.display = isDates ? 'none' : '';
+  $('#settlement-date-group').style.display = isDates ? '' : 'none';
+  $('#maturity-date-group').style.display = isDates ? '' : 'none';
+  $('#day-count-group').style.display = isDates ? '' : 'none';
+  
+  // First switch to dates: settle today and mature after the current term,
+  // which starts the bond on a coupon date until the user edits it
+  if (isDates && !state.settlementDate) {
+    const today = new Date();
+    const settlement = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+    const maturity = addMonths(settlement, Math.round(state.years * 12));
+    $('#settlement-date').value = formatISODate(settlement);
+    $('#maturity-date').value = formatISODate(maturity);
+    setState({
+      settlementDate: formatISODate(settlement),
+      maturityDate: formatISODate(maturity)
+    });
+  }
+  
+  setState({ termMode: mode });
+  
+  // Dates fix the maturity, so it cannot be solved for
+  applySolveForAvailability();
+  renderOptionScheduleEditors();
+  revalidateTerm();
+  announceToScreenReader(isDates ? 'Enter settlement and maturity dates' : 'Enter years to maturity');
+}
+
+/**
+ * Set up settlement and maturity date inputs
+ */
+function setupDateInputs() {
+  const inputs = [
+    { id: 'settlement-date', field: 'settlementDate' },
+    { id: 'maturity-date', field: 'maturityDate' }
+  ];
+  
+  inputs.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    listen(input, 'change', () => {
+      setState({ [field]: input.value });
+      revalidateTerm();
+    });
+  });
+}
+
+/**
+ * Set up the day-count convention selector (date mode only)
+ */
+function setupDayCountSelect() {
+  const select = $('#day-count');
+  if (!select) return;
+  
+  listen(select, 'change', () => {
+    setState({ dayCount: select.value });
+    updateCalculations();
+  });
+}
+
+/**
+ * Set up the stub period selector (years mode, fractional terms)
+ */
+function setupStubTypeSelect() {
+  const select = $('#stub-type');
+  if (!select) return;
+  
+  listen(select, 'change', () => {
+    setState({ stubType: select.value });
+    revalidateTerm();
+  });
+}
+
+/**
+ * Re-run the validation that depends on term mode and frequency, then recalculate
+ */
+function revalidateTerm() {
+  const errors = { ...state.errors };
+  delete errors.years;
+  delete errors.settlementDate;
+  delete errors.maturityDate;
+  
+  if (state.termMode === 'dates') {
+    Object.assign(errors, validateDates(state.settlementDate, state.maturityDate));
+  } else if (state.solveFor !== 'years' && state.instrumentType !== 'perpetual') {
+    const yearsError = validateField('years', state.years);
+    if (yearsError) errors.years = yearsError;
+  }
+  
+  updateFieldError('years', errors.years || null);
+  updateFieldError('settlement-date', errors.settlementDate || null);
+  updateFieldError('maturity-date', errors.maturityDate || null);
+  
+  applyScheduleValidation(errors);
+  applyInstrumentTermValidation(errors);
+  
+  setState({ errors });
+  updateValidationSummary(errors);
+  
+  // Recalculate (clears the results while errors remain)
+  updateCalculations();
+}
+
+/**
+ * Validate the call schedule against the current term, updating `errors` in place
+ * @param {Object} errors - Error object to update
+ */
+function applyScheduleValidation(errors) {
+  // A perpetual bond's schedules are hidden and ignored
+  if (state.instrumentType === 'perpetual') {
+    delete errors.callSchedule;
+    delete errors.putSchedule;
+    delete errors.principalSchedule;
+    return;
+  }
+  
+  const context = {
+    termMode: state.termMode,
+    frequency: state.frequency,
+    years: state.years,
+    stubType: state.stubType,
+    settlementDate: state.settlementDate,
+    maturityDate: state.maturityDate
+  };
+  
+  const principalError = isAmortizing() ? validatePrincipalSchedule(state, context) : null;
+  if (principalError) {
+    errors.principalSchedule = principalError;
+  } else {
+    delete errors.principalSchedule;
+  }
+  
+  // Call and put schedules apply to fixed-rate bullet bonds only
+  if (!allowsEmbeddedOptions()) {
+    delete errors.callSchedule;
+    delete errors.putSchedule;
+    return;
+  }
+  
+  const callError = validateExerciseSchedule(state.callSchedule, context, 'Call');
+  if (callError) {
+    errors.callSchedule = callError;
+  } else {
+    delete errors.callSchedule;
+  }
+  
+  const putError = validateExerciseSchedule(state.putSchedule, context, 'Put');
+  if (putError) {
+    errors.putSchedule = putError;
+  } else {
+    delete errors.putSchedule;
+  }
+}
+
+/**
+ * Validate the floating-rate, inflation-indexation and option-valuation
+ * terms, updating `errors` in place (other instruments hide and ignore them)
+ * @param {Object} errors - Error object to update
+ */
+function applyInstrumentTermValidation(errors) {
+  const floating = state.instrumentType === 'frn';
+  const linked = state.instrumentType === 'linker';
+  const options = allowsEmbeddedOptions();
+  const fields = [
+    { id: 'reference-rate', field: 'referenceRate', error: floating ? validateField('referenceRate', state.referenceRate) : null },
+    { id: 'quoted-margin', field: 'quotedMargin', error: floating ? validateField('quotedMargin', state.quotedMargin) : null },
+    {
+      id: 'forward-path',
+      field: 'forwardPath',
+      error: floating && state.referencePathType === 'forward' ? validateForwardPath(state.forwardPath) : null
+    },
+    { id: 'index-ratio', field: 'indexRatio', error: linked ? validateField('indexRatio', state.indexRatio) : null },
+    { id: 'inflation-rate', field: 'inflationRate', error: linked ? validateField('inflationRate', state.inflationRate) : null },
+    { id: 'comparable-yield', field: 'comparableYield', error: linked ? validateField('comparableYield', state.comparableYield) : null },
+    { id: 'rate-volatility', field: 'rateVolatility', error: options ? validateField('rateVolatility', state.rateVolatility) : null }
+  ];
+  
+  fields.forEach(({ id, field, error }) => {
+    updateFieldError(id, error);
+    if (error) {
+      errors[field] = error;
+    } else {
+      delete errors[field];
+    }
+  });
+}
+
+/**
+ * Render the call and put schedule editors for the current term mode
+ */
+function renderOptionScheduleEditors() {
+  renderScheduleEditor({
+    containerId: 'call-schedule-editor',
+    idPrefix: 'call',
+    noun: 'Call',
+    rows: state.callSchedule,
+    termMode: state.termMode,
+    defaultRow: { years: '', date: '', price: 100 },
+    timeStep: 1 / state.frequency,
+    onChange: (rows) => {
+      setState({ callSchedule: rows });
+      revalidateTerm();
+    }
+  });
+  
+  renderScheduleEditor({
+    containerId: 'put-schedule-editor',
+    idPrefix: 'put',
+    noun: 'Put',
+    rows: state.putSchedule,
+    termMode: state.termMode,
+    defaultRow: { years: '', date: '', price: 100 },
+    timeStep: 1 / state.frequency,
+    onChange: (rows) => {
+      setState({ putSchedule: rows });
+      revalidateTerm();
+    }
+  });
+  
+  renderScheduleEditor({
+    containerId: 'sinking-fund-editor',
+    idPrefix: 'sinking',
+    noun: 'Retirement',
+    rows: state.sinkingFund,
+    termMode: state.termMode,
+    defaultRow: { years: '', date: '', percent: 10 },
+    timeStep: 1 / state.frequency,
+    valueColumn: { key: 'percent', name: 'amount', suffix: '% of face', min: '0', max: '100', step: '1' },
+    onChange: (rows) => {
+      setState({ sinkingFund: rows });
+      revalidateTerm();
+    }
+  });
+}
+
+/**
+ * Set up the Maturity / Worst-case redemption toggle for the chart and table
+ */
+function setupRedemptionToggle() {
+  const maturityBtn = $('#redemption-maturity-btn');
+  const worstBtn = $('#redemption-worst-btn');
+  if (!maturityBtn || !worstBtn) return;
+  
+  const select = (view) => {
+    maturityBtn.classList.toggle('active', view === 'maturity');
+    maturityBtn.setAttribute('aria-pressed', String(view === 'maturity'));
+    worstBtn.classList.toggle('active', view === 'worst');
+    worstBtn.setAttribute('aria-pressed', String(view === 'worst'));
+    setState({ redemptionView: view });
+    announceToScreenReader(view === 'worst'
+      ? 'Showing cash flows to the worst-case redemption'
+      : 'Showing cash flows to maturity');
+  };
+  
+  listen(maturityBtn, 'click', () => select('maturity'));
+  listen(worstBtn, 'click', () => select('worst'));
+}
+
 /**
  * Update YTM calculations based on current state
  */
 function updateCalculations() {
-  const { bondPrice, couponPayment, years, faceValue, frequency, errors } = state;
+  const {
+    bondPrice,
+    couponPayment,
+    years,
+    faceValue,
+    frequency,
+    termMode,
+    settlementDate,
+    maturityDate,
+    dayCount,
+    stubType,
+    callSchedule,
+    putSchedule,
+    principalType,
+    customPrincipal,
+    sinkingFund,
+    referenceRate,
+    quotedMargin,
+    referencePathType,
+    forwardPath,
+    indexRatio,
+    inflationRate,
+    comparableYield,
+    spotCurve,
+    governmentCurve,
+    swapCurve,
+    rateVolatility,
+    solveFor,
+    yieldRate,
+    instrumentType,
+    errors
+  } = state;
   
   // Don't calculate if there are validation errors
   if (hasErrors(errors)) {
@@ -177,10 +897,34 @@ function updateCalculations() {
     // Calculate YTM metrics
     const calculations = calculateBondYTMMetrics({
       bondPrice,
-      couponPayment,
+      couponPayment: instrumentType === 'zero' ? 0 : couponPayment,
       years,
       faceValue,
-      frequency
+      frequency,
+      termMode,
+      settlementDate,
+      maturityDate,
+      dayCount,
+      stubType,
+      callSchedule,
+      putSchedule,
+      principalType,
+      customPrincipal,
+      sinkingFund,
+      referenceRate: referenceRate / 100,
+      quotedMargin: quotedMargin / 10000,
+      referencePathType,
+      forwardPath,
+      indexRatio,
+      inflationRate: inflationRate / 100,
+      comparableYield: comparableYield / 100,
+      spotCurve,
+      governmentCurve,
+      swapCurve,
+      rateVolatility: rateVolatility / 100,
+      solveFor,
+      yieldRate: yieldRate / 100,
+      instrumentType
     });
     
     // Update state with calculations
@@ -408,50 +1152,153 @@ function handleStateChange(newState) {
     return;
   }
   
+  showSolvedValue(ytmCalculations);
+  showFloatingCoupon(ytmCalculations);
+  
+  const params = getDisplayParams(ytmCalculations, newState);
+  
   // Update results section
-  renderResults(ytmCalculations, {
-    bondPrice: newState.bondPrice,
-    couponPayment: newState.couponPayment,
-    years: newState.years,
-    faceValue: newState.faceValue
-  });
+  renderResults(ytmCalculations, params);
   
   // Update dynamic equation
-  renderDynamicEquation(ytmCalculations, {
-    bondPrice: newState.bondPrice,
-    couponPayment: newState.couponPayment,
-    years: newState.years,
-    faceValue: newState.faceValue
-  });
+  renderDynamicEquation(ytmCalculations, params);
+  
+  // Update the binomial rate tree (callable or putable bonds with a spot curve)
+  renderRateTree(ytmCalculations.optionAdjusted ?? null);
+  
+  // Update the key rate durations (bonds priced off a spot curve)
+  renderKeyRateDurations(ytmCalculations.keyRateDurations ?? null);
+  
+  // Update the horizon analysis for the bond as it now stands
+  updateHorizonPanel(ytmCalculations, params.frequency);
+  
+  // The missing input has no solution, so there is no bond to chart
+  if (ytmCalculations.solved && ytmCalculations.solved.value === null) {
+    return;
+  }
+  
+  // Show or hide the worst-case redemption toggle
+  const redemptionControls = $('#redemption-controls');
+  if (redemptionControls) {
+    redemptionControls.style.display = ytmCalculations.callAnalysis?.worstCashFlows ? '' : 'none';
+  }
+  
+  const stream = getDisplayedStream(ytmCalculations, newState.redemptionView);
   
   // Update chart if in chart view
   if (viewMode === 'chart') {
     const showLabels = shouldShowLabels();
     renderChart(
-      ytmCalculations.cashFlows, 
+      stream.cashFlows, 
       showLabels, 
-      ytmCalculations.bondEquivalentYield
+      stream.yield,
+      stream.labels
     );
   }
   
   // Always update table (even if hidden)
   renderTable(
-    ytmCalculations.cashFlows,
-    ytmCalculations.bondEquivalentYield
+    stream.cashFlows,
+    stream.yield,
+    stream.labels
   );
 }
 
-// =============================================================================
-// WINDOW RESIZE HANDLING
-// =============================================================================
+/**
+ * Inputs to display alongside the results, with any solved input filled in
+ * @param {Object} calculations - YTM calculations
+ * @param {Object} currentState - Current state
+ * @returns {Object} { bondPrice, couponPayment, years, faceValue, frequency, instrumentType, zeroCoupon, perpetual, floating, inflationLinked }
+ */
+function getDisplayParams(calculations, currentState) {
+  const { instrumentType } = currentState;
+  const params = {
+    bondPrice: currentState.bondPrice,
+    couponPayment: instrumentType === 'zero' ? 0
+      : instrumentType === 'frn' ? calculations.couponPayment * currentState.frequency
+        : currentState.couponPayment,
+    years: instrumentType === 'perpetual' ? Infinity : currentState.years,
+    faceValue: currentState.faceValue,
+    frequency: currentState.frequency,
+    instrumentType,
+    zeroCoupon: instrumentType === 'zero',
+    perpetual: instrumentType === 'perpetual',
+    floating: instrumentType === 'frn',
+    inflationLinked: instrumentType === 'linker'
+  };
+  
+  const solved = calculations.solved;
+  if (solved && solved.value !== null) {
+    params.bondPrice = calculations.cleanPrice;
+    params.couponPayment = calculations.couponPayment * currentState.frequency;
+    params.years = calculations.years;
+    params.faceValue = calculations.faceValue;
+  }
+  
+  return params;
+}
 
 /**
- * Set up window resize listener for responsive chart labels
+ * Pick the cash-flow stream for the chart and table
+ * Callable bonds can show the stream to the worst-case redemption instead of maturity,
+ * and inflation-linked bonds show their indexed flows at the nominal yield.
+ * The labels carry the coupon frequency for period names and axis ticks, and
+ * the spot curve to plot beside the yield.
+ * @param {Object} calculations - YTM calculations
+ * @param {string} redemptionView - 'maturity' or 'worst'
+ * @returns {Object} { cashFlows, yield, labels }
  */
-function setupResizeListener() {
-  let resizeTimeout;
+function getDisplayedStream(calculations, redemptionView) {
+  const callAnalysis = calculations.callAnalysis;
+  const { frequency, spotCurve } = state;
   
-  listen(window, 'resize', () => {
+  if (redemptionView === 'worst' && callAnalysis && callAnalysis.worstCashFlows) {
+    const isCall = callAnalysis.worst.type === 'call';
+    return {
+      cashFlows: callAnalysis.worstCashFlows,
+      yield: callAnalysis.yieldToWorst,
+      labels: {
+        yieldName: 'Yield-to-worst',
+        redemptionName: isCall ? 'Redemption at call price' : 'Principal repayment (FV)',
+        frequency,
+        spotCurve
+      }
+    };
+  }
+  
+  const inflationLinked = calculations.inflationLinked;
+  if (inflationLinked) {
+    return {
+      cashFlows: inflationLinked.cashFlows,
+      yield: inflationLinked.nominalYield,
+      labels: {
+        yieldName: 'Nominal yield',
+        redemptionName: 'Indexed principal repayment',
+        couponName: 'Indexed coupon (PMT)',
+        frequency,
+        spotCurve
+      }
+    };
+  }
+  
+  return {
+    cashFlows: calculations.cashFlows,
+    yield: calculations.bondEquivalentYield,
+    labels: { frequency, spotCurve }
+  };
+}
+
+// =============================================================================
+// WINDOW RESIZE HANDLING
+// =============================================================================
+
+/**
+ * Set up window resize listener for responsive chart labels
+ */
+function setupResizeListener() {
+  let resizeTimeout;
+  
+  listen(window, 'resize', () => {
     // Debounce resize events
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
@@ -459,10 +1306,12 @@ function setupResizeListener() {
       
       if (state.viewMode === 'chart' && state.ytmCalculations) {
         const showLabels = shouldShowLabels();
+        const stream = getDisplayedStream(state.ytmCalculations, state.redemptionView);
         renderChart(
-          state.ytmCalculations.cashFlows, 
+          stream.cashFlows, 
           showLabels,
-          state.ytmCalculations.bondEquivalentYield
+          stream.yield,
+          stream.labels
         );
       }
     }, 250);
@@ -528,6 +1377,11 @@ function runSelfTests() {
       inputs: { bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
       expected: { ytmApprox: 0.06 }
     },
+    {
+      name: 'Par bond YTM with monthly coupons',
+      inputs: { bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 12 },
+      expected: { ytmApprox: 0.06 }
+    },
     {
       name: 'Discount bond YTM (price < par)',
       inputs: { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
@@ -537,12 +1391,252 @@ function runSelfTests() {
       name: 'Premium bond YTM (price > par)',
       inputs: { bondPrice: 105, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
       expected: { ytmShouldBe: 'less than 0.06' }
+    },
+    {
+      name: 'Negative YTM (price > undiscounted cash flows)',
+      inputs: { bondPrice: 105, couponPayment: 0, years: 5, faceValue: 100, frequency: 2 },
+      expected: { ytmShouldBe: 'negative' }
+    },
+    {
+      name: 'Accrued interest between coupon dates (65 of 184 days)',
+      inputs: {
+        bondPrice: 97.8, couponPayment: 11, faceValue: 100, frequency: 2,
+        termMode: 'dates', settlementDate: '2026-10-19', maturityDate: '2031-08-15'
+      },
+      expected: { accruedInterest: 5.5 * 65 / 184 }
+    },
+    {
+      name: 'Settlement on a coupon date matches years mode',
+      inputs: {
+        bondPrice: 97.8, couponPayment: 11, faceValue: 100, frequency: 2,
+        termMode: 'dates', settlementDate: '2026-08-15', maturityDate: '2031-08-15'
+      },
+      expected: { ytmApprox: calculateBondYTMMetrics({ bondPrice: 97.8, couponPayment: 11, years: 5, faceValue: 100, frequency: 2 }).bondEquivalentYield }
+    },
+    {
+      name: 'Yield-to-worst binds at the call date for a premium callable',
+      inputs: {
+        bondPrice: 105, couponPayment: 8, years: 5, faceValue: 100, frequency: 2,
+        callSchedule: [{ years: 2, price: 102 }, { years: 3, price: 101 }]
+      },
+      expected: { yieldToWorstBinding: 'call' }
+    },
+    {
+      name: 'Yield-to-put exceeds YTM for a discount bond put at par',
+      inputs: {
+        bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        putSchedule: [{ years: 2, price: 100 }]
+      },
+      expected: { yieldToPutAbove: 'ytm' }
+    },
+    {
+      name: 'Duration and convexity of a 10-year 6% par bond',
+      inputs: { bondPrice: 100, couponPayment: 6, years: 10, faceValue: 100, frequency: 2 },
+      expected: { duration: { macaulay: 7.6619, modified: 7.4387, convexity: 68.7748 } }
+    },
+    {
+      name: 'Convexity improves the duration estimate for a +100 bp shock',
+      inputs: { bondPrice: 100, couponPayment: 6, years: 10, faceValue: 100, frequency: 2 },
+      expected: { yieldShockBp: 100 }
+    },
+    {
+      name: 'Short first stub prorates the first coupon (5.3 years)',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5.3, faceValue: 100, frequency: 2 },
+      expected: { stub: { periods: 11, firstTime: 0.3, firstCoupon: 1.8 } }
+    },
+    {
+      name: 'Long last stub: maturity solved back from the stub YTM',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5.3, faceValue: 100, frequency: 2, stubType: 'long-last' },
+      expected: { stubMaturityRoundTrip: 5.3 }
+    },
+    {
+      name: 'Zero-coupon closed form matches the iterative solver',
+      inputs: { bondPrice: 78, couponPayment: 0, years: 7.5, faceValue: 100, frequency: 2, instrumentType: 'zero' },
+      expected: { zeroMatchesSolver: true }
+    },
+    {
+      name: 'Perpetual yield is coupon over price, modified duration 1/y per period',
+      inputs: { bondPrice: 80, couponPayment: 5, faceValue: 100, frequency: 2, instrumentType: 'perpetual' },
+      expected: { perpetual: { bondEquivalentYield: 5 / 80, modified: 80 / 5 } }
+    },
+    {
+      name: 'Level amortization at par: WAL 2.75 years and a 6% yield',
+      inputs: { bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2, principalType: 'level' },
+      expected: { amortization: { weightedAverageLife: 2.75, bondEquivalentYield: 0.06 } }
+    },
+    {
+      name: 'Sinking fund retirements shorten the average life',
+      inputs: {
+        bondPrice: 97, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        principalType: 'sinking', sinkingFund: [{ years: 3, percent: 25 }, { years: 4, percent: 25 }]
+      },
+      expected: { amortization: { weightedAverageLife: 4.25 } }
+    },
+    {
+      name: 'Floating-rate note at par: discount margin equals quoted margin',
+      inputs: {
+        bondPrice: 100, years: 5, faceValue: 100, frequency: 4,
+        instrumentType: 'frn', referenceRate: 0.04, quotedMargin: 0.005
+      },
+      expected: { discountMargin: 0.005 }
+    },
+    {
+      name: 'Floating-rate note below par on a forward path: DM above QM and reprices the note',
+      inputs: {
+        bondPrice: 98, years: 3, faceValue: 100, frequency: 4, instrumentType: 'frn',
+        referenceRate: 0.04, quotedMargin: 0.005, referencePathType: 'forward', forwardPath: '4, 4.25, 4.5, 4.75'
+      },
+      expected: { discountMarginAboveQuoted: true }
+    },
+    {
+      name: 'Inflation-linked bond: indexed flows yield the Fisher nominal yield',
+      inputs: {
+        bondPrice: 102, couponPayment: 2, years: 10, faceValue: 100, frequency: 2,
+        instrumentType: 'linker', indexRatio: 1.05, inflationRate: 0.025, comparableYield: 0.045
+      },
+      expected: { fisherNominalYield: true }
+    },
+    {
+      name: 'Inflation-linked bond: breakeven inflation reproduces the comparable nominal yield',
+      inputs: {
+        bondPrice: 95, couponPayment: 1.5, years: 7, faceValue: 100, frequency: 2,
+        instrumentType: 'linker', indexRatio: 1.2, inflationRate: 0.03, comparableYield: 0.05
+      },
+      expected: { breakevenRoundTrip: true }
+    },
+    {
+      name: 'IRR of a par bond\'s cash flows equals its coupon rate',
+      inputs: { bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      expected: { irrOfCashFlows: 0.06 }
+    },
+    {
+      name: 'IRR warns of two sign changes and finds one of the two roots',
+      flows: [{ time: 0, amount: -100 }, { time: 1, amount: 250 }, { time: 2, amount: -154 }],
+      expected: { irrRoots: [0.1, 0.4], signChanges: 2 }
+    },
+    {
+      name: 'Bootstrap from annual par yields gives the textbook two-year spot rate',
+      benchmarks: [{ years: 1, coupon: 5, price: 100 }, { years: 2, coupon: 6, price: 100 }],
+      expected: { spotRates: [0.05, Math.sqrt(1.06 / (1 - 0.06 / 1.05)) - 1] }
+    },
+    {
+      name: 'Par bond priced off a flat curve at its coupon rate matches its YTM price',
+      inputs: {
+        bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        spotCurve: bootstrapSpotCurve([{ years: 1, coupon: 6, price: 100 }, { years: 10, coupon: 6, price: 100 }], 2)
+      },
+      expected: { curvePrice: 100 }
+    },
+    {
+      name: 'Forward rates chain to the spot rates and reprice the bond',
+      inputs: {
+        bondPrice: 98, couponPayment: 5, years: 4, faceValue: 100, frequency: 2,
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 3, spotRate: 0.05 }, { years: 7, spotRate: 0.055 }], 2)
+      },
+      expected: { forwardsMatchSpots: true }
+    },
+    {
+      name: 'Z-spread over a flat curve equals the yield less the curve rate',
+      inputs: {
+        bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 10, spotRate: 0.04 }], 2),
+        governmentCurve: [{ years: 2, rate: 0.04 }, { years: 10, rate: 0.05 }],
+        swapCurve: [{ years: 1, rate: 0.045 }]
+      },
+      expected: { zSpread: 0.02, gSpread: 0.06 - 0.04375, iSpread: 0.015 }
+    },
+    {
+      name: 'With no volatility an out-of-the-money call is worthless and the OAS is close to the Z-spread',
+      inputs: {
+        bondPrice: 98, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        callSchedule: [{ years: 3, date: '', price: 150 }],
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 3, spotRate: 0.05 }, { years: 7, spotRate: 0.055 }], 2),
+        rateVolatility: 0
+      },
+      expected: { oasMatchesZSpread: true }
+    },
+    {
+      name: 'Rate tree reprices the spot curve; the call and put both have value',
+      inputs: {
+        bondPrice: 98, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        callSchedule: [{ years: 2, date: '', price: 100 }],
+        putSchedule: [{ years: 3, date: '', price: 100 }],
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 3, spotRate: 0.05 }, { years: 7, spotRate: 0.055 }], 2),
+        rateVolatility: 0.2
+      },
+      expected: { optionValuesPositive: true }
+    },
+    {
+      name: 'Effective duration of a plain bond equals the approximate modified duration',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      expected: { effectiveMatchesApproximate: true }
+    },
+    {
+      name: 'Shifting a flat spot curve at a constant Z-spread matches shifting the yield',
+      inputs: {
+        bondPrice: 100, couponPayment: 6, years: 5, faceValue: 100, frequency: 2,
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 10, spotRate: 0.04 }], 2)
+      },
+      expected: { effectiveCurveMatchesYield: true }
+    },
+    {
+      name: 'Effective duration of a callable bond is below its modified duration',
+      inputs: {
+        bondPrice: 103, couponPayment: 7, years: 8, faceValue: 100, frequency: 2,
+        callSchedule: [{ years: 2, date: '', price: 100 }],
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 3, spotRate: 0.05 }, { years: 10, spotRate: 0.055 }], 2),
+        rateVolatility: 0.15
+      },
+      expected: { effectiveBelowModified: true }
+    },
+    {
+      name: 'Key rate durations add up to the effective duration for a parallel curve shift',
+      inputs: {
+        bondPrice: 98, couponPayment: 6, years: 12, faceValue: 100, frequency: 2,
+        spotCurve: buildSpotCurve([{ years: 1, spotRate: 0.04 }, { years: 3, spotRate: 0.05 }, { years: 7, spotRate: 0.055 }], 2)
+      },
+      expected: { keyRatesSumToEffective: true }
+    },
+    {
+      name: 'Reinvesting at the YTM and selling at the YTM realizes the YTM',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      horizon: { horizonYears: 2.3 },
+      expected: { horizonRealizesYield: true }
+    },
+    {
+      name: 'Coupons left uninvested to maturity realize less than the YTM',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      horizon: { horizonYears: 5, reinvestmentRate: 0, horizonYield: 0.05 },
+      expected: { horizonBelowYield: true }
+    },
+    {
+      name: 'Natural cubic spline through three points',
+      points: [{ years: 0, rate: 0 }, { years: 1, rate: 1 }, { years: 2, rate: 0 }],
+      expected: { splineAt: { years: 0.5, rate: 0.6875 } }
+    },
+    {
+      name: 'Current and simple yield of a discount bond',
+      inputs: { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      expected: { currentYield: 6 / 95, simpleYield: (6 + 5 / 5) / 95 }
+    },
+    {
+      name: 'True yield below street yield when payments roll to business days',
+      inputs: {
+        bondPrice: 97.8, couponPayment: 11, faceValue: 100, frequency: 2,
+        termMode: 'dates', settlementDate: '2026-10-19', maturityDate: '2031-08-15'
+      },
+      expected: { trueYieldBelowStreet: true }
+    },
+    {
+      name: 'No solution for a non-positive price',
+      inputs: { bondPrice: 0, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 },
+      expected: { noSolution: true }
     }
   ];
   
   tests.forEach(test => {
     try {
-      const result = calculateBondYTMMetrics(test.inputs);
+      const result = test.inputs ? calculateBondYTMMetrics(test.inputs) : null;
       
       if (test.expected.ytmApprox !== undefined) {
         const diff = Math.abs(result.bondEquivalentYield - test.expected.ytmApprox);
@@ -563,12 +1657,535 @@ function runSelfTests() {
         } else {
           console.warn(`✗ ${test.name} failed: YTM should be < 0.06, got ${result.bondEquivalentYield}`);
         }
+      } else if (test.expected.ytmShouldBe === 'negative') {
+        // Zero-coupon 5-year bond at 105: (100 / 105)^(1/10) - 1 per half-year
+        const expected = (Math.pow(100 / 105, 1 / 10) - 1) * 2;
+        if (result.converged && Math.abs(result.bondEquivalentYield - expected) <= 0.0001) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ~${expected}, got ${result.bondEquivalentYield}`);
+        }
+      } else if (test.expected.accruedInterest !== undefined) {
+        const diff = Math.abs(result.accruedInterest - test.expected.accruedInterest);
+        const dirtyOk = Math.abs(result.dirtyPrice - (result.cleanPrice + result.accruedInterest)) <= 1e-9;
+        if (diff <= 1e-9 && dirtyOk) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected accrued ${test.expected.accruedInterest}, got ${result.accruedInterest}`);
+        }
+      } else if (test.expected.yieldToWorstBinding) {
+        const { calls, yieldToWorst, worst } = result.callAnalysis;
+        const lowest = Math.min(result.bondEquivalentYield, ...calls.map(call => call.bondEquivalentYield));
+        if (worst.type === test.expected.yieldToWorstBinding && yieldToWorst === lowest) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected ${test.expected.yieldToWorstBinding} to bind, got ${worst.type} at ${yieldToWorst}`);
+        }
+      } else if (test.expected.duration) {
+        const { annual } = result.durationAnalysis;
+        const ok = Object.entries(test.expected.duration)
+          .every(([key, value]) => Math.abs(annual[key] - value) <= 0.0001);
+        const approxOk = Math.abs(annual.approximateModified - annual.modified) <= 0.0001;
+        if (ok && approxOk) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: got Macaulay ${annual.macaulay}, modified ${annual.modified}, convexity ${annual.convexity}`);
+        }
+      } else if (test.expected.yieldShockBp !== undefined) {
+        const { durationOnly, withConvexity, exact } = estimatePriceChange(
+          result.cashFlows, result.yieldPerPeriod, test.inputs.frequency, test.expected.yieldShockBp
+        );
+        const { moneyDuration, pvbp } = result.moneyDuration;
+        const ordered = Math.abs(withConvexity.percentChange - exact.percentChange) < Math.abs(durationOnly.percentChange - exact.percentChange);
+        const pvbpOk = Math.abs(pvbp - moneyDuration * 0.0001) <= 1e-4;
+        if (ordered && pvbpOk) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: duration ${durationOnly.percentChange}, with convexity ${withConvexity.percentChange}, exact ${exact.percentChange}, PVBP ${pvbp}`);
+        }
+      } else if (test.expected.stub) {
+        const [, first] = result.cashFlows;
+        const { periods, firstTime, firstCoupon } = test.expected.stub;
+        if (result.periods === periods && Math.abs(first.timeYears - firstTime) <= 1e-9 && Math.abs(first.couponPayment - firstCoupon) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: ${result.periods} periods, first flow ${first.couponPayment} at ${first.timeYears} years`);
+        }
+      } else if (test.expected.stubMaturityRoundTrip !== undefined) {
+        const solved = calculateBondYTMMetrics({ ...test.inputs, solveFor: 'years', yieldRate: result.bondEquivalentYield }).solved;
+        if (Math.abs(solved.value - test.expected.stubMaturityRoundTrip) <= 1e-6) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: solved ${solved.value} years`);
+        }
+      } else if (test.expected.amortization) {
+        const { weightedAverageLife, bondEquivalentYield } = test.expected.amortization;
+        const walOk = Math.abs(result.amortization.weightedAverageLife - weightedAverageLife) <= 1e-9;
+        const yieldOk = bondEquivalentYield === undefined || Math.abs(result.bondEquivalentYield - bondEquivalentYield) <= 1e-8;
+        const repaid = result.cashFlows.reduce((sum, cf) => sum + (cf.period > 0 ? cf.principalPayment : 0), 0);
+        if (walOk && yieldOk && Math.abs(repaid - test.inputs.faceValue) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: WAL ${result.amortization.weightedAverageLife}, yield ${result.bondEquivalentYield}, principal repaid ${repaid}`);
+        }
+      } else if (test.expected.discountMargin !== undefined) {
+        const { discountMargin } = result.floatingRate;
+        const flatYield = test.inputs.referenceRate + discountMargin;
+        if (Math.abs(discountMargin - test.expected.discountMargin) <= 1e-9 && Math.abs(result.bondEquivalentYield - flatYield) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: DM ${discountMargin}, yield ${result.bondEquivalentYield}`);
+        }
+      } else if (test.expected.fisherNominalYield) {
+        const { realYield, nominalYield, inflationRate } = result.inflationLinked;
+        const fisher = nominalFromRealYield(realYield, inflationRate, test.inputs.frequency);
+        if (Math.abs(nominalYield - fisher) <= 1e-8) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: nominal ${nominalYield}, Fisher ${fisher}`);
+        }
+      } else if (test.expected.breakevenRoundTrip) {
+        const { realYield, comparableYield } = result.inflationLinked;
+        const nominal = nominalFromRealYield(realYield, result.inflationLinked.breakevenInflation, test.inputs.frequency);
+        if (Math.abs(nominal - comparableYield) <= 1e-12) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: nominal at breakeven ${nominal}`);
+        }
+      } else if (test.expected.discountMarginAboveQuoted) {
+        const { discountMargin, quotedMargin, referenceRates } = result.floatingRate;
+        // Reprice by compounding each quarter at its reference rate plus the DM
+        let discountFactor = 1;
+        const price = result.cashFlows.slice(1).reduce((pv, cf, k) => {
+          discountFactor /= 1 + (referenceRates[k] + discountMargin) / test.inputs.frequency;
+          return pv + cf.totalCashFlow * discountFactor;
+        }, 0);
+        if (discountMargin > quotedMargin && Math.abs(price - test.inputs.bondPrice) <= 1e-8) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: DM ${discountMargin}, repriced at ${price}`);
+        }
+      } else if (test.expected.irrOfCashFlows !== undefined) {
+        const flows = result.cashFlows.map(cf => ({ time: cf.timeYears, amount: cf.totalCashFlow }));
+        const irr = calculateIRR(flows, test.inputs.frequency);
+        if (irr.signChanges === 1 && Math.abs(irr.bondEquivalentYield - test.expected.irrOfCashFlows) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: IRR ${irr.bondEquivalentYield} with ${irr.signChanges} sign changes`);
+        }
+      } else if (test.expected.spotRates) {
+        const curve = bootstrapSpotCurve(test.benchmarks, 1);
+        const spotsOk = curve.knots.every((knot, i) => Math.abs(knot.spotRate - test.expected.spotRates[i]) <= 1e-10);
+        const parOk = test.benchmarks.every(b => Math.abs(parYieldAt(curve, b.years) - b.coupon / 100) <= 1e-10);
+        if (curve.converged && spotsOk && parOk) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: spot rates ${curve.knots.map(knot => knot.spotRate).join(', ')}`);
+        }
+      } else if (test.expected.curvePrice !== undefined) {
+        const { fullPrice, yieldAtCurvePrice } = result.curvePricing;
+        if (Math.abs(fullPrice - test.expected.curvePrice) <= 1e-9 && Math.abs(yieldAtCurvePrice - result.bondEquivalentYield) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: curve price ${fullPrice}, yield at curve price ${yieldAtCurvePrice}`);
+        }
+      } else if (test.expected.forwardsMatchSpots) {
+        const curve = test.inputs.spotCurve;
+        const growthOk = [[0, 2], [1, 3], [2, 5], [3, 7]].every(([a, b]) => {
+          const forward = forwardRateBetween(curve, a, b);
+          const viaForward = Math.pow(1 + forward / 2, 2 * (b - a)) / discountFactorAt(curve, a);
+          return Math.abs(viaForward - 1 / discountFactorAt(curve, b)) <= 1e-12;
+        });
+        const spotOk = Math.abs(forwardRateBetween(curve, 0, 3) - 0.05) <= 1e-12;
+        const { fullPrice, forwardPrice } = result.curvePricing;
+        if (growthOk && spotOk && Math.abs(forwardPrice - fullPrice) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: price via forwards ${forwardPrice}, via spots ${fullPrice}`);
+        }
+      } else if (test.expected.zSpread !== undefined) {
+        const { zSpread, methods } = result.benchmarkSpreads;
+        const { gSpread, iSpread } = methods.linear;
+        if (Math.abs(zSpread - test.expected.zSpread) <= 1e-10 && Math.abs(gSpread - test.expected.gSpread) <= 1e-10 &&
+            Math.abs(iSpread - test.expected.iSpread) <= 1e-10) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: Z-spread ${zSpread}, G-spread ${gSpread}, I-spread ${iSpread}`);
+        }
+      } else if (test.expected.oasMatchesZSpread) {
+        // Spreading every one-period rate is not quite spreading every spot rate, so the two agree to well under 0.1 bp
+        const { oas, callValue, straightValue, treeValue } = result.optionAdjusted;
+        const { zSpread } = result.benchmarkSpreads;
+        const curvePrice = result.curvePricing.fullPrice;
+        const valuesOk = Math.abs(treeValue.straight - curvePrice) <= 1e-8 && Math.abs(straightValue - result.dirtyPrice) <= 1e-8;
+        if (valuesOk && Math.abs(callValue) <= 1e-9 && Math.abs(oas - zSpread) <= 1e-6) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: tree value ${treeValue.straight} vs curve ${curvePrice}, call ${callValue}, OAS ${oas} vs Z ${zSpread}`);
+        }
+      } else if (test.expected.optionValuesPositive) {
+        const { callValue, putValue, optionValue, treeValue } = result.optionAdjusted;
+        const repriced = Math.abs(treeValue.straight - result.curvePricing.fullPrice) <= 1e-8;
+        if (repriced && callValue > 0 && putValue > 0 && Math.abs(optionValue - result.dirtyPrice) <= 1e-8) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: tree value ${treeValue.straight}, call ${callValue}, put ${putValue}, value with options ${optionValue}`);
+        }
+      } else if (test.expected.effectiveMatchesApproximate) {
+        const { yieldShift, annual } = result.durationAnalysis;
+        const effective = calculateEffectiveMeasures(result, test.inputs.frequency, yieldShift);
+        if (effective.basis === 'yield' && Math.abs(effective.duration - annual.approximateModified) <= 1e-10 &&
+            Math.abs(effective.convexity - annual.approximateConvexity) <= 1e-6) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: effective ${effective.duration} / ${effective.convexity}, approximate ${annual.approximateModified} / ${annual.approximateConvexity}`);
+        }
+      } else if (test.expected.effectiveCurveMatchesYield) {
+        // The Z-spread over a flat curve is the yield less the curve rate, so moving the curve moves the yield
+        const shift = 0.0025;
+        const curve = calculateEffectiveMeasures(result, test.inputs.frequency, shift);
+        const yieldOnly = calculateEffectiveMeasures({ ...result, curvePricing: null }, test.inputs.frequency, shift);
+        if (curve.basis === 'curve' && Math.abs(curve.duration - yieldOnly.duration) <= 1e-8 &&
+            Math.abs(curve.convexity - yieldOnly.convexity) <= 1e-4) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: curve ${curve.duration} / ${curve.convexity}, yield ${yieldOnly.duration} / ${yieldOnly.convexity}`);
+        }
+      } else if (test.expected.effectiveBelowModified) {
+        const effective = calculateEffectiveMeasures(result, test.inputs.frequency, 0.0025);
+        const { modified } = result.durationAnalysis.annual;
+        if (effective && effective.basis === 'tree' && effective.duration > 0 && effective.duration < modified) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: effective ${effective && effective.duration}, modified ${modified}`);
+        }
+      } else if (test.expected.keyRatesSumToEffective) {
+        // The triangular bumps add up to 1 at every date, so together they are a parallel shift
+        const { keys, total, shift } = result.keyRateDurations;
+        const effective = calculateEffectiveMeasures(result, test.inputs.frequency, shift);
+        const weightsOk = [0.5, 1, 2.5, 4, 6, 8.5, 12].every(years =>
+          Math.abs(KEY_RATE_YEARS.reduce((sum, _, index) => sum + keyRateWeight(KEY_RATE_YEARS, index, years), 0) - 1) <= 1e-12);
+        if (weightsOk && keys.length === KEY_RATE_YEARS.length && keys.every(key => key.duration > 0) &&
+            Math.abs(total - effective.duration) <= 1e-6) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: key rate total ${total}, effective duration ${effective.duration}`);
+        }
+      } else if (test.expected.horizonRealizesYield) {
+        const ytm = result.bondEquivalentYield;
+        const horizon = calculateHorizonReturn(result.cashFlows, {
+          price: result.dirtyPrice, frequency: test.inputs.frequency, yieldRate: ytm,
+          reinvestmentRate: ytm, horizonYield: ytm, ...test.horizon
+        });
+        if (Math.abs(horizon.realizedYield - ytm) <= 1e-12 && Math.abs(horizon.totalValue - horizon.promisedValue) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: realized ${horizon.realizedYield}, YTM ${ytm}`);
+        }
+      } else if (test.expected.horizonBelowYield) {
+        const ytm = result.bondEquivalentYield;
+        const horizon = calculateHorizonReturn(result.cashFlows, {
+          price: result.dirtyPrice, frequency: test.inputs.frequency, yieldRate: ytm, ...test.horizon
+        });
+        const undiscounted = result.cashFlows.filter(cf => cf.period > 0).reduce((sum, cf) => sum + cf.totalCashFlow, 0);
+        if (horizon.salePrice === 0 && horizon.reinvestmentIncome === 0 && Math.abs(horizon.totalValue - undiscounted) <= 1e-9 &&
+            horizon.realizedYield < ytm) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: total ${horizon.totalValue} vs ${undiscounted}, realized ${horizon.realizedYield}, YTM ${ytm}`);
+        }
+      } else if (test.expected.splineAt) {
+        const { years, rate } = test.expected.splineAt;
+        const value = interpolateRate(test.points, years, 'cubic');
+        if (Math.abs(value - rate) <= 1e-12 && interpolateRate(test.points, 1, 'cubic') === 1) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: spline value ${value}`);
+        }
+      } else if (test.expected.irrRoots) {
+        const irr = calculateIRR(test.flows, 1);
+        const foundRoot = test.expected.irrRoots.some(root => Math.abs(irr.bondEquivalentYield - root) <= 1e-9);
+        if (foundRoot && irr.signChanges === test.expected.signChanges) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: IRR ${irr.bondEquivalentYield} with ${irr.signChanges} sign changes`);
+        }
+      } else if (test.expected.zeroMatchesSolver) {
+        const iterative = calculateBondYTMMetrics({ ...test.inputs, instrumentType: 'coupon' });
+        if (result.closedForm && Math.abs(result.bondEquivalentYield - iterative.bondEquivalentYield) <= 1e-8) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: closed form ${result.bondEquivalentYield}, solver ${iterative.bondEquivalentYield}`);
+        }
+      } else if (test.expected.perpetual) {
+        const { bondEquivalentYield, modified } = test.expected.perpetual;
+        const { annual } = result.durationAnalysis;
+        if (Math.abs(result.bondEquivalentYield - bondEquivalentYield) <= 1e-12 && Math.abs(annual.modified - modified) <= 1e-9) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: yield ${result.bondEquivalentYield}, modified duration ${annual.modified}`);
+        }
+      } else if (test.expected.currentYield !== undefined) {
+        const { currentYield, simpleYield } = result.yieldMeasures;
+        if (Math.abs(currentYield - test.expected.currentYield) <= 1e-12 && Math.abs(simpleYield - test.expected.simpleYield) <= 1e-12) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: current ${currentYield}, simple ${simpleYield}`);
+        }
+      } else if (test.expected.trueYieldBelowStreet) {
+        const { streetYield, trueYield } = result.yieldMeasures;
+        if (trueYield.rolledPayments > 0 && trueYield.bondEquivalentYield < streetYield) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: true ${trueYield.bondEquivalentYield}, street ${streetYield}`);
+        }
+      } else if (test.expected.yieldToPutAbove) {
+        const [put] = result.putAnalysis.puts;
+        if (put && put.periods === 4 && put.bondEquivalentYield > result.bondEquivalentYield) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: yield-to-put ${put && put.bondEquivalentYield} should exceed YTM ${result.bondEquivalentYield}`);
+        }
+      } else if (test.expected.noSolution) {
+        if (result.solverStatus === 'no-solution' && result.bondEquivalentYield === null) {
+          console.log(`✓ ${test.name} passed`);
+        } else {
+          console.warn(`✗ ${test.name} failed: expected no solution, got ${result.bondEquivalentYield}`);
+        }
+      }
+    } catch (error) {
+      console.error(`✗ ${test.name} threw error:`, error);
+    }
+  });
+  
+  // Day-count reference values (ISDA 2006 and SIA worked examples)
+  const dayCountTests = [
+    { convention: '30/360', start: '2006-08-20', end: '2007-02-20', expected: 0.5 },
+    { convention: '30/360', start: '2007-02-28', end: '2007-08-31', expected: 0.5 },
+    { convention: '30/360', start: '2007-01-31', end: '2007-02-28', expected: 28 / 360 },
+    { convention: '30E/360', start: '2007-02-28', end: '2007-08-31', expected: 182 / 360 },
+    { convention: '30E/360', start: '2006-08-31', end: '2007-02-28', expected: 178 / 360 },
+    {
+      convention: 'ACT/ACT-ICMA', start: '2003-11-01', end: '2004-05-01', expected: 0.5,
+      period: { periodStart: '2003-11-01', periodEnd: '2004-05-01', frequency: 2 }
+    },
+    {
+      convention: 'ACT/ACT-ICMA', start: '1999-02-01', end: '1999-07-01', expected: 150 / 365,
+      period: { periodStart: '1998-07-01', periodEnd: '1999-07-01', frequency: 1 }
+    },
+    { convention: 'ACT/ACT-ISDA', start: '2003-11-01', end: '2004-05-01', expected: 0.497724380567 },
+    { convention: 'ACT/ACT-ISDA', start: '1999-02-01', end: '1999-07-01', expected: 0.410958904110 },
+    { convention: 'ACT/360', start: '2003-11-01', end: '2004-05-01', expected: 182 / 360 },
+    { convention: 'ACT/365F', start: '2003-11-01', end: '2004-05-01', expected: 182 / 365 }
+  ];
+  
+  dayCountTests.forEach(test => {
+    const name = `Day count ${test.convention} ${test.start} to ${test.end}`;
+    try {
+      const period = test.period ? {
+        periodStart: parseISODate(test.period.periodStart),
+        periodEnd: parseISODate(test.period.periodEnd),
+        frequency: test.period.frequency
+      } : undefined;
+      const result = yearFraction(test.convention, parseISODate(test.start), parseISODate(test.end), period);
+      
+      if (Math.abs(result - test.expected) <= 1e-10) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: expected ${test.expected}, got ${result}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
+  // The equation grows the price to settlement by the same exponent the pricer uses,
+  // 1 − firstPeriodFraction, which differs from the accrued fraction outside ACT/ACT
+  try {
+    const name = 'Equation settlement exponent matches the pricer for a 30/360 bond';
+    const result = calculateBondYTMMetrics({
+      bondPrice: 97, couponPayment: 6, faceValue: 100, frequency: 2, dayCount: '30/360',
+      termMode: 'dates', settlementDate: '2026-10-19', maturityDate: '2031-08-31'
+    });
+    const { settlement } = result;
+    const { firstPeriodFraction } = accrualFractions('30/360', settlement, settlement.settlementDate, 2);
+    const container = document.getElementById('dynamic-mathml-equation');
+    const shown = container ? container.innerHTML : '';
+    renderDynamicEquation(result, { bondPrice: 97, couponPayment: 6, faceValue: 100, frequency: 2 });
+    const exponent = container ? container.innerHTML.match(/<mn mathcolor="#15803d">(0\.\d{4})<\/mn>/) : null;
+    if (container) container.innerHTML = shown;
+    
+    if (exponent && Number(exponent[1]) === Number((1 - firstPeriodFraction).toFixed(4)) &&
+        Math.abs(settlement.accruedFraction - (1 - firstPeriodFraction)) > 1e-4) {
+      console.log(`✓ ${name} passed`);
+    } else {
+      console.warn(`✗ ${name} failed: shown ${exponent && exponent[1]}, expected ${(1 - firstPeriodFraction).toFixed(4)}`);
+    }
+  } catch (error) {
+    console.error('✗ Equation settlement exponent threw error:', error);
+  }
+  
+  // Periodicity conversions: 6% semiannual restated on other bases
+  const conversionTests = [
+    { from: 2, to: 1, rate: 0.06, expected: 0.0609 },
+    { from: 2, to: 12, rate: 0.06, expected: 12 * (Math.pow(1.03, 1 / 6) - 1) },
+    { from: 2, to: 'continuous', rate: 0.06, expected: 2 * Math.log(1.03) },
+    { from: 'continuous', to: 2, rate: 2 * Math.log(1.03), expected: 0.06 }
+  ];
+  
+  conversionTests.forEach(test => {
+    const name = `Convert ${test.rate.toFixed(4)} from ${test.from} to ${test.to} compounding`;
+    try {
+      const result = convertYield(test.rate, test.from, test.to);
+      
+      if (Math.abs(result - test.expected) <= 1e-12) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: expected ${test.expected}, got ${result}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
+  // Inverse solves: each input is recovered from the other four at the bond's own YTM
+  const solveBase = { bondPrice: 95, couponPayment: 6, years: 5, faceValue: 100, frequency: 2 };
+  const solveYield = calculateBondYTMMetrics(solveBase).bondEquivalentYield;
+  const solveForTests = [
+    { variable: 'bondPrice', expected: solveBase.bondPrice },
+    { variable: 'couponPayment', expected: solveBase.couponPayment },
+    { variable: 'years', expected: solveBase.years },
+    { variable: 'faceValue', expected: solveBase.faceValue }
+  ];
+  
+  // A yield typed back in from the display solves to the bond's own whole-period term, with no stub
+  [3, 4].forEach(places => {
+    const name = `Solve for years from the YTM rounded to ${places} decimal places`;
+    try {
+      const roundedYield = Number((solveYield * 100).toFixed(places)) / 100;
+      const result = calculateBondYTMMetrics({ ...solveBase, solveFor: 'years', yieldRate: roundedYield });
+      
+      if (result.solved.value === solveBase.years && result.stub === null && result.periods === solveBase.years * solveBase.frequency) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: ${result.solved.value} years, stub ${JSON.stringify(result.stub)}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
+  solveForTests.forEach(test => {
+    const name = `Solve for ${test.variable} from the other inputs`;
+    try {
+      const result = calculateBondYTMMetrics({ ...solveBase, solveFor: test.variable, yieldRate: solveYield });
+      
+      if (Math.abs(result.solved.value - test.expected) <= 1e-6) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: expected ${test.expected}, got ${result.solved.value}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
+  // The old Zero-coupon frequency selects the zero-coupon instrument
+  try {
+    const name = 'Zero-coupon frequency selects a semiannual zero-coupon bond';
+    const zero = frequencySelection('zero');
+    const quarterly = frequencySelection('4');
+    
+    if (zero.instrumentType === 'zero' && zero.frequency === 2 &&
+        quarterly.frequency === 4 && quarterly.instrumentType === undefined) {
+      console.log(`✓ ${name} passed`);
+    } else {
+      console.warn(`✗ ${name} failed: got ${JSON.stringify(zero)}`);
+    }
+  } catch (error) {
+    console.error('✗ Zero-coupon frequency threw error:', error);
+  }
+  
+  // Combinations that cannot be solved report no solution instead of throwing
+  [
+    { name: 'perpetual', params: { instrumentType: 'perpetual', solveFor: 'years' } },
+    { name: 'floating-rate note', params: { instrumentType: 'frn', solveFor: 'bondPrice' } },
+    { name: 'amortizing bond', params: { principalType: 'level', solveFor: 'years' } }
+  ].forEach(test => {
+    const name = `Unsolvable ${test.name} solve reports no solution`;
+    try {
+      const result = calculateBondYTMMetrics({ ...solveBase, ...test.params, yieldRate: solveYield });
+      
+      if (result.solved.value === null && result.solverStatus === 'no-solution' && result.solved.reason) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: got ${result.solved.value} (${result.solverStatus})`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
+  // At a negative yield no maturity prices this bond below par: the empty schedule near 0 is not a root
+  try {
+    const name = 'Solve for years at a -5% yield and a price of 97 has no solution';
+    const result = calculateBondYTMMetrics({ ...solveBase, bondPrice: 97, solveFor: 'years', yieldRate: -0.05 });
+    
+    if (result.solved.value === null && result.solverStatus === 'no-solution') {
+      console.log(`✓ ${name} passed`);
+    } else {
+      console.warn(`✗ ${name} failed: got ${result.solved.value} years (${result.solverStatus})`);
+    }
+  } catch (error) {
+    console.error('✗ Negative-yield maturity solve threw error:', error);
+  }
+  
+  // Money-market yields: 90-day and 364-day bills
+  const moneyMarketTests = [
+    {
+      name: '90-day bill at 98.75: discount, money-market and bond-equivalent yields',
+      inputs: { faceValue: 100, days: 90, price: 98.75 },
+      check: (r) => Math.abs(r.discountYield - 0.05) <= 1e-12 &&
+        Math.abs(r.moneyMarketYield - 1.25 / 98.75 * 360 / 90) <= 1e-12 &&
+        Math.abs(r.bondEquivalentYield - 1.25 / 98.75 * 365 / 90) <= 1e-12
+    },
+    {
+      name: '364-day bill BEY matches a semiannual bond with one coupon paid',
+      inputs: { faceValue: 100, days: 364, price: 95 },
+      check: (r) => Math.abs(95 * (1 + r.bondEquivalentYield / 2) * (1 + (364 / 365 - 0.5) * r.bondEquivalentYield) - 100) <= 1e-9
+    }
+  ];
+  
+  moneyMarketTests.forEach(test => {
+    try {
+      const result = calculateMoneyMarketYields(test.inputs);
+      
+      if (test.check(result)) {
+        console.log(`✓ ${test.name} passed`);
+      } else {
+        console.warn(`✗ ${test.name} failed: got`, result);
       }
     } catch (error) {
       console.error(`✗ ${test.name} threw error:`, error);
     }
   });
   
+  // Good Friday is a bond-market holiday: a payment due then rolls to the Monday after Easter
+  [['2026-04-03', '2026-04-06'], ['2027-03-26', '2027-03-29']].forEach(([due, paid]) => {
+    const name = `Payment due on Good Friday ${due} rolls to ${paid}`;
+    try {
+      const rolled = rollToBusinessDay(parseISODate(due));
+      
+      if (formatISODate(rolled) === paid) {
+        console.log(`✓ ${name} passed`);
+      } else {
+        console.warn(`✗ ${name} failed: rolled to ${formatISODate(rolled)}`);
+      }
+    } catch (error) {
+      console.error(`✗ ${name} threw error:`, error);
+    }
+  });
+  
   console.log('Self-tests complete');
 }
 
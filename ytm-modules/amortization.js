@@ -0,0 +1,72 @@
+/**
+ * Principal Schedule Module
+ * Bullet, level-amortizing, custom and sinking-fund principal repayment
+ */
+
+/**
+ * Ways the face value can be repaid
+ */
+export const PRINCIPAL_TYPES = {
+  bullet: { label: 'Bullet (all at maturity)' },
+  level: { label: 'Level amortization' },
+  custom: { label: 'Custom per period' },
+  sinking: { label: 'Sinking fund' }
+};
+
+/** Principal type used until one is chosen */
+export const DEFAULT_PRINCIPAL_TYPE = 'bullet';
+
+/**
+ * Share of the face value repaid in each remaining period
+ *
+ * Level amortization repays an equal share every period. Custom and
+ * sinking-fund schedules repay the percentages given for each period, and
+ * whatever is still outstanding is repaid at maturity.
+ *
+ * @param {Object} params - Schedule terms
+ * @param {string} params.principalType - Key of PRINCIPAL_TYPES
+ * @param {number} params.periods - Remaining coupon periods
+ * @param {number[]} [params.percentages] - Percent of face value repaid in each period (custom and sinking fund)
+ * @returns {number[]|null} Shares summing to 1, or null for a bullet bond
+ */
+export function buildPrincipalShares({ principalType, periods, percentages = [] }) {
+  if (!principalType || principalType === 'bullet') return null;
+
+  if (principalType === 'level') {
+    return Array(periods).fill(1 / periods);
+  }
+
+  const shares = Array.from({ length: periods }, (_, k) => (percentages[k] || 0) / 100);
+  const repaidEarly = shares.slice(0, -1).reduce((sum, share) => sum + share, 0);
+  shares[periods - 1] = 1 - repaidEarly;
+  return shares;
+}
+
+/**
+ * Share of the face value outstanding at the start of each period
+ * @param {number[]} principalShares - Shares from buildPrincipalShares
+ * @returns {number[]} Outstanding shares (the first is 1)
+ */
+export function outstandingShares(principalShares) {
+  let outstanding = 1;
+  return principalShares.map(share => {
+    const start = outstanding;
+    outstanding -= share;
+    return start;
+  });
+}
+
+/**
+ * Weighted average life: the average time until principal is repaid
+ *
+ * WAL = Σ t × principal_t ÷ Σ principal_t, with t in years.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows (period 0 is the purchase)
+ * @returns {number|null} Weighted average life in years, or null with no principal
+ */
+export function weightedAverageLife(cashFlows) {
+  const repayments = cashFlows.filter(cf => cf.period > 0 && cf.principalPayment > 0);
+  const principal = repayments.reduce((sum, cf) => sum + cf.principalPayment, 0);
+  if (principal <= 0) return null;
+  return repayments.reduce((sum, cf) => sum + cf.timeYears * cf.principalPayment, 0) / principal;
+}
@@ -3,73 +3,120 @@
  * Pure functions for yield-to-maturity calculations using numerical methods
  */
 
+import { parseNumberList } from './utils.js';
+import { solveRoot, SOLVER_STATUS } from './solver.js';
+import { parseISODate, buildCouponSchedule, buildPeriodSchedule, daysBetween, DEFAULT_STUB_TYPE } from './schedule.js';
+import { accrualFractions, DEFAULT_DAY_COUNT } from './day-count.js';
+import { rollToBusinessDay } from './calendar.js';
+import { PRINCIPAL_TYPES, buildPrincipalShares, outstandingShares, weightedAverageLife } from './amortization.js';
+import { REFERENCE_PATH_TYPES, projectReferenceRates } from './floating-rate.js';
+import { indexCashFlows, breakevenInflation } from './inflation.js';
+import { calculateIRR } from './irr.js';
+import { priceOffCurve, discountFactorAt, shiftSpotCurve } from './curve.js';
+import { calculateBenchmarkSpreads, calculateZSpread } from './spreads.js';
+import { calculateKeyRateDurations } from './key-rates.js';
+import { MAX_TREE_STEPS, buildRateTree, valueOnTree, solveOptionAdjustedSpread } from './rate-tree.js';
+
 /**
- * Calculate bond yield-to-maturity using bisection method
+ * Calculate bond yield-to-maturity with a bracketing root-finder
+ * 
+ * The solver grows its bracket as needed, so negative yields (price above the
+ * undiscounted sum of cash flows) and very high yields are found rather than
+ * clamped. When no yield reproduces the price, the yield fields are null and
+ * `solverStatus` is 'no-solution'.
+ * 
+ * Between coupon dates, pass the full (dirty) price as `bondPrice`, the number
+ * of remaining coupons as `periods` and the fraction of a period until the
+ * next coupon as `firstPeriodFraction`; cash flow k is then discounted over
+ * k - 1 + firstPeriodFraction periods.
+ * 
+ * For a maturity that is not a whole number of periods, pass the stub
+ * timing from buildPeriodSchedule as `couponSchedule`: each coupon is then
+ * prorated by its fraction and discounted over its own fractional time.
+ * 
+ * An amortizing bond passes `principalShares` (see buildPrincipalShares):
+ * principal is repaid in every period and each coupon is paid on the balance
+ * still outstanding.
+ * 
+ * A floating-rate note passes `couponPayments`, the projected annual coupon
+ * of each period, in place of the fixed `couponPayment`.
  * 
  * @param {Object} params - Bond parameters
- * @param {number} params.bondPrice - Current bond price
+ * @param {number} params.bondPrice - Current bond price (full price if between coupons)
  * @param {number} params.couponPayment - Annual coupon payment (dollars)
  * @param {number} params.years - Years to maturity
  * @param {number} params.faceValue - Face value of the bond
  * @param {number} params.frequency - Payment frequency per year (2 for semiannual)
+ * @param {number} [params.periods] - Remaining coupon periods (defaults to years × frequency)
+ * @param {number} [params.firstPeriodFraction=1] - Fraction of a period until the next coupon
+ * @param {Array} [params.couponSchedule] - Stub timing [{ time, fraction }] (overrides periods)
+ * @param {number[]} [params.principalShares] - Share of face value repaid each period (bullet when omitted)
+ * @param {number[]} [params.couponPayments] - Annual coupon of each period (floating-rate notes)
  * @returns {Object} YTM calculation results
  */
-export function calculateYTM({ bondPrice, couponPayment, years, faceValue, frequency }) {
+export function calculateYTM({ bondPrice, couponPayment, years, faceValue, frequency, periods, firstPeriodFraction = 1, couponSchedule = null, principalShares = null, couponPayments = null }) {
   // Ensure all inputs are numbers
   bondPrice = Number(bondPrice);
   couponPayment = Number(couponPayment);
   years = Number(years);
   faceValue = Number(faceValue);
   frequency = Number(frequency);
+  periods = couponSchedule ? couponSchedule.length : (periods === undefined ? years * frequency : Number(periods));
+  firstPeriodFraction = Number(firstPeriodFraction);
   
-  const periods = years * frequency;
   const couponPaymentPerPeriod = couponPayment / frequency; // Convert annual to periodic
   
-  // Build cash flow array
+  // Build cash flow array (stub coupons are prorated, amortizing coupons
+  // paid on the outstanding balance)
+  const outstanding = principalShares ? outstandingShares(principalShares) : null;
   const cashFlows = [];
   for (let i = 0; i < periods; i++) {
-    if (i === periods - 1) {
+    const fraction = couponSchedule ? couponSchedule[i].fraction : 1;
+    const periodCoupon = couponPayments ? couponPayments[i] / frequency : couponPaymentPerPeriod;
+    const coupon = periodCoupon * fraction * (outstanding ? outstanding[i] : 1);
+    if (principalShares) {
+      cashFlows.push(coupon + faceValue * principalShares[i]);
+    } else if (i === periods - 1) {
       // Last period includes coupon + face value
-      cashFlows.push(couponPaymentPerPeriod + faceValue);
+      cashFlows.push(coupon + faceValue);
     } else {
-      cashFlows.push(couponPaymentPerPeriod);
+      cashFlows.push(coupon);
     }
   }
   
+  // Discounting periods for each cash flow (fractional when between coupons or after a stub)
+  const discountPeriods = couponSchedule
+    ? couponSchedule.map(p => p.time)
+    : cashFlows.map((cf, t) => t + firstPeriodFraction);
+  
   // Present value function for a given yield
   const presentValue = (yieldPerPeriod) => {
     return cashFlows.reduce((pv, cf, t) => {
-      return pv + cf / Math.pow(1 + yieldPerPeriod, t + 1);
+      return pv + cf / Math.pow(1 + yieldPerPeriod, discountPeriods[t]);
     }, 0);
   };
   
-  // Bisection method to find YTM
-  let low = 0;
-  let high = 1.0; // 100% per period as upper bound
-  let iterations = 0;
-  const maxIterations = 200;
-  const tolerance = 0.0000001;
+  // Slope of the price-yield curve, used for Newton steps
+  const presentValueSlope = (yieldPerPeriod) => {
+    return cashFlows.reduce((slope, cf, t) => {
+      return slope - discountPeriods[t] * cf / Math.pow(1 + yieldPerPeriod, discountPeriods[t] + 1);
+    }, 0);
+  };
   
-  while (iterations < maxIterations && (high - low) > tolerance) {
-    const mid = (low + high) / 2;
-    const pv = presentValue(mid);
-    
-    if (pv > bondPrice) {
-      // Price too high, yield too low, increase yield
-      low = mid;
-    } else {
-      // Price too low, yield too high, decrease yield
-      high = mid;
-    }
-    
-    iterations++;
-  }
+  const solution = solveRoot((y) => presentValue(y) - bondPrice, {
+    lower: 0,
+    upper: 0.1,
+    min: -1, // Yield per period must stay above -100%
+    derivative: presentValueSlope,
+    tolerance: 1e-10
+  });
   
-  const yieldPerPeriod = (low + high) / 2;
+  const yieldPerPeriod = solution.root;
+  const hasSolution = yieldPerPeriod !== null;
   
   // Convert periodic yield to annual yields
-  const bondEquivalentYield = yieldPerPeriod * frequency; // BEY (simple annualization)
-  const effectiveAnnualYield = Math.pow(1 + yieldPerPeriod, frequency) - 1; // EAY (compound)
+  const bondEquivalentYield = hasSolution ? yieldPerPeriod * frequency : null; // BEY (simple annualization)
+  const effectiveAnnualYield = hasSolution ? Math.pow(1 + yieldPerPeriod, frequency) - 1 : null; // EAY (compound)
   
   return {
     yieldPerPeriod,
@@ -78,40 +125,503 @@ export function calculateYTM({ bondPrice, couponPayment, years, faceValue, frequ
     periods,
     couponPayment: couponPaymentPerPeriod, // Per-period payment for display
     cashFlows,
-    iterations
+    iterations: solution.iterations,
+    converged: solution.converged,
+    solverStatus: solution.status,
+    residual: solution.residual
+  };
+}
+
+/**
+ * Instrument types the calculator can price
+ */
+export const INSTRUMENT_TYPES = {
+  coupon: { label: 'Coupon bond' },
+  zero: { label: 'Zero-coupon bond' },
+  perpetual: { label: 'Perpetual bond' },
+  frn: { label: 'Floating-rate note' },
+  linker: { label: 'Inflation-linked bond' }
+};
+
+/** Years of a perpetual's coupons shown before the "∞" tail */
+export const PERPETUAL_DISPLAY_YEARS = 10;
+
+/**
+ * Wrap a closed-form yield per period in the calculateYTM result shape
+ */
+function closedFormResult(yieldPerPeriod, { frequency, periods, couponPerPeriod, cashFlows }) {
+  const hasSolution = yieldPerPeriod !== null && Number.isFinite(yieldPerPeriod) && yieldPerPeriod > -1;
+  const y = hasSolution ? yieldPerPeriod : null;
+  
+  return {
+    yieldPerPeriod: y,
+    bondEquivalentYield: hasSolution ? y * frequency : null,
+    effectiveAnnualYield: hasSolution ? Math.pow(1 + y, frequency) - 1 : null,
+    periods,
+    couponPayment: couponPerPeriod,
+    cashFlows,
+    iterations: 0,
+    converged: hasSolution,
+    solverStatus: hasSolution ? SOLVER_STATUS.CONVERGED : SOLVER_STATUS.NO_SOLUTION,
+    residual: 0,
+    closedForm: true
+  };
+}
+
+/**
+ * Yield of a zero-coupon bond (closed form)
+ * 
+ * r/m = (FV / PV)^(1/n) − 1, where n is the (possibly fractional) number of
+ * compounding periods until the face value is paid.
+ * 
+ * @param {Object} params - Bond parameters
+ * @param {number} params.bondPrice - Full price
+ * @param {number} params.faceValue - Face value paid at maturity
+ * @param {number} params.frequency - Compounding periods per year
+ * @param {number} params.periods - Compounding periods shown in the schedule
+ * @param {number} params.discountPeriods - Periods until the face value is paid
+ * @returns {Object} Result in the calculateYTM shape, with `closedForm: true`
+ */
+export function calculateZeroCouponYield({ bondPrice, faceValue, frequency, periods, discountPeriods }) {
+  const y = bondPrice > 0 && faceValue > 0 && discountPeriods > 0
+    ? Math.pow(faceValue / bondPrice, 1 / discountPeriods) - 1
+    : null;
+  
+  return closedFormResult(y, {
+    frequency,
+    periods,
+    couponPerPeriod: 0,
+    cashFlows: [...Array(Math.max(periods - 1, 0)).fill(0), faceValue]
+  });
+}
+
+/**
+ * Yield of a perpetual bond (closed form)
+ * 
+ * A coupon of PMT/m every period forever is worth (PMT/m) ÷ (r/m), so
+ * r = PMT / PV: the yield equals the current yield.
+ * 
+ * @param {Object} params - Bond parameters
+ * @param {number} params.bondPrice - Price
+ * @param {number} params.couponPayment - Annual coupon payment
+ * @param {number} params.frequency - Payment frequency per year
+ * @returns {Object} Result in the calculateYTM shape, with `closedForm: true`
+ */
+export function calculatePerpetualYield({ bondPrice, couponPayment, frequency }) {
+  const couponPerPeriod = couponPayment / frequency;
+  const y = bondPrice > 0 && couponPayment > 0 ? couponPerPeriod / bondPrice : null;
+  
+  return closedFormResult(y, {
+    frequency,
+    periods: Infinity,
+    couponPerPeriod,
+    cashFlows: []
+  });
+}
+
+/**
+ * Discount margin of a floating-rate note
+ * 
+ * Coupon k pays (MRR_k + QM) / m × FV, where MRR_k is the reference rate
+ * fixed for that period and QM the quoted margin. The discount margin DM is
+ * the spread over the same reference path that prices the note:
+ * 
+ * PV = Σ CF_k / Π_{j ≤ k} (1 + (MRR_j + DM) / m)^τ_j
+ * 
+ * where τ_j is the length of period j in periods (the first is the fraction
+ * left until the next reset). A note priced at par on a reset date has
+ * DM = QM; below par DM > QM, above par DM < QM.
+ * 
+ * @param {Object} params - Note terms
+ * @param {number} params.bondPrice - Full price
+ * @param {number} params.faceValue - Face value repaid at maturity
+ * @param {number} params.frequency - Resets (and coupons) per year
+ * @param {number} params.quotedMargin - Quoted margin over the reference rate (decimal)
+ * @param {number[]} params.referenceRates - Reference rate fixed for each period (decimal)
+ * @param {number[]} params.discountPeriods - Periods from settlement to each coupon
+ * @param {number[]} params.fractions - Share of a regular coupon paid each period (stubs)
+ * @returns {Object} { discountMargin, converged, solverStatus, residual, iterations };
+ *   the margin is null when no spread reproduces the price
+ */
+export function calculateDiscountMargin({ bondPrice, faceValue, frequency, quotedMargin, referenceRates, discountPeriods, fractions }) {
+  const lastPeriod = referenceRates.length - 1;
+  const flows = referenceRates.map((rate, k) =>
+    faceValue * (rate + quotedMargin) / frequency * fractions[k] + (k === lastPeriod ? faceValue : 0));
+  
+  const priceAtMargin = (margin) => {
+    let discountFactor = 1;
+    return flows.reduce((pv, flow, k) => {
+      const elapsed = discountPeriods[k] - (k === 0 ? 0 : discountPeriods[k - 1]);
+      discountFactor /= Math.pow(1 + (referenceRates[k] + margin) / frequency, elapsed);
+      return pv + flow * discountFactor;
+    }, 0);
+  };
+  
+  const solution = solveRoot((margin) => priceAtMargin(margin) - bondPrice, {
+    lower: 0,
+    upper: 0.01,
+    min: -frequency - Math.min(...referenceRates), // Each period's discount rate must stay above -100%
+    tolerance: 1e-10
+  });
+  
+  return {
+    discountMargin: solution.root,
+    converged: solution.converged,
+    solverStatus: solution.status,
+    residual: solution.residual,
+    iterations: solution.iterations
+  };
+}
+
+/**
+ * Full price of a bond from its yield-to-maturity (closed form)
+ * 
+ * PV = [PMT/m × (1 − (1 + r/m)^−n) / (r/m) + FV × (1 + r/m)^−n] × (1 + r/m)^(1 − w)
+ * 
+ * where w is the fraction of a period until the next coupon. With stub
+ * periods (`couponSchedule`) or amortization (`principalShares`) the flows
+ * are discounted one by one instead.
+ * 
+ * @param {Object} params - Bond parameters
+ * @param {number} params.yieldRate - Annual yield-to-maturity (decimal, BEY)
+ * @param {number} params.couponPayment - Annual coupon payment (dollars)
+ * @param {number} params.faceValue - Face value of the bond
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {number} params.periods - Remaining coupon periods
+ * @param {number} [params.firstPeriodFraction=1] - Fraction of a period until the next coupon
+ * @param {Array} [params.couponSchedule] - Stub timing [{ time, fraction }] (overrides periods)
+ * @param {number[]} [params.principalShares] - Share of face value repaid each period (bullet when omitted)
+ * @returns {number} Full (dirty) price
+ */
+export function priceFromYield({ yieldRate, couponPayment, faceValue, frequency, periods, firstPeriodFraction = 1, couponSchedule = null, principalShares = null }) {
+  const y = yieldRate / frequency;
+  const coupon = couponPayment / frequency;
+  
+  if (couponSchedule || principalShares) {
+    const count = couponSchedule ? couponSchedule.length : periods;
+    const outstanding = principalShares ? outstandingShares(principalShares) : null;
+    let pv = 0;
+    for (let k = 0; k < count; k++) {
+      const time = couponSchedule ? couponSchedule[k].time : k + firstPeriodFraction;
+      const fraction = couponSchedule ? couponSchedule[k].fraction : 1;
+      const principal = principalShares ? faceValue * principalShares[k] : (k === count - 1 ? faceValue : 0);
+      pv += (coupon * fraction * (outstanding ? outstanding[k] : 1) + principal) * Math.pow(1 + y, -time);
+    }
+    return pv;
+  }
+  
+  const discount = Math.pow(1 + y, -periods);
+  const annuityFactor = y === 0 ? periods : (1 - discount) / y;
+  
+  return (coupon * annuityFactor + faceValue * discount) * Math.pow(1 + y, 1 - firstPeriodFraction);
+}
+
+/**
+ * Solve for the annual coupon that prices the bond at a given yield
+ * 
+ * Between coupon dates the quoted price is clean, so accrued interest (which
+ * itself depends on the coupon) is added before comparing with the model price.
+ * 
+ * @param {Object} params - Bond parameters (yieldRate, faceValue, frequency, periods, firstPeriodFraction, couponSchedule, principalShares)
+ * @param {number} params.bondPrice - Quoted (clean) price
+ * @param {number} [params.accruedFraction=0] - Share of a coupon accrued at settlement
+ * @returns {Object} { value, converged, status }; value is null when no coupon ≥ 0 fits
+ */
+export function solveCouponFromYield({ bondPrice, yieldRate, faceValue, frequency, periods, firstPeriodFraction = 1, accruedFraction = 0, couponSchedule = null, principalShares = null }) {
+  const terms = { yieldRate, faceValue, frequency, periods, firstPeriodFraction, couponSchedule, principalShares };
+  const pricingError = (coupon) => {
+    return priceFromYield({ ...terms, couponPayment: coupon }) - (bondPrice + coupon / frequency * accruedFraction);
+  };
+  
+  // Price is linear in the coupon, so the slope is constant
+  const slope = pricingError(1) - pricingError(0);
+  
+  const solution = solveRoot(pricingError, {
+    lower: 0,
+    upper: 10,
+    min: 0, // A coupon cannot be negative
+    derivative: () => slope
+  });
+  
+  return { value: solution.root, converged: solution.converged, status: solution.status };
+}
+
+/**
+ * Shortest stub kept when solving for the maturity, in periods: anything
+ * shorter rounds to 0.00 or 1.00 periods on screen and means nothing
+ */
+const MIN_STUB_PERIODS = 0.005;
+
+/** Largest pricing error (currency) accepted at a solved maturity */
+const MATURITY_RESIDUAL_TOLERANCE = 1e-6;
+
+/**
+ * Solve for the number of periods to maturity that prices the bond at a given yield
+ * 
+ * The term is solved as a continuous n, with the leftover fraction of a
+ * period priced as a stub of the chosen type, so the answer need not be a
+ * whole number of coupon periods. A term within MIN_STUB_PERIODS of a whole
+ * number of periods (as from a yield rounded for display) is snapped onto the
+ * regular schedule. When the coupon rate equals the yield the price barely
+ * depends on the maturity and there is no unique answer. The price jumps to 0
+ * as the term shrinks to nothing, so a "root" shorter than MIN_STUB_PERIODS,
+ * with no cash flows, or that leaves a pricing error is no solution.
+ * 
+ * @param {Object} params - Bond parameters (bondPrice, yieldRate, couponPayment, faceValue, frequency)
+ * @param {string} [params.stubType='short-first'] - Where the odd period goes (see STUB_TYPES)
+ * @returns {Object} { value, converged, status }; value is periods, or null
+ */
+export function solveMaturityFromYield({ bondPrice, yieldRate, couponPayment, faceValue, frequency, stubType = DEFAULT_STUB_TYPE }) {
+  const terms = { yieldRate, couponPayment, faceValue, frequency };
+  
+  if (Math.abs(couponPayment / frequency - yieldRate / frequency * faceValue) < 1e-12) {
+    return { value: null, converged: false, status: SOLVER_STATUS.NO_SOLUTION };
+  }
+  
+  const pricingError = (n) => priceFromYield({ ...terms, couponSchedule: buildPeriodSchedule(n, stubType) }) - bondPrice;
+  const solution = solveRoot(pricingError, {
+    lower: 1,
+    upper: 2 * frequency,
+    min: 0, // At least some time must remain
+    maxExpansions: 40
+  });
+  
+  if (solution.root === null) {
+    return { value: null, converged: false, status: solution.status };
+  }
+  if (solution.root < MIN_STUB_PERIODS ||
+      buildPeriodSchedule(solution.root, stubType).length === 0 ||
+      !(Math.abs(solution.residual) <= MATURITY_RESIDUAL_TOLERANCE)) {
+    return { value: null, converged: false, status: SOLVER_STATUS.NO_SOLUTION };
+  }
+  
+  const whole = Math.round(solution.root);
+  const value = whole >= 1 && Math.abs(solution.root - whole) < MIN_STUB_PERIODS ? whole : solution.root;
+  return { value, converged: solution.converged, status: solution.status };
+}
+
+/**
+ * Solve for the face value that prices the bond at a given yield (closed form)
+ * @param {Object} params - Bond parameters (bondPrice, yieldRate, couponPayment, frequency, periods, firstPeriodFraction, couponSchedule, principalShares)
+ * @param {number} [params.accruedFraction=0] - Share of a coupon accrued at settlement
+ * @returns {Object} { value, converged, status }; value is null unless positive
+ */
+export function solveFaceValueFromYield({ bondPrice, yieldRate, couponPayment, frequency, periods, firstPeriodFraction = 1, accruedFraction = 0, couponSchedule = null, principalShares = null }) {
+  const fullPrice = bondPrice + couponPayment / frequency * accruedFraction;
+  const terms = { yieldRate, couponPayment, frequency, periods, firstPeriodFraction, couponSchedule, principalShares };
+  
+  // Price is linear in the face value: PV = couponPart + FV × facePart
+  const couponPart = priceFromYield({ ...terms, faceValue: 0 });
+  const facePart = priceFromYield({ ...terms, faceValue: 1 }) - couponPart;
+  const value = (fullPrice - couponPart) / facePart;
+  
+  return value > 0
+    ? { value, converged: true, status: SOLVER_STATUS.CONVERGED }
+    : { value: null, converged: false, status: SOLVER_STATUS.NO_SOLUTION };
+}
+
+/**
+ * Variables the calculator can solve for, keyed by input name
+ */
+export const SOLVE_FOR_VARIABLES = {
+  yieldRate: { label: 'Yield-to-maturity' },
+  bondPrice: { label: 'Bond price' },
+  couponPayment: { label: 'Annual coupon payment' },
+  years: { label: 'Years to maturity' },
+  faceValue: { label: 'Face value' }
+};
+
+/**
+ * Fill in the variable being solved for from the other four inputs
+ * 
+ * Returns the inputs with the missing one replaced by its solution. A
+ * maturity that is not a whole number of periods is priced with a stub of
+ * `params.stubType`, so the bond is built on exactly the solved term. An
+ * amortizing bond's principal schedule depends on its term, so its maturity
+ * cannot be solved for. Combinations like that have no solution: `value` is
+ * null and `reason` says why.
+ * 
+ * @param {Object} params - Input parameters, including `solveFor` and `yieldRate` (decimal)
+ * @returns {Object} { inputs, solved: { variable, value, periods, yieldRate, status, reason? } }
+ */
+export function resolveSolveFor(params) {
+  const { solveFor, yieldRate } = params;
+  const frequency = Number(params.frequency);
+  const inputs = { ...params };
+  const unsolvable = (reason, periods) => ({
+    inputs,
+    solved: { variable: solveFor, value: null, periods, yieldRate, status: SOLVER_STATUS.NO_SOLUTION, reason }
+  });
+  
+  // A perpetual is worth PMT / r, so the price and coupon solve directly
+  if (params.instrumentType === 'perpetual') {
+    if (solveFor !== 'bondPrice' && solveFor !== 'couponPayment') {
+      return unsolvable(`A perpetual bond has no ${SOLVE_FOR_VARIABLES[solveFor].label.toLowerCase()} to solve for.`, Infinity);
+    }
+    let value = null;
+    if (yieldRate > 0) {
+      value = solveFor === 'bondPrice'
+        ? Number(params.couponPayment) / yieldRate
+        : yieldRate * Number(params.bondPrice);
+    }
+    if (value !== null) inputs[solveFor] = value;
+    return {
+      inputs,
+      solved: {
+        variable: solveFor,
+        value,
+        periods: Infinity,
+        yieldRate,
+        status: value === null ? SOLVER_STATUS.NO_SOLUTION : SOLVER_STATUS.CONVERGED
+      }
+    };
+  }
+  
+  // The discount margin is solved from the price alongside the yield
+  if (params.instrumentType === 'frn') {
+    return unsolvable('A floating-rate note solves for its yield and discount margin from the price.', null);
+  }
+  
+  if (solveFor === 'years' && isAmortizing(params)) {
+    return unsolvable('An amortizing bond repays its principal on a schedule set by its term, so it has no single maturity to solve for.', null);
+  }
+  
+  // Coupon timing does not depend on the coupon amount, so any amount locates settlement
+  const dated = params.termMode === 'dates' ? calculateAccruedInterest({ ...params, couponPayment: 0 }) : null;
+  const couponSchedule = dated ? null : buildPeriodSchedule(Number(params.years) * frequency, params.stubType);
+  const periods = dated ? dated.periods : couponSchedule.length;
+  const timing = {
+    periods,
+    firstPeriodFraction: dated ? dated.firstPeriodFraction : 1,
+    accruedFraction: dated ? dated.accruedFraction : 0,
+    couponSchedule,
+    principalShares: resolvePrincipalShares(params, {
+      frequency,
+      periods,
+      couponDates: dated ? dated.couponDates : null,
+      couponSchedule
+    })
   };
+  const terms = {
+    bondPrice: Number(params.bondPrice),
+    couponPayment: Number(params.couponPayment),
+    faceValue: Number(params.faceValue),
+    yieldRate,
+    frequency
+  };
+  
+  let result;
+  switch (solveFor) {
+    case 'bondPrice': {
+      const fullPrice = priceFromYield({ ...terms, ...timing });
+      const value = fullPrice - terms.couponPayment / frequency * timing.accruedFraction;
+      result = { value, converged: true, status: SOLVER_STATUS.CONVERGED };
+      break;
+    }
+    case 'couponPayment':
+      result = solveCouponFromYield({ ...terms, ...timing });
+      break;
+    case 'years':
+      result = solveMaturityFromYield({ ...terms, stubType: params.stubType });
+      break;
+    case 'faceValue':
+      result = solveFaceValueFromYield({ ...terms, ...timing });
+      break;
+    default:
+      throw new Error(`Unknown variable to solve for: ${solveFor}`);
+  }
+  
+  const solved = {
+    variable: solveFor,
+    value: result.value,
+    periods: solveFor === 'years' ? result.value : periods,
+    yieldRate,
+    status: result.status
+  };
+  
+  if (result.value !== null) {
+    if (solveFor === 'years') {
+      solved.value = result.value / frequency;
+      inputs.years = solved.value;
+    } else {
+      inputs[solveFor] = result.value;
+    }
+  }
+  
+  return { inputs, solved };
 }
 
 /**
  * Generate cash flow schedule for the bond
+ * 
+ * Period 0 is the purchase at settlement. Between coupon dates the buyer pays
+ * the clean price plus accrued interest, and each later flow falls
+ * k - 1 + firstPeriodFraction periods after settlement. With stub periods,
+ * `couponSchedule` sets each flow's time and prorates its coupon. With
+ * `principalShares` the face value is repaid across the periods and each
+ * coupon is paid on the balance outstanding during its period, and with
+ * `couponPayments` each period pays its own projected annual coupon.
+ * 
  * @param {Object} params - Bond parameters and calculated values
+ * @param {number} [params.periods] - Remaining coupon periods (defaults to years × frequency)
+ * @param {number} [params.firstPeriodFraction=1] - Fraction of a period until the next coupon
+ * @param {number} [params.accruedInterest=0] - Accrued interest paid at settlement
+ * @param {Date[]} [params.couponDates] - Payment dates, when the bond is dated
+ * @param {Date} [params.settlementDate] - Settlement date, when the bond is dated
+ * @param {Array} [params.couponSchedule] - Stub timing [{ time, fraction }] (overrides periods)
+ * @param {number[]} [params.principalShares] - Share of face value repaid each period (bullet when omitted)
+ * @param {number[]} [params.couponPayments] - Annual coupon of each period (floating-rate notes)
  * @returns {Array} Array of cash flow objects
  */
-export function generateCashFlows({ bondPrice, faceValue, frequency, years, couponPayment, ytmPerPeriod }) {
-  const periods = years * frequency;
+export function generateCashFlows({
+  bondPrice,
+  faceValue,
+  frequency,
+  years,
+  couponPayment,
+  ytmPerPeriod,
+  periods = years * frequency,
+  firstPeriodFraction = 1,
+  accruedInterest = 0,
+  couponDates = null,
+  settlementDate = null,
+  couponSchedule = null,
+  principalShares = null,
+  couponPayments = null
+}) {
   const cashFlows = [];
+  if (couponSchedule) periods = couponSchedule.length;
+  const outstanding = principalShares ? outstandingShares(principalShares) : null;
   
   // Period 0: Initial purchase (negative cash flow)
   cashFlows.push({
     period: 0,
     timeYears: 0,
+    date: settlementDate,
     couponPayment: 0,
     principalPayment: -bondPrice,
-    totalCashFlow: -bondPrice
+    accruedInterest: -accruedInterest,
+    totalCashFlow: -(bondPrice + accruedInterest)
   });
   
   // Periodic cash flows
   for (let t = 1; t <= periods; t++) {
-    const timeYears = t / frequency;
-    const coupon = couponPayment;
-    const principal = (t === periods) ? faceValue : 0;
+    const timeYears = couponSchedule
+      ? couponSchedule[t - 1].time / frequency
+      : (t - 1 + firstPeriodFraction) / frequency;
+    const fraction = couponSchedule ? couponSchedule[t - 1].fraction : 1;
+    const periodCoupon = couponPayments ? couponPayments[t - 1] / frequency : couponPayment;
+    const coupon = periodCoupon * fraction * (outstanding ? outstanding[t - 1] : 1);
+    const principal = principalShares ? faceValue * principalShares[t - 1] : (t === periods ? faceValue : 0);
     const total = coupon + principal;
     
     cashFlows.push({
       period: t,
       timeYears,
+      date: couponDates ? couponDates[t - 1] : null,
       couponPayment: coupon,
       principalPayment: principal,
+      accruedInterest: 0,
       totalCashFlow: total
     });
   }
@@ -119,6 +629,330 @@ export function generateCashFlows({ bondPrice, faceValue, frequency, years, coup
   return cashFlows;
 }
 
+/**
+ * Generate the cash flows of a perpetual bond
+ * 
+ * The first PERPETUAL_DISPLAY_YEARS of coupons are listed one by one; the
+ * rest of the never-ending stream is a single tail flow marked
+ * `perpetualTail`, which pricing and duration value in closed form.
+ * 
+ * @param {Object} params - Bond parameters
+ * @param {number} params.bondPrice - Price paid at settlement
+ * @param {number} params.couponPayment - Coupon per period
+ * @param {number} params.frequency - Payment frequency per year
+ * @returns {Array} Array of cash flow objects
+ */
+export function generatePerpetualCashFlows({ bondPrice, couponPayment, frequency }) {
+  const shownPeriods = PERPETUAL_DISPLAY_YEARS * frequency;
+  const cashFlows = [{
+    period: 0,
+    timeYears: 0,
+    date: null,
+    couponPayment: 0,
+    principalPayment: -bondPrice,
+    accruedInterest: 0,
+    totalCashFlow: -bondPrice
+  }];
+  
+  for (let t = 1; t <= shownPeriods + 1; t++) {
+    cashFlows.push({
+      period: t,
+      timeYears: t / frequency,
+      date: null,
+      couponPayment,
+      principalPayment: 0,
+      accruedInterest: 0,
+      totalCashFlow: couponPayment,
+      perpetualTail: t === shownPeriods + 1
+    });
+  }
+  
+  return cashFlows;
+}
+
+/**
+ * Locate a settlement date within its coupon period
+ * @param {Object} params - Dated bond parameters
+ * @param {string} params.settlementDate - Settlement date (YYYY-MM-DD)
+ * @param {string} params.maturityDate - Maturity date (YYYY-MM-DD)
+ * @param {number} params.couponPayment - Annual coupon payment (dollars)
+ * @param {number} params.frequency - Payment frequency per year
+ * @param {string} [params.dayCount] - Day-count convention key (see day-count.js)
+ * @returns {Object|null} Schedule, accrual and accrued interest, or null for invalid dates
+ */
+export function calculateAccruedInterest({ settlementDate, maturityDate, couponPayment, frequency, dayCount = DEFAULT_DAY_COUNT }) {
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  
+  if (!settlement || !maturity || maturity <= settlement) {
+    return null;
+  }
+  
+  const schedule = buildCouponSchedule({
+    settlementDate: settlement,
+    maturityDate: maturity,
+    frequency: Number(frequency)
+  });
+  const accrual = accrualFractions(dayCount, schedule, settlement, Number(frequency));
+  const couponPerPeriod = Number(couponPayment) / Number(frequency);
+  
+  return {
+    ...schedule,
+    ...accrual,
+    dayCount,
+    settlementDate: settlement,
+    maturityDate: maturity,
+    periods: schedule.couponDates.length,
+    accruedInterest: couponPerPeriod * accrual.accruedFraction
+  };
+}
+
+/**
+ * Present value of one cash flow with its time-weighted sums
+ * 
+ * A perpetual tail (`perpetualTail: true`) stands for its coupon paid every
+ * period from its own period onwards. Its sums have closed forms: with
+ * v = 1/(1 + y), Σ v^j = 1/y, Σ j v^j = (1 + y)/y² and
+ * Σ j² v^j = (1 + y)(2 + y)/y³.
+ * 
+ * @param {Object} cf - Cash flow object from generateCashFlows
+ * @param {number} yieldPerPeriod - Yield per period
+ * @param {number} frequency - Payment frequency per year
+ * @returns {Object} { pv, timeWeighted, convexityWeighted } with t in periods
+ */
+function presentValueMoments(cf, yieldPerPeriod, frequency) {
+  const onePlusR = 1 + yieldPerPeriod;
+  const t = cf.timeYears * frequency;
+  
+  if (!cf.perpetualTail) {
+    const pv = cf.totalCashFlow / Math.pow(onePlusR, t);
+    return { pv, timeWeighted: t * pv, convexityWeighted: t * (t + 1) * pv };
+  }
+  
+  // A never-ending stream has no finite value at a yield of zero or below
+  const y = yieldPerPeriod;
+  if (y <= 0) {
+    return { pv: Infinity, timeWeighted: Infinity, convexityWeighted: Infinity };
+  }
+  
+  // Coupons fall at s + 1, s + 2, ... periods
+  const s = t - 1;
+  const base = cf.couponPayment / Math.pow(onePlusR, s);
+  const sum0 = 1 / y;
+  const sum1 = onePlusR / (y * y);
+  const sum2 = onePlusR * (2 + y) / (y * y * y);
+  
+  return {
+    pv: base * sum0,
+    timeWeighted: base * (s * sum0 + sum1),
+    convexityWeighted: base * (s * (s + 1) * sum0 + (2 * s + 1) * sum1 + sum2)
+  };
+}
+
+/**
+ * Full price of a cash-flow stream at a yield per period
+ * @param {Array} cashFlows - Cash flow objects from generateCashFlows
+ * @param {number} yieldPerPeriod - Yield per period
+ * @param {number} frequency - Payment frequency per year
+ * @returns {number} Present value of the flows after settlement
+ */
+export function priceCashFlows(cashFlows, yieldPerPeriod, frequency) {
+  return cashFlows
+    .filter(cf => cf.period > 0)
+    .reduce((pv, cf) => pv + presentValueMoments(cf, yieldPerPeriod, frequency).pv, 0);
+}
+
+/**
+ * Duration and convexity of a bond at its yield-to-maturity
+ * 
+ * Macaulay duration is the PV-weighted average time to each cash flow;
+ * modified duration divides it by (1 + r/m). The approximate (effective)
+ * figures reprice the bond with the yield shifted up and down by
+ * `yieldShift` and take finite differences. Times are measured in periods
+ * from settlement, so fractional first periods are handled exactly, and a
+ * perpetual tail contributes its closed-form sums.
+ * 
+ * Results are given per period and annualized (durations ÷ m,
+ * convexities ÷ m²).
+ * 
+ * @param {Array} cashFlows - Cash flow objects from generateCashFlows
+ * @param {number} yieldPerPeriod - Yield-to-maturity per period
+ * @param {number} frequency - Payment frequency per year
+ * @param {number} [yieldShift=0.0001] - Annual yield shift for the approximations (decimal)
+ * @returns {Object} { price, yieldShift, periodic, annual }
+ */
+export function calculateDurationConvexity(cashFlows, yieldPerPeriod, frequency, yieldShift = 0.0001) {
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  const onePlusR = 1 + yieldPerPeriod;
+  
+  let price = 0;
+  let weightedTime = 0;
+  let weightedConvexity = 0;
+  flows.forEach(cf => {
+    const { pv, timeWeighted, convexityWeighted } = presentValueMoments(cf, yieldPerPeriod, frequency);
+    price += pv;
+    weightedTime += timeWeighted;
+    weightedConvexity += convexityWeighted;
+  });
+  
+  const macaulay = weightedTime / price;
+  const modified = macaulay / onePlusR;
+  const convexity = weightedConvexity / (price * onePlusR * onePlusR);
+  
+  // Finite differences on the yield per period
+  const shift = yieldShift / frequency;
+  const priceDown = priceCashFlows(cashFlows, yieldPerPeriod - shift, frequency);
+  const priceUp = priceCashFlows(cashFlows, yieldPerPeriod + shift, frequency);
+  const approximateModified = (priceDown - priceUp) / (2 * price * shift);
+  const approximateConvexity = (priceDown + priceUp - 2 * price) / (price * shift * shift);
+  
+  const periodic = {
+    macaulay,
+    modified,
+    approximateModified,
+    convexity,
+    approximateConvexity
+  };
+  
+  return {
+    price,
+    priceDown,
+    priceUp,
+    yieldShift,
+    periodic,
+    annual: {
+      macaulay: macaulay / frequency,
+      modified: modified / frequency,
+      approximateModified: approximateModified / frequency,
+      convexity: convexity / (frequency * frequency),
+      approximateConvexity: approximateConvexity / (frequency * frequency)
+    }
+  };
+}
+
+/**
+ * Money duration and price value of a basis point (PVBP / DV01)
+ * 
+ * Money duration is annual modified duration times the full price: the
+ * approximate price change for a 100% change in yield. PVBP is the average
+ * full-price change for a 1 bp move down and up in the yield.
+ * 
+ * @param {Array} cashFlows - Cash flow objects from generateCashFlows
+ * @param {number} yieldPerPeriod - Yield-to-maturity per period
+ * @param {number} frequency - Payment frequency per year
+ * @returns {Object} { price, moneyDuration, pvbp }
+ */
+export function calculateMoneyDuration(cashFlows, yieldPerPeriod, frequency) {
+  const { price, annual } = calculateDurationConvexity(cashFlows, yieldPerPeriod, frequency);
+  const shift = 0.0001 / frequency;
+  const priceDown = priceCashFlows(cashFlows, yieldPerPeriod - shift, frequency);
+  const priceUp = priceCashFlows(cashFlows, yieldPerPeriod + shift, frequency);
+  
+  return {
+    price,
+    moneyDuration: annual.modified * price,
+    pvbp: (priceDown - priceUp) / 2
+  };
+}
+
+/**
+ * Estimate the full-price change for a parallel yield move
+ * 
+ * Compares the duration-only estimate (−ModDur × Δy), the estimate with the
+ * convexity adjustment (+ ½ × Convexity × Δy²) and the exact change from
+ * repricing every cash flow at the shifted yield.
+ * 
+ * @param {Array} cashFlows - Cash flow objects from generateCashFlows
+ * @param {number} yieldPerPeriod - Yield-to-maturity per period
+ * @param {number} frequency - Payment frequency per year
+ * @param {number} shiftBp - Change in the annual yield, in basis points
+ * @returns {Object} { shiftBp, price, durationOnly, withConvexity, exact },
+ *   each estimate as { percentChange, priceChange, newPrice }
+ */
+export function estimatePriceChange(cashFlows, yieldPerPeriod, frequency, shiftBp) {
+  const { price, annual } = calculateDurationConvexity(cashFlows, yieldPerPeriod, frequency);
+  const deltaYield = shiftBp / 10000;
+  
+  const toEstimate = (percentChange) => ({
+    percentChange,
+    priceChange: percentChange * price,
+    newPrice: price * (1 + percentChange)
+  });
+  
+  const durationEffect = -annual.modified * deltaYield;
+  const convexityEffect = 0.5 * annual.convexity * deltaYield * deltaYield;
+  const repriced = priceCashFlows(cashFlows, yieldPerPeriod + deltaYield / frequency, frequency);
+  
+  return {
+    shiftBp,
+    price,
+    durationOnly: toEstimate(durationEffect),
+    withConvexity: toEstimate(durationEffect + convexityEffect),
+    exact: toEstimate(repriced / price - 1)
+  };
+}
+
+/**
+ * Effective duration and convexity from parallel shifts of rates
+ * 
+ * The bond is repriced with rates moved down and up by `shift`. A bond with
+ * calls or puts is revalued on rate trees fitted to the shifted spot curve at
+ * its option-adjusted spread, so exercise can change with rates; a bond priced
+ * off the spot curve is repriced off the shifted curve at its Z-spread; any
+ * other bond is repriced at its yield-to-maturity moved by the shift.
+ * EffDur = (PV₋ − PV₊) ÷ (2 × Δ × PV₀) and
+ * EffCon = (PV₋ + PV₊ − 2 × PV₀) ÷ (Δ² × PV₀), both per unit of annual rate.
+ * 
+ * @param {Object} calculations - Result of calculateBondYTMMetrics
+ * @param {number} frequency - Payment frequency per year
+ * @param {number} shift - Parallel shift in annual rates (decimal)
+ * @returns {Object|null} { basis: 'tree'|'curve'|'yield', shift, price,
+ *   priceDown, priceUp, duration, convexity }, or null when the bond cannot
+ *   be repriced at both shifts
+ */
+export function calculateEffectiveMeasures(calculations, frequency, shift) {
+  const { cashFlows, yieldPerPeriod, dirtyPrice, curvePricing, optionAdjusted } = calculations;
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  let basis;
+  let reprice;
+  
+  if (optionAdjusted && optionAdjusted.oas !== null) {
+    basis = 'tree';
+    const { oas, volatility, calls, puts } = optionAdjusted;
+    const times = flows.map(cf => cf.timeYears);
+    const payments = flows.map(cf => cf.totalCashFlow);
+    reprice = (delta) => {
+      const tree = buildRateTree(shiftSpotCurve(curvePricing.spotCurve, delta), times, volatility);
+      return tree ? valueOnTree(tree, payments, { spread: oas, calls, puts }).value : null;
+    };
+  } else if (curvePricing) {
+    const { zSpread } = calculateZSpread(cashFlows, curvePricing.spotCurve, dirtyPrice);
+    if (zSpread === null) return null;
+    basis = 'curve';
+    reprice = (delta) => flows.reduce((pv, cf) =>
+      pv + cf.totalCashFlow * discountFactorAt(curvePricing.spotCurve, cf.timeYears, zSpread + delta), 0);
+  } else {
+    if (yieldPerPeriod === null) return null;
+    basis = 'yield';
+    reprice = (delta) => priceCashFlows(cashFlows, yieldPerPeriod + delta / frequency, frequency);
+  }
+  
+  const price = reprice(0);
+  const priceDown = reprice(-shift);
+  const priceUp = reprice(shift);
+  if (price === null || priceDown === null || priceUp === null) return null;
+  
+  return {
+    basis,
+    shift,
+    price,
+    priceDown,
+    priceUp,
+    duration: (priceDown - priceUp) / (2 * shift * price),
+    convexity: (priceDown + priceUp - 2 * price) / (shift * shift * price)
+  };
+}
+
 /**
  * Determine bond pricing relationship (premium, discount, par)
  * @param {number} bondPrice - Current bond price
@@ -150,39 +984,865 @@ export function analyzeBondPricing(bondPrice, faceValue) {
   }
 }
 
+/**
+ * Map an exercise date in an option schedule onto a coupon period
+ * 
+ * Exercise happens on a coupon date: in years mode `entry.years` must be a
+ * whole number of periods; in date mode `entry.date` must match a remaining
+ * coupon date. Exercise at maturity is not an option and is rejected.
+ * 
+ * @param {Object} entry - Schedule entry { years, date, price }
+ * @param {Object} bond - Bond terms (frequency, periods, couponDates)
+ * @returns {number|null} Coupon periods until exercise, or null if not a valid exercise date
+ */
+export function resolveExercisePeriod(entry, { frequency, periods, couponDates, couponSchedule }) {
+  let exercisePeriods = null;
+  
+  if (couponDates) {
+    const date = parseISODate(entry.date);
+    const index = date ? couponDates.findIndex(d => d.getTime() === date.getTime()) : -1;
+    exercisePeriods = index >= 0 ? index + 1 : null;
+  } else if (couponSchedule) {
+    const raw = Number(entry.years) * frequency;
+    const index = couponSchedule.findIndex(p => Math.abs(p.time - raw) < 1e-9);
+    exercisePeriods = index >= 0 ? index + 1 : null;
+  } else {
+    const raw = Number(entry.years) * frequency;
+    exercisePeriods = Math.abs(raw - Math.round(raw)) < 1e-9 ? Math.round(raw) : null;
+  }
+  
+  if (exercisePeriods === null || exercisePeriods < 1 || exercisePeriods >= periods) {
+    return null;
+  }
+  return exercisePeriods;
+}
+
+/**
+ * Solve the yield to each exercise date in an option schedule
+ * 
+ * Each yield uses the same full price and coupon stream as the YTM but stops
+ * at the exercise date, where the bond is redeemed at the exercise price.
+ * 
+ * @param {Array} schedule - Entries { years, date, price }
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @returns {Array} One result per valid entry, sorted by exercise date
+ */
+export function calculateExerciseYields(schedule, bond) {
+  const { dirtyPrice, couponPayment, frequency, firstPeriodFraction, couponDates, couponSchedule } = bond;
+  
+  return schedule
+    .map(entry => ({ entry, exercisePeriods: resolveExercisePeriod(entry, bond) }))
+    .filter(({ exercisePeriods }) => exercisePeriods !== null)
+    .sort((a, b) => a.exercisePeriods - b.exercisePeriods)
+    .map(({ entry, exercisePeriods }) => {
+      const price = Number(entry.price);
+      const exerciseSchedule = couponSchedule ? couponSchedule.slice(0, exercisePeriods) : null;
+      const timeYears = exerciseSchedule
+        ? exerciseSchedule[exercisePeriods - 1].time / frequency
+        : (exercisePeriods - 1 + firstPeriodFraction) / frequency;
+      
+      const result = calculateYTM({
+        bondPrice: dirtyPrice,
+        couponPayment,
+        years: timeYears,
+        faceValue: price,
+        frequency,
+        periods: exercisePeriods,
+        firstPeriodFraction,
+        couponSchedule: exerciseSchedule
+      });
+      
+      return {
+        price,
+        periods: exercisePeriods,
+        timeYears,
+        date: couponDates ? couponDates[exercisePeriods - 1] : null,
+        yieldPerPeriod: result.yieldPerPeriod,
+        bondEquivalentYield: result.bondEquivalentYield,
+        converged: result.converged,
+        solverStatus: result.solverStatus
+      };
+    });
+}
+
+/**
+ * Yield-to-call for every call date, and the yield-to-worst
+ * 
+ * Yield-to-worst is the lowest of the YTM and every yield-to-call; the
+ * binding redemption is the date (call or maturity) that produces it. Its
+ * cash-flow stream is returned so the chart and table can show it.
+ * 
+ * @param {Array} callSchedule - Entries { years, date, price }
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @param {Object} ytmData - Result of calculateYTM for redemption at maturity
+ * @returns {Object} { calls, yieldToWorst, worst, worstCashFlows }
+ */
+export function analyzeCallSchedule(callSchedule, bond, ytmData) {
+  const calls = calculateExerciseYields(callSchedule, bond);
+  
+  const maturity = {
+    type: 'maturity',
+    price: bond.faceValue,
+    periods: bond.periods,
+    timeYears: bond.years,
+    date: bond.couponDates ? bond.couponDates[bond.periods - 1] : null,
+    bondEquivalentYield: ytmData.bondEquivalentYield
+  };
+  
+  const candidates = [maturity, ...calls.map(call => ({ type: 'call', ...call }))]
+    .filter(candidate => candidate.bondEquivalentYield !== null);
+  
+  if (candidates.length === 0) {
+    return { calls, yieldToWorst: null, worst: null, worstCashFlows: null };
+  }
+  
+  const worst = candidates.reduce((lowest, candidate) =>
+    candidate.bondEquivalentYield < lowest.bondEquivalentYield ? candidate : lowest
+  );
+  
+  const worstCashFlows = generateCashFlows({
+    bondPrice: bond.cleanPrice,
+    faceValue: worst.price,
+    frequency: bond.frequency,
+    years: worst.timeYears,
+    couponPayment: bond.couponPayment / bond.frequency,
+    periods: worst.periods,
+    firstPeriodFraction: bond.firstPeriodFraction,
+    accruedInterest: bond.accruedInterest,
+    couponDates: bond.couponDates,
+    settlementDate: bond.settlementDate,
+    couponSchedule: bond.couponSchedule ? bond.couponSchedule.slice(0, worst.periods) : null
+  });
+  
+  return {
+    calls,
+    yieldToWorst: worst.bondEquivalentYield,
+    worst,
+    worstCashFlows
+  };
+}
+
+/**
+ * Yield-to-put for every put date
+ * 
+ * The bondholder may sell the bond back to the issuer at the put price on
+ * each put date, so each put date carries its own yield alongside the YTM.
+ * 
+ * @param {Array} putSchedule - Entries { years, date, price }
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @returns {Object} { puts }
+ */
+export function analyzePutSchedule(putSchedule, bond) {
+  return {
+    puts: calculateExerciseYields(putSchedule, bond)
+  };
+}
+
+/**
+ * True yield: the YTM with each payment made on the date it is actually paid
+ * 
+ * The street convention discounts every coupon from its scheduled date, even
+ * when that date is a weekend or holiday. Here each payment is rolled to the
+ * next business day and discounted over the extra days as a fraction of its
+ * coupon period, so the true yield is slightly below the street yield
+ * whenever a payment is delayed. Only dated bonds have a calendar to roll.
+ * 
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @returns {Object|null} { bondEquivalentYield, yieldPerPeriod, rolledPayments,
+ *   converged, solverStatus }, or null without coupon dates
+ */
+export function calculateTrueYield(bond) {
+  const { dirtyPrice, couponPayment, faceValue, frequency, firstPeriodFraction, couponDates, previousCouponDate, principalShares, couponPayments } = bond;
+  if (!couponDates || !previousCouponDate) return null;
+  
+  const outstanding = principalShares ? outstandingShares(principalShares) : null;
+  const flows = couponDates.map((date, k) => {
+    const periodStart = k === 0 ? previousCouponDate : couponDates[k - 1];
+    const delayDays = daysBetween(date, rollToBusinessDay(date));
+    const principal = principalShares ? faceValue * principalShares[k] : (k === couponDates.length - 1 ? faceValue : 0);
+    const annualCoupon = couponPayments ? couponPayments[k] : couponPayment;
+    const amount = annualCoupon / frequency * (outstanding ? outstanding[k] : 1) + principal;
+    return {
+      amount,
+      delayDays,
+      periods: k + firstPeriodFraction + delayDays / daysBetween(periodStart, date)
+    };
+  });
+  
+  const presentValue = (y) => flows.reduce((pv, flow) =>
+    pv + flow.amount / Math.pow(1 + y, flow.periods), 0);
+  const presentValueSlope = (y) => flows.reduce((slope, flow) =>
+    slope - flow.periods * flow.amount / Math.pow(1 + y, flow.periods + 1), 0);
+  
+  const solution = solveRoot((y) => presentValue(y) - dirtyPrice, {
+    lower: 0,
+    upper: 0.1,
+    min: -1,
+    derivative: presentValueSlope,
+    tolerance: 1e-10
+  });
+  
+  return {
+    yieldPerPeriod: solution.root,
+    bondEquivalentYield: solution.root === null ? null : solution.root * frequency,
+    rolledPayments: flows.filter(flow => flow.delayDays > 0).length,
+    converged: solution.converged,
+    solverStatus: solution.status
+  };
+}
+
+/**
+ * Street, true, current and simple yields side by side
+ * 
+ * Current yield = annual coupon / clean price (ignores the pull to par).
+ * Simple yield = [annual coupon + (face − clean price) / years] / clean price,
+ * the Japanese convention that spreads the gain or loss to par evenly over
+ * the remaining life without compounding.
+ * 
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @param {Object} ytmData - Result of calculateYTM
+ * @returns {Object} { streetYield, trueYield, currentYield, simpleYield }
+ */
+export function calculateYieldMeasures(bond, ytmData) {
+  const { cleanPrice, couponPayment, faceValue, years } = bond;
+  
+  return {
+    streetYield: ytmData.bondEquivalentYield,
+    trueYield: calculateTrueYield(bond),
+    currentYield: cleanPrice > 0 ? couponPayment / cleanPrice : null,
+    simpleYield: cleanPrice > 0 && years > 0
+      ? (couponPayment + (faceValue - cleanPrice) / years) / cleanPrice
+      : null
+  };
+}
+
+/**
+ * Check whether a bond repays principal before maturity
+ * @param {Object} params - Input parameters from state
+ * @returns {boolean} True for a coupon bond with a non-bullet principal schedule
+ */
+function isAmortizing(params) {
+  return (params.instrumentType || 'coupon') === 'coupon' &&
+    Boolean(params.principalType) && params.principalType !== 'bullet';
+}
+
+/**
+ * Share of the face value repaid in each period under the bond's principal schedule
+ * 
+ * Custom schedules list a percentage of face value per period; sinking-fund
+ * retirements fall on coupon dates, located like call dates.
+ * 
+ * @param {Object} params - Input parameters (principalType, customPrincipal, sinkingFund)
+ * @param {Object} bond - Bond timing (frequency, periods, couponDates, couponSchedule)
+ * @returns {number[]|null} Shares from buildPrincipalShares, or null for a bullet bond
+ */
+function resolvePrincipalShares(params, bond) {
+  if (!isAmortizing(params)) return null;
+  
+  let percentages = [];
+  if (params.principalType === 'custom') {
+    percentages = parseNumberList(params.customPrincipal) || [];
+  } else if (params.principalType === 'sinking') {
+    percentages = Array(bond.periods).fill(0);
+    (params.sinkingFund || []).forEach(entry => {
+      const period = resolveExercisePeriod(entry, bond);
+      if (period !== null) percentages[period - 1] += Number(entry.percent);
+    });
+  }
+  
+  return buildPrincipalShares({ principalType: params.principalType, periods: bond.periods, percentages });
+}
+
+/**
+ * Weighted average life and yield-to-average-life of an amortizing bond
+ * 
+ * The yield-to-average-life prices the bond as if all its principal were
+ * repaid at the weighted average life: the full coupon is paid on the bond's
+ * own coupon dates until then, plus a coupon prorated to the average life.
+ * 
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @param {Array} cashFlows - Amortizing cash flows
+ * @param {string} principalType - Key of PRINCIPAL_TYPES
+ * @returns {Object} { principalType, label, weightedAverageLife, yieldToAverageLife,
+ *   converged, finalPrincipal }
+ */
+export function analyzeAmortization(bond, cashFlows, principalType) {
+  const { frequency, periods, firstPeriodFraction, couponSchedule } = bond;
+  const averageLife = weightedAverageLife(cashFlows);
+  
+  let result = null;
+  if (averageLife !== null) {
+    // Coupon periods up to the average life, the last cut short where it falls
+    const bondTiming = couponSchedule ||
+      Array.from({ length: periods }, (_, k) => ({ time: k + firstPeriodFraction, fraction: 1 }));
+    const end = averageLife * frequency;
+    const endIndex = bondTiming.findIndex(p => p.time >= end - 1e-9);
+    const last = bondTiming[endIndex];
+    const averageLifeSchedule = [
+      ...bondTiming.slice(0, endIndex),
+      { time: end, fraction: Math.abs(last.time - end) < 1e-9 ? last.fraction : end - (last.time - last.fraction) }
+    ];
+    
+    result = calculateYTM({
+      bondPrice: bond.dirtyPrice,
+      couponPayment: bond.couponPayment,
+      years: averageLife,
+      faceValue: bond.faceValue,
+      frequency,
+      couponSchedule: averageLifeSchedule
+    });
+  }
+  
+  return {
+    principalType,
+    label: PRINCIPAL_TYPES[principalType].label,
+    weightedAverageLife: averageLife,
+    yieldToAverageLife: result ? result.bondEquivalentYield : null,
+    converged: result ? result.converged : false,
+    finalPrincipal: cashFlows[cashFlows.length - 1].principalPayment
+  };
+}
+
+/**
+ * Metrics for a perpetual bond, in the calculateBondYTMMetrics shape
+ * 
+ * There is no maturity, redemption or accrued interest: the yield is
+ * PMT / PV and the analytics value the whole stream, including its tail.
+ * Call and put schedules are not applied.
+ * 
+ * @param {Object} params - Input parameters from state
+ * @returns {Object} Perpetual bond calculations with `perpetual: true`
+ */
+function calculatePerpetualMetrics(params) {
+  const cleanPrice = Number(params.bondPrice);
+  const couponPayment = Number(params.couponPayment);
+  const frequency = Number(params.frequency);
+  const faceValue = Number(params.faceValue);
+  
+  const ytmData = calculatePerpetualYield({ bondPrice: cleanPrice, couponPayment, frequency });
+  const cashFlows = generatePerpetualCashFlows({
+    bondPrice: cleanPrice,
+    couponPayment: ytmData.couponPayment,
+    frequency
+  });
+  
+  const hasYield = ytmData.yieldPerPeriod !== null;
+  
+  return {
+    ...ytmData,
+    years: Infinity,
+    faceValue,
+    cleanPrice,
+    dirtyPrice: cleanPrice,
+    accruedInterest: 0,
+    couponSchedule: null,
+    stub: null,
+    settlement: null,
+    cashFlows,
+    durationAnalysis: hasYield ? calculateDurationConvexity(cashFlows, ytmData.yieldPerPeriod, frequency) : null,
+    moneyDuration: hasYield ? calculateMoneyDuration(cashFlows, ytmData.yieldPerPeriod, frequency) : null,
+    pricingAnalysis: analyzeBondPricing(cleanPrice, faceValue),
+    yieldMeasures: {
+      streetYield: ytmData.bondEquivalentYield,
+      trueYield: null,
+      currentYield: cleanPrice > 0 ? couponPayment / cleanPrice : null,
+      simpleYield: null
+    },
+    amortization: null,
+    floatingRate: null,
+    inflationLinked: null,
+    curvePricing: null,
+    keyRateDurations: null,
+    benchmarkSpreads: null,
+    callAnalysis: null,
+    putAnalysis: null,
+    optionAdjusted: null,
+    perpetual: true
+  };
+}
+
+/**
+ * Project a floating-rate note's annual coupon for each remaining period
+ * @param {Object} params - Input parameters (referenceRate, quotedMargin, referencePathType, forwardPath, faceValue)
+ * @param {number} periods - Remaining coupon periods
+ * @returns {number[]} Annual coupon of each period: FV × (MRR_k + QM)
+ */
+function projectFloatingCoupons(params, periods) {
+  const quotedMargin = Number(params.quotedMargin);
+  return projectReferenceRates({ ...params, periods })
+    .map(rate => Number(params.faceValue) * (rate + quotedMargin));
+}
+
+/**
+ * Quoted and discount margins of a floating-rate note
+ * @param {Object} params - Input parameters from state
+ * @param {Object} bond - Bond terms from calculateBondYTMMetrics
+ * @returns {Object} { referencePathType, label, referenceRates, quotedMargin,
+ *   currentCouponRate, discountMargin, converged, solverStatus, residual, iterations }
+ */
+function analyzeFloatingRate(params, bond) {
+  const { periods, frequency, firstPeriodFraction, couponSchedule } = bond;
+  const referencePathType = params.referencePathType === 'forward' ? 'forward' : 'flat';
+  const referenceRates = projectReferenceRates({ ...params, referencePathType, periods });
+  const quotedMargin = Number(params.quotedMargin);
+  
+  const margin = calculateDiscountMargin({
+    bondPrice: bond.dirtyPrice,
+    faceValue: bond.faceValue,
+    frequency,
+    quotedMargin,
+    referenceRates,
+    discountPeriods: couponSchedule
+      ? couponSchedule.map(p => p.time)
+      : referenceRates.map((rate, k) => k + firstPeriodFraction),
+    fractions: couponSchedule ? couponSchedule.map(p => p.fraction) : referenceRates.map(() => 1)
+  });
+  
+  return {
+    referencePathType,
+    label: REFERENCE_PATH_TYPES[referencePathType].label,
+    referenceRates,
+    quotedMargin,
+    currentCouponRate: referenceRates[0] + quotedMargin,
+    ...margin
+  };
+}
+
+/**
+ * Real and nominal yields of an inflation-linked bond
+ * 
+ * The nominal yield is the yield of the indexed cash flows against the
+ * indexed purchase price, so it equals the real yield grown by the assumed
+ * inflation (the Fisher relation). Breakeven inflation is the rate at which
+ * the bond would match the comparable nominal bond.
+ * 
+ * @param {Object} params - Input parameters from state
+ * @param {Array} cashFlows - Real cash flows from generateCashFlows
+ * @param {Object} ytmData - Result of calculateYTM (the real yield)
+ * @param {number} frequency - Payments per year
+ * @returns {Object} { indexRatio, inflationRate, comparableYield, cashFlows,
+ *   realYield, nominalYield, breakevenInflation, approximateBreakeven,
+ *   invoicePrice, indexedPrincipal, finalIndexRatio }
+ */
+function analyzeInflationLinked(params, cashFlows, ytmData, frequency) {
+  const indexRatio = Number(params.indexRatio);
+  const inflationRate = Number(params.inflationRate);
+  const comparableYield = Number(params.comparableYield);
+  
+  const indexedCashFlows = indexCashFlows(cashFlows, { indexRatio, inflationRate });
+  const nominal = calculateIRR(
+    indexedCashFlows.map(cf => ({ time: cf.timeYears, amount: cf.totalCashFlow })),
+    frequency
+  );
+  
+  const realYield = ytmData.bondEquivalentYield;
+  const hasYield = realYield !== null;
+  const redemption = indexedCashFlows[indexedCashFlows.length - 1];
+  
+  return {
+    indexRatio,
+    inflationRate,
+    comparableYield,
+    cashFlows: indexedCashFlows,
+    realYield,
+    nominalYield: hasYield ? nominal.bondEquivalentYield : null,
+    breakevenInflation: hasYield ? breakevenInflation(realYield, comparableYield, frequency) : null,
+    approximateBreakeven: hasYield ? comparableYield - realYield : null,
+    invoicePrice: -indexedCashFlows[0].totalCashFlow,
+    indexedPrincipal: redemption.principalPayment,
+    finalIndexRatio: redemption.indexRatio
+  };
+}
+
+/**
+ * Compare the bond's price off the spot curve with its YTM price
+ * 
+ * The curve price discounts each cash flow at the spot rate for its date;
+ * the YTM price is the full price the solved yield discounts the flows to.
+ * A curve price above the YTM price means the bond yields more than the
+ * curve requires (it is cheap to the curve), as a credit or liquidity
+ * spread would; below it, the bond is rich. Discounting each flow through
+ * the successive one-period forwards instead reaches the same curve price.
+ * 
+ * @param {Object} spotCurve - Curve from bootstrapSpotCurve
+ * @param {Array} cashFlows - Cash flows from generateCashFlows
+ * @param {Object} prices - { dirtyPrice, accruedInterest } of the bond
+ * @param {number} frequency - Payments per year
+ * @returns {Object} { fullPrice, cleanPrice, ytmFullPrice, ytmCleanPrice,
+ *   difference, yieldAtCurvePrice, forwardPrice, curveFrequency, spotCurve, flows }
+ */
+function analyzeCurvePricing(spotCurve, cashFlows, { dirtyPrice, accruedInterest }, frequency) {
+  const { fullPrice, flows } = priceOffCurve(cashFlows, spotCurve);
+  
+  // The one flat yield that would discount the same flows to the curve price
+  const atCurvePrice = calculateIRR([
+    { time: 0, amount: -fullPrice },
+    ...flows.map(flow => ({ time: flow.timeYears, amount: flow.cashFlow }))
+  ], frequency);
+  
+  return {
+    fullPrice,
+    cleanPrice: fullPrice - accruedInterest,
+    ytmFullPrice: dirtyPrice,
+    ytmCleanPrice: dirtyPrice - accruedInterest,
+    difference: fullPrice - dirtyPrice,
+    yieldAtCurvePrice: atCurvePrice.bondEquivalentYield,
+    forwardPrice: flows.reduce((sum, flow) => sum + flow.cashFlow * flow.forwardDiscountFactor, 0),
+    curveFrequency: spotCurve.frequency,
+    spotCurve,
+    flows
+  };
+}
+
+/**
+ * Value the bond's calls and puts on a binomial rate tree and solve its OAS
+ * 
+ * The tree steps from one payment date to the next and is calibrated to the
+ * spot curve (see buildRateTree). The option-adjusted spread is the spread
+ * over every rate in the tree at which the bond, options included, is worth
+ * its full price. At that spread the call is worth the straight (option-free)
+ * value less the callable value, and the put the putable value less the
+ * straight value. The values on the tree with no spread are returned too.
+ * 
+ * @param {Object} spotCurve - Curve from bootstrapSpotCurve
+ * @param {Array} cashFlows - Cash flows from generateCashFlows
+ * @param {Object} schedules - { calls, puts }: exercise results ({ periods, price })
+ *   from analyzeCallSchedule and analyzePutSchedule
+ * @param {number} dirtyPrice - Full price of the bond
+ * @param {number} volatility - Annual rate volatility (decimal)
+ * @returns {Object|null} { volatility, oas, converged, straightValue, optionValue,
+ *   callValue, putValue, treeValue: { straight, withOptions }, calls, puts, tree,
+ *   nodes: { values, exercise } }, with values at the OAS (or no spread when
+ *   there is none); null when the bond has too many payments or the curve
+ *   cannot be fitted with positive rates
+ */
+function analyzeOptionAdjustedSpread(spotCurve, cashFlows, schedules, dirtyPrice, volatility) {
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  if (flows.length > MAX_TREE_STEPS) return null;
+  
+  const tree = buildRateTree(spotCurve, flows.map(cf => cf.timeYears), volatility);
+  if (!tree) return null;
+  
+  // Exercise on the payment date ending period k, at the nodes k steps in
+  const payments = flows.map(cf => cf.totalCashFlow);
+  const calls = schedules.calls.map(call => ({ node: call.periods, price: call.price }));
+  const puts = schedules.puts.map(put => ({ node: put.periods, price: put.price }));
+  
+  const { oas, converged } = solveOptionAdjustedSpread(tree, payments, dirtyPrice, { calls, puts });
+  const spread = oas === null ? 0 : oas;
+  const valueAtSpread = (options) => valueOnTree(tree, payments, { spread, ...options }).value;
+  const straightValue = valueAtSpread({});
+  const nodes = valueOnTree(tree, payments, { spread, calls, puts });
+  
+  return {
+    volatility,
+    oas,
+    converged: tree.converged && converged,
+    straightValue,
+    optionValue: nodes.value,
+    callValue: calls.length > 0 ? straightValue - valueAtSpread({ calls }) : null,
+    putValue: puts.length > 0 ? valueAtSpread({ puts }) - straightValue : null,
+    treeValue: {
+      straight: valueOnTree(tree, payments).value,
+      withOptions: valueOnTree(tree, payments, { calls, puts }).value
+    },
+    calls,
+    puts,
+    tree,
+    nodes: { values: nodes.values, exercise: nodes.exercise }
+  };
+}
+
+/**
+ * Summarise the odd coupon period in a stub schedule
+ * @param {Array} couponSchedule - Stub timing from buildPeriodSchedule
+ * @returns {Object|null} { position: 'first'|'last', length: 'short'|'long', fraction }
+ *   or null when every period is regular
+ */
+export function describeStub(couponSchedule) {
+  const index = couponSchedule.findIndex(p => Math.abs(p.fraction - 1) > 1e-9);
+  if (index < 0) return null;
+  
+  const { fraction } = couponSchedule[index];
+  return {
+    position: index === 0 ? 'first' : 'last',
+    length: fraction < 1 ? 'short' : 'long',
+    fraction
+  };
+}
+
 /**
  * Calculate all bond YTM metrics
+ * 
+ * With `termMode: 'dates'` the bond is priced at `settlementDate`: `bondPrice`
+ * is the quoted (clean) price, accrued interest is added to reach the full
+ * (dirty) price, and the YTM is solved with a fractional first period.
+ * Otherwise settlement is assumed to fall on a coupon date, and a term that is
+ * not a whole number of periods gets a stub of `stubType` (see STUB_TYPES).
+ * 
+ * A non-empty `callSchedule` ({ years, date, price } entries) adds
+ * yield-to-call for each call date and the yield-to-worst; a non-empty
+ * `putSchedule` in the same shape adds yield-to-put for each put date.
+ * `yieldMeasures` sets the YTM beside the true, current and simple yields.
+ * 
+ * `instrumentType` (see INSTRUMENT_TYPES) selects a closed-form yield for
+ * zero-coupon bonds and the perpetual model, which has no maturity.
+ * 
+ * A floating-rate note ('frn') takes `referenceRate` and `quotedMargin`
+ * (decimals) instead of a coupon, with `referencePathType` and `forwardPath`
+ * projecting the reference rate (see projectReferenceRates). Its yield is
+ * that of the projected cash flows, and `floatingRate` carries the discount
+ * margin. Call and put schedules are not applied.
+ * 
+ * An inflation-linked bond ('linker') is priced in real terms: the price,
+ * coupon and face value are per unit of unindexed principal, so the solved
+ * yield is the real yield. `indexRatio`, `inflationRate` and
+ * `comparableYield` (decimals) add `inflationLinked` with the indexed cash
+ * flows, the nominal yield and the breakeven inflation against the
+ * comparable nominal bond. Call and put schedules are not applied.
+ * 
+ * A `spotCurve` (see bootstrapSpotCurve) adds `curvePricing`, the bond's
+ * arbitrage-free price off the curve beside its YTM price, for bonds with
+ * fixed cash flows (not floating-rate or inflation-linked notes), and
+ * `keyRateDurations`, its sensitivity to each key rate on the curve (see
+ * calculateKeyRateDurations).
+ * 
+ * A `governmentCurve` or `swapCurve` ({ years, rate } entries, decimals) adds
+ * `benchmarkSpreads` for the same bonds: the G-spread and I-spread at the
+ * bond's maturity under each interpolation method, and the Z-spread over
+ * the `spotCurve` when there is one (see calculateBenchmarkSpreads).
+ * 
+ * A coupon bond with a `principalType` other than 'bullet' (see
+ * PRINCIPAL_TYPES) repays principal before maturity from `customPrincipal`
+ * or `sinkingFund` ({ years, date, percent } entries); the result carries
+ * `amortization` with the weighted average life and yield-to-average-life.
+ * Call and put schedules apply to bullet bonds only.
+ * 
+ * With a `spotCurve` and a `rateVolatility` (decimal), a bond with a call or
+ * put schedule also carries `optionAdjusted`: its embedded options valued on
+ * a binomial rate tree and its option-adjusted spread (see
+ * analyzeOptionAdjustedSpread).
+ * 
+ * With `solveFor` set to another input (see SOLVE_FOR_VARIABLES), that input
+ * is solved from the others and `yieldRate` first; the result carries
+ * `solved`. If the missing input has no solution only `solved` and the
+ * no-solution status are returned.
+ * 
  * @param {Object} params - Input parameters from state
  * @returns {Object} Complete YTM calculations
  */
 export function calculateBondYTMMetrics(params) {
-  const { bondPrice, couponPayment, years, faceValue, frequency } = params;
+  // Solve for a missing input first, then analyse the completed bond
+  if (params.solveFor && params.solveFor !== 'yieldRate') {
+    const { inputs, solved } = resolveSolveFor(params);
+    if (solved.value === null) {
+      return { solved, bondEquivalentYield: null, solverStatus: solved.status };
+    }
+    return { ...calculateBondYTMMetrics({ ...inputs, solveFor: 'yieldRate' }), solved };
+  }
   
-  // Calculate YTM
-  const ytmData = calculateYTM({
-    bondPrice,
-    couponPayment,
-    years,
-    faceValue,
-    frequency
-  });
+  if (params.instrumentType === 'perpetual') {
+    return calculatePerpetualMetrics(params);
+  }
+  
+  // A floating-rate note's current coupon was fixed at the last reset, so it
+  // sets accrued interest; later coupons follow the projected reference rate
+  const isFloating = params.instrumentType === 'frn';
+  if (isFloating) {
+    params = { ...params, couponPayment: projectFloatingCoupons(params, 1)[0] };
+  }
+  
+  const { bondPrice, couponPayment, faceValue, frequency } = params;
+  const isZeroCoupon = params.instrumentType === 'zero';
+  
+  const dated = params.termMode === 'dates' ? calculateAccruedInterest(params) : null;
+  
+  if (params.termMode === 'dates' && !dated) {
+    throw new Error('Settlement and maturity dates are invalid');
+  }
+  
+  const accruedInterest = dated ? dated.accruedInterest : 0;
+  const cleanPrice = Number(bondPrice);
+  const dirtyPrice = cleanPrice + accruedInterest;
+  
+  // In years mode a fractional term becomes a stub period
+  const couponSchedule = dated ? null : buildPeriodSchedule(params.years * frequency, params.stubType);
+  const periods = dated ? dated.periods : couponSchedule.length;
+  const firstPeriodFraction = dated ? dated.firstPeriodFraction : couponSchedule[0].time;
+  const years = dated
+    ? (periods - 1 + firstPeriodFraction) / frequency
+    : couponSchedule[periods - 1].time / frequency;
+  const couponDates = dated ? dated.couponDates : null;
+  
+  // Principal repaid before maturity (null for a bullet bond)
+  const principalShares = resolvePrincipalShares(params, { frequency: Number(frequency), periods, couponDates, couponSchedule });
+  
+  // Projected annual coupon of each period (null for a fixed coupon)
+  const couponPayments = isFloating ? projectFloatingCoupons(params, periods) : null;
+  
+  // Calculate YTM from the full price (closed form for a zero-coupon bond)
+  const ytmData = isZeroCoupon
+    ? calculateZeroCouponYield({
+      bondPrice: dirtyPrice,
+      faceValue: Number(faceValue),
+      frequency: Number(frequency),
+      periods,
+      discountPeriods: years * frequency
+    })
+    : calculateYTM({
+      bondPrice: dirtyPrice,
+      couponPayment,
+      years,
+      faceValue,
+      frequency,
+      periods,
+      firstPeriodFraction,
+      couponSchedule,
+      principalShares,
+      couponPayments
+    });
   
   // Generate cash flow schedule
   const cashFlows = generateCashFlows({
-    bondPrice,
+    bondPrice: cleanPrice,
     faceValue,
     frequency,
     years,
     couponPayment: ytmData.couponPayment,
-    ytmPerPeriod: ytmData.yieldPerPeriod
+    ytmPerPeriod: ytmData.yieldPerPeriod,
+    periods,
+    firstPeriodFraction,
+    accruedInterest,
+    couponDates,
+    settlementDate: dated ? dated.settlementDate : null,
+    couponSchedule,
+    principalShares,
+    couponPayments
   });
   
-  // Analyze bond pricing
-  const pricingAnalysis = analyzeBondPricing(bondPrice, faceValue);
+  // Duration and convexity at the yield-to-maturity
+  const durationAnalysis = ytmData.yieldPerPeriod !== null
+    ? calculateDurationConvexity(cashFlows, ytmData.yieldPerPeriod, frequency)
+    : null;
+  
+  // Money duration and PVBP at the yield-to-maturity
+  const moneyDuration = ytmData.yieldPerPeriod !== null
+    ? calculateMoneyDuration(cashFlows, ytmData.yieldPerPeriod, frequency)
+    : null;
+  
+  // Analyze bond pricing (quoted price against par)
+  const pricingAnalysis = analyzeBondPricing(cleanPrice, faceValue);
+  
+  // Terms shared by the embedded-option yield calculations
+  const bond = {
+    cleanPrice,
+    dirtyPrice,
+    accruedInterest,
+    couponPayment: Number(couponPayment),
+    faceValue: Number(faceValue),
+    frequency: Number(frequency),
+    periods,
+    years,
+    firstPeriodFraction,
+    couponDates,
+    previousCouponDate: dated ? dated.previousCouponDate : null,
+    settlementDate: dated ? dated.settlementDate : null,
+    couponSchedule,
+    principalShares,
+    couponPayments
+  };
+  
+  // Street, true, current and simple yields
+  const yieldMeasures = calculateYieldMeasures(bond, ytmData);
+  
+  // Weighted average life and yield-to-average-life for amortizing bonds
+  const amortization = principalShares
+    ? analyzeAmortization(bond, cashFlows, params.principalType)
+    : null;
+  
+  // Discount margin for floating-rate notes
+  const floatingRate = isFloating ? analyzeFloatingRate(params, bond) : null;
+  
+  // Indexed cash flows, nominal yield and breakeven inflation for linkers
+  const isInflationLinked = params.instrumentType === 'linker';
+  const inflationLinked = isInflationLinked
+    ? analyzeInflationLinked(params, cashFlows, ytmData, Number(frequency))
+    : null;
+  
+  // Arbitrage-free price off the spot curve, for bonds with fixed cash flows
+  const curvePricing = params.spotCurve && !isFloating && !isInflationLinked
+    ? analyzeCurvePricing(params.spotCurve, cashFlows, { dirtyPrice, accruedInterest }, Number(frequency))
+    : null;
+  const keyRateDurations = curvePricing
+    ? calculateKeyRateDurations(cashFlows, params.spotCurve, dirtyPrice)
+    : null;
+  
+  // G-, I- and Z-spreads over the benchmark curves, for the same bonds
+  const hasBenchmarks = params.governmentCurve || params.swapCurve || params.spotCurve;
+  const benchmarkSpreads = hasBenchmarks && !isFloating && !isInflationLinked && ytmData.bondEquivalentYield !== null
+    ? calculateBenchmarkSpreads(cashFlows, {
+      yieldRate: ytmData.bondEquivalentYield,
+      fullPrice: dirtyPrice,
+      governmentCurve: params.governmentCurve,
+      swapCurve: params.swapCurve,
+      spotCurve: params.spotCurve
+    })
+    : null;
+  
+  // Yield-to-call and yield-to-worst for callable fixed-rate bullet bonds
+  const hasFixedTerms = !principalShares && !isFloating && !isInflationLinked;
+  const callAnalysis = hasFixedTerms && params.callSchedule && params.callSchedule.length > 0
+    ? analyzeCallSchedule(params.callSchedule, bond, ytmData)
+    : null;
+  
+  // Yield-to-put for putable fixed-rate bullet bonds
+  const putAnalysis = hasFixedTerms && params.putSchedule && params.putSchedule.length > 0
+    ? analyzePutSchedule(params.putSchedule, bond)
+    : null;
+  
+  // Option-adjusted spread on a rate tree fitted to the spot curve
+  const exerciseSchedules = {
+    calls: callAnalysis ? callAnalysis.calls : [],
+    puts: putAnalysis ? putAnalysis.puts : []
+  };
+  const hasExercise = exerciseSchedules.calls.length > 0 || exerciseSchedules.puts.length > 0;
+  const optionAdjusted = params.spotCurve && params.rateVolatility !== undefined && hasExercise
+    ? analyzeOptionAdjustedSpread(params.spotCurve, cashFlows, exerciseSchedules, dirtyPrice, Number(params.rateVolatility))
+    : null;
   
   return {
     ...ytmData,
+    years,
+    faceValue: Number(faceValue),
+    cleanPrice,
+    dirtyPrice,
+    accruedInterest,
+    couponSchedule,
+    stub: couponSchedule ? describeStub(couponSchedule) : null,
+    settlement: dated ? {
+      settlementDate: dated.settlementDate,
+      maturityDate: dated.maturityDate,
+      previousCouponDate: dated.previousCouponDate,
+      nextCouponDate: dated.nextCouponDate,
+      dayCount: dated.dayCount,
+      accruedDays: dated.accruedDays,
+      periodDays: dated.periodDays,
+      accruedFraction: dated.accruedFraction,
+      firstPeriodFraction: dated.firstPeriodFraction
+    } : null,
     cashFlows,
-    pricingAnalysis
+    durationAnalysis,
+    moneyDuration,
+    pricingAnalysis,
+    yieldMeasures,
+    amortization,
+    floatingRate,
+    inflationLinked,
+    curvePricing,
+    keyRateDurations,
+    benchmarkSpreads,
+    callAnalysis,
+    putAnalysis,
+    optionAdjusted
   };
-}
\ No newline at end of file
+}
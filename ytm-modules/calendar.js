@@ -0,0 +1,119 @@
+/**
+ * Business Day Calendar Module
+ * Weekends, US bond-market holidays (the federal holidays and Good Friday)
+ * and payment-date rolling
+ */
+
+import { daysBetween } from './schedule.js';
+
+/**
+ * nth weekday of a month (n = -1 for the last one)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence (1-5, or -1 for last)
+ * @returns {Date} UTC date
+ */
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    return new Date(Date.UTC(year, month, 1 + offset + 7 * (n - 1)));
+  }
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  return new Date(Date.UTC(year, month + 1, -offset));
+}
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the nearest weekday
+ */
+function observed(date) {
+  const day = date.getUTCDay();
+  if (day === 6) return new Date(date.getTime() - 86400000);
+  if (day === 0) return new Date(date.getTime() + 86400000);
+  return date;
+}
+
+/**
+ * Easter Sunday in the Gregorian calendar (the anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Date} UTC date
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * US bond-market holidays in a year: the federal holidays, plus Good Friday,
+ * a full close on SIFMA's recommended calendar
+ * @param {number} year - Year
+ * @returns {Date[]} Observed holiday dates
+ */
+export function usBondMarketHolidays(year) {
+  const fixed = (month, day) => observed(new Date(Date.UTC(year, month, day)));
+
+  return [
+    fixed(0, 1), // New Year's Day
+    nthWeekday(year, 0, 1, 3), // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3), // Presidents' Day
+    new Date(easterSunday(year).getTime() - 2 * 86400000), // Good Friday
+    nthWeekday(year, 4, 1, -1), // Memorial Day
+    ...(year >= 2022 ? [fixed(5, 19)] : []), // Juneteenth
+    fixed(6, 4), // Independence Day
+    nthWeekday(year, 8, 1, 1), // Labor Day
+    nthWeekday(year, 9, 1, 2), // Columbus Day
+    fixed(10, 11), // Veterans Day
+    nthWeekday(year, 10, 4, 4), // Thanksgiving
+    fixed(11, 25) // Christmas
+  ];
+}
+
+/**
+ * Check whether payments can be made on a date
+ * @param {Date} date - Date to check
+ * @returns {boolean} False on weekends and US bond-market holidays
+ */
+export function isBusinessDay(date) {
+  const day = date.getUTCDay();
+  if (day === 0 || day === 6) return false;
+  return !usBondMarketHolidays(date.getUTCFullYear())
+    .some(holiday => holiday.getTime() === date.getTime());
+}
+
+/**
+ * Roll a scheduled payment date forward to the next business day
+ * (the "following" convention)
+ * @param {Date} date - Scheduled date
+ * @returns {Date} Actual payment date
+ */
+export function rollToBusinessDay(date) {
+  let rolled = date;
+  while (!isBusinessDay(rolled)) {
+    rolled = new Date(rolled.getTime() + 86400000);
+  }
+  return rolled;
+}
+
+/**
+ * Days a scheduled payment is delayed by rolling
+ * @param {Date} date - Scheduled date
+ * @returns {number} Calendar days between the scheduled and actual payment
+ */
+export function paymentDelayDays(date) {
+  return daysBetween(date, rollToBusinessDay(date));
+}
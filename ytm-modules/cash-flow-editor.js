@@ -0,0 +1,259 @@
+/**
+ * Custom Cash-Flow Editor Module
+ * Editable grid of (time, amount) cash flows with an IRR solve, for step-up
+ * coupons, PIK periods and other irregular schedules
+ */
+
+import { $, listen, debounce, createElement, formatCurrency, formatPercentage, getFrequencyLabel, announceToScreenReader, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { calculateIRR } from './irr.js';
+
+/** Most rows the grid accepts (ten years of monthly flows plus the price) */
+const MAX_ROWS = 121;
+
+/** Accepted input ranges */
+const LIMITS = {
+  time: { min: 0, max: 100, message: (row) => `Time ${row} must be between 0 and 100 years.` },
+  amount: { min: -10000, max: 10000, message: (row) => `Amount ${row} must be between USD-10,000 and USD10,000.` }
+};
+
+/** Starting example: a step-up note bought at 98 */
+const DEFAULT_ROWS = [
+  { time: 0, amount: -98 },
+  { time: 0.5, amount: 2 },
+  { time: 1, amount: 2 },
+  { time: 1.5, amount: 3 },
+  { time: 2, amount: 3 },
+  { time: 2.5, amount: 4 },
+  { time: 3, amount: 104 }
+];
+
+/** Current grid rows { time, amount } */
+let rows = DEFAULT_ROWS.map(row => ({ ...row }));
+
+/**
+ * Set up the custom cash-flow editor
+ * @param {Function} getBondCashFlows - Returns { flows: [{ time, amount }], frequency }
+ *   for the calculator's bond, or null when it has none to copy
+ */
+export function setupCashFlowEditor(getBondCashFlows) {
+  const frequencySelect = $('#cf-editor-frequency');
+  const addBtn = $('#cf-add-row-btn');
+  const loadBtn = $('#cf-load-bond-btn');
+  if (!frequencySelect || !addBtn) return;
+
+  listen(frequencySelect, 'change', () => renderIRR());
+
+  listen(addBtn, 'click', () => {
+    if (rows.length >= MAX_ROWS) return;
+    const last = rows[rows.length - 1];
+    const step = 1 / Number(frequencySelect.value);
+    rows.push({ time: last && Number.isFinite(last.time) ? Number((last.time + step).toFixed(6)) : 0, amount: 0 });
+    renderGrid();
+    focusRow(rows.length, 'time');
+  });
+
+  listen(loadBtn, 'click', () => {
+    const bond = getBondCashFlows();
+    if (!bond) {
+      announceToScreenReader('The bond above has no cash flows to copy');
+      return;
+    }
+    rows = bond.flows.map(flow => ({ ...flow }));
+    frequencySelect.value = String(bond.frequency);
+    renderGrid();
+    announceToScreenReader(`Copied ${rows.length} cash flows from the bond above`);
+  });
+
+  renderGrid();
+}
+
+/**
+ * Move focus to an input in the grid
+ * @param {number} position - 1-based row number
+ * @param {string} field - 'time' or 'amount'
+ */
+function focusRow(position, field) {
+  const input = document.getElementById(`cf-${field}-${position}`);
+  if (input) input.focus();
+}
+
+/**
+ * Render the editable grid, then the yield it implies
+ */
+function renderGrid() {
+  const table = $('#cf-editor-table');
+  if (!table) return;
+
+  let html = `
+    <caption class="sr-only">
+      Editable cash flows, one per row: time in years from today and amount in US dollars. Enter outflows such as the price as negative amounts.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Flow</th>
+        <th scope="col" class="text-left table-var-4">Time (years)</th>
+        <th scope="col" class="text-right">Amount (USD)</th>
+        <th scope="col" class="text-right"><span class="sr-only">Remove</span></th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  rows.forEach((row, index) => {
+    const position = index + 1;
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Flow">${position}</th>
+        <td class="text-left" data-label="Time (years)">
+          <input type="number" id="cf-time-${position}" class="input-field-inline" min="0" max="100" step="any" inputmode="decimal"
+            value="${Number.isFinite(row.time) ? row.time : ''}" aria-label="Time of flow ${position} in years">
+        </td>
+        <td class="text-right" data-label="Amount (USD)">
+          <input type="number" id="cf-amount-${position}" class="input-field-inline" step="any" inputmode="decimal"
+            value="${Number.isFinite(row.amount) ? row.amount : ''}" aria-label="Amount of flow ${position} in US dollars">
+        </td>
+        <td class="text-right" data-label="Remove">
+          <button type="button" id="cf-remove-${position}" class="toggle-btn option-schedule-remove" aria-label="Remove flow ${position}">Remove</button>
+        </td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+
+  const debouncedUpdate = debounce(renderIRR, 300);
+  rows.forEach((row, index) => {
+    const position = index + 1;
+    ['time', 'amount'].forEach(field => {
+      const input = document.getElementById(`cf-${field}-${position}`);
+      listen(input, 'input', () => {
+        clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS + 2);
+        row[field] = parseFloat(input.value);
+        debouncedUpdate();
+      });
+    });
+    listen(document.getElementById(`cf-remove-${position}`), 'click', () => {
+      rows.splice(index, 1);
+      renderGrid();
+      if (rows.length > 0) {
+        focusRow(Math.min(position, rows.length), 'amount');
+      } else {
+        $('#cf-add-row-btn').focus();
+      }
+    });
+  });
+
+  const addBtn = $('#cf-add-row-btn');
+  if (addBtn) addBtn.disabled = rows.length >= MAX_ROWS;
+
+  renderIRR();
+}
+
+/**
+ * Flag or clear one grid input against its limits
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkCell(field, position, value) {
+  const input = document.getElementById(`cf-${field}-${position}`);
+  const limits = LIMITS[field];
+  const valid = Number.isFinite(value) && value >= limits.min && value <= limits.max;
+  if (input) {
+    input.classList.toggle('error', !valid);
+    if (valid) {
+      input.removeAttribute('aria-invalid');
+    } else {
+      input.setAttribute('aria-invalid', 'true');
+    }
+  }
+  return valid ? null : limits.message(position);
+}
+
+/**
+ * Validate the grid, solve the IRR and render the result box
+ */
+function renderIRR() {
+  const container = $('#cf-editor-results');
+  if (!container) return;
+
+  const frequency = Number($('#cf-editor-frequency').value);
+  const errors = rows.flatMap((row, index) => [
+    checkCell('time', index + 1, row.time),
+    checkCell('amount', index + 1, row.amount)
+  ]).filter(Boolean);
+
+  if (errors.length === 0) {
+    const hasOutflow = rows.some(row => row.amount < 0);
+    const hasInflow = rows.some(row => row.amount > 0);
+    if (!hasOutflow || !hasInflow) {
+      errors.push('Enter at least one negative amount (such as the price paid) and one positive amount, or no rate can balance them.');
+    }
+  }
+
+  container.innerHTML = '';
+  if (errors.length > 0) {
+    const list = createElement('ul', { className: 'cash-flow-editor-errors' });
+    errors.forEach(message => list.appendChild(createElement('li', {}, message)));
+    container.appendChild(list);
+    return;
+  }
+
+  const result = calculateIRR(rows, frequency);
+  container.appendChild(createIRRBox(result, frequency));
+}
+
+/**
+ * Create the IRR result box, with a warning when the IRR may not be unique
+ */
+function createIRRBox(result, frequency) {
+  const box = createElement('div', { className: 'result-box custom-cash-flows' });
+  box.appendChild(createElement('h5', { className: 'result-title custom-cash-flows' }, 'Internal Rate of Return'));
+
+  const hasSolution = result.bondEquivalentYield !== null;
+  const frequencyLabel = getFrequencyLabel(frequency);
+
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+
+  const outflows = rows.filter(row => row.amount < 0).reduce((sum, row) => sum + row.amount, 0);
+  const inflows = rows.filter(row => row.amount > 0).reduce((sum, row) => sum + row.amount, 0);
+
+  const items = hasSolution
+    ? [
+      { label: `IRR (annual, ${frequencyLabel} compounding)`, value: formatPercentage(result.bondEquivalentYield * 100, 4) },
+      { label: `IRR per ${frequencyLabel} period`, value: formatPercentage(result.yieldPerPeriod * 100, 4) },
+      { label: 'Effective annual yield', value: formatPercentage(result.effectiveAnnualYield * 100, 4) }
+    ]
+    : [
+      { label: 'IRR', value: 'No solution' }
+    ];
+  items.push(
+    { label: 'Total paid out', value: formatCurrency(Math.abs(outflows)) },
+    { label: 'Total received', value: formatCurrency(inflows) },
+    { label: 'Sign changes', value: String(result.signChanges) }
+  );
+
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+
+  content.appendChild(createElement('div', { className: 'result-secondary' },
+    hasSolution
+      ? `Solver ${result.converged ? 'converged' : 'stopped without converging'} in ${result.iterations} iterations (net present value ${formatCurrency(result.residual, true)})`
+      : 'No rate sets the net present value of these flows to zero.'
+  ));
+
+  if (result.signChanges > 1) {
+    content.appendChild(createElement('div', { className: 'cash-flow-editor-warning', role: 'note' },
+      `These cash flows change sign ${result.signChanges} times, so there may be up to ${result.signChanges} different IRRs. ` +
+      `${hasSolution ? 'The rate shown is the first one the solver found' : 'The solver found none'}; check it against the net present value at other rates before relying on it.`
+    ));
+  }
+
+  box.appendChild(content);
+  return box;
+}
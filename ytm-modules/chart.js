@@ -3,8 +3,9 @@
  * Chart rendering using Chart.js with keyboard accessibility
  */
 
-import { formatCurrency, formatPercentage } from './utils.js';
+import { formatCurrency, formatPercentage, formatTimeYears, getFrequencyLabel } from './utils.js';
 import { getChartTypography, fillTightParenVar } from '../chart-typography.js';
+import { spotRateAt, parYieldAt, forwardRateBetween } from './curve.js';
 
 /** Curriculum chart label convention: 13px / 600 / Lato at the 18px design root. */
 const CHART_FONT = { family: '', size: 13, weight: '600' };
@@ -40,11 +41,16 @@ const COLORS = {
   purchase: '#b95b1d',    // Orange - PV (bond purchase)
   yield: '#7a46ff',       // Purple - r (yield/rate)
   time: '#15803d',        // Green - T (time)
+  spotCurve: '#15803d',   // Green - z (spot rates)
+  forwardCurve: '#b95b1d', // Orange - f (one-period forwards)
+  parCurve: '#06005a',    // Navy - par yields
   darkText: '#06005a',
   axisColor: '#374151'    // Darker gray for axes
 };
 
 let chartInstance = null;
+let keyRateChartInstance = null;
+let horizonChartInstance = null;
 let currentFocusIndex = 0;
 let isKeyboardMode = false;
 
@@ -52,10 +58,34 @@ let isKeyboardMode = false;
  * Create or update bond YTM chart
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {boolean} showLabels - Whether to show value labels
- * @param {number} ytmBEY - Bond equivalent yield (percentage)
+ * @param {number|null} ytmBEY - Bond equivalent yield (decimal), null when unsolved
+ * @param {Object} [options] - Labels for non-maturity redemptions
+ * @param {string} [options.yieldName='Yield-to-maturity'] - Name of the plotted yield
+ * @param {string} [options.redemptionName='Principal repayment (FV)'] - Name of the final principal flow
+ * @param {string} [options.couponName='Coupon payment (PMT)'] - Name of each coupon flow
+ * @param {Object|null} [options.spotCurve] - Curve from bootstrapSpotCurve; its spot
+ *   rates, par yields and forward rates at each payment date are drawn beside the yield
  */
-export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
+export function renderChart(cashFlows, showLabels = true, ytmBEY = null, options = {}) {
   syncChartTypography();
+  const {
+    yieldName = 'Yield-to-maturity',
+    redemptionName = 'Principal repayment (FV)',
+    couponName = 'Coupon payment (PMT)',
+    frequency = 2,
+    spotCurve = null
+  } = options;
+  const yieldLabel = `${yieldName} (𝑟)`;
+  const spotLabel = 'Spot rate (𝑧)';
+  const forwardLabel = 'One-period forward (𝑓)';
+  const parLabel = 'Par yield';
+  const frequencyLabel = getFrequencyLabel(frequency);
+  
+  // Keep the hidden chart description in step with the coupon frequency
+  const descFrequency = document.getElementById('chart-desc-frequency');
+  if (descFrequency) {
+    descFrequency.textContent = frequencyLabel;
+  }
   const canvas = document.getElementById('ytm-chart');
   
   if (!canvas) {
@@ -75,15 +105,35 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
   const ctx = canvas.getContext('2d');
   
   // Prepare data for Chart.js
-  const labels = cashFlows.map(cf => cf.timeYears.toFixed(1));
+  // A perpetual bond's last bar stands for every coupon after it, forever
+  const labels = cashFlows.map(cf => cf.perpetualTail ? '∞' : formatTimeYears(cf.timeYears));
   
-  // Separate coupon and principal data
+  // Separate coupon and principal data (the purchase bar is the full price,
+  // including any accrued interest paid at settlement)
   const couponData = cashFlows.map(cf => cf.couponPayment);
-  const principalData = cashFlows.map(cf => cf.principalPayment);
+  const principalData = cashFlows.map(cf => cf.period === 0 ? cf.totalCashFlow : cf.principalPayment);
   
   // Calculate total for labels
   const totalData = cashFlows.map(cf => cf.totalCashFlow);
   
+  // Spot, forward and par curves at each payment date (none at purchase or for
+  // the perpetual tail); each forward runs from the payment before
+  const curveAt = (rateAt) => cashFlows.map((cf, index) =>
+    spotCurve && cf.period > 0 && !cf.perpetualTail ? rateAt(cf.timeYears, cashFlows[index - 1].timeYears) * 100 : null
+  );
+  const spotData = curveAt(years => spotRateAt(spotCurve, years));
+  const parData = curveAt(years => parYieldAt(spotCurve, years));
+  const forwardData = curveAt((years, previousYears) => forwardRateBetween(spotCurve, previousYears, years));
+  const curveValues = [...spotData, ...parData, ...forwardData].filter(value => value !== null);
+  const rateValues = [...(ytmBEY !== null ? [ytmBEY * 100] : []), ...curveValues];
+  const lowestRate = rateValues.length > 0 ? Math.min(...rateValues) : 0;
+  const highestRate = rateValues.length > 0 ? Math.max(...rateValues) : 0;
+  
+  ['legend-spot-curve', 'legend-forward-curve', 'legend-par-curve', 'chart-desc-curve'].forEach(id => {
+    const item = document.getElementById(id);
+    if (item) item.style.display = spotCurve ? '' : 'none';
+  });
+  
   // Destroy existing chart instance
   if (chartInstance) {
     chartInstance.destroy();
@@ -120,7 +170,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
         },
         // YTM horizontal line
         ...(ytmBEY !== null ? [{
-          label: 'Yield-to-maturity (𝑟)',
+          label: yieldLabel,
           data: labels.map(() => ytmBEY * 100),
           type: 'line',
           borderColor: COLORS.yield,
@@ -131,6 +181,50 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
           fill: false,
           yAxisID: 'y2',
           order: 0
+        }] : []),
+        // Spot and par curves
+        ...(spotCurve ? [{
+          label: spotLabel,
+          data: spotData,
+          type: 'line',
+          borderColor: COLORS.spotCurve,
+          backgroundColor: COLORS.spotCurve,
+          borderWidth: 2,
+          pointRadius: 2,
+          pointHoverRadius: 4,
+          fill: false,
+          spanGaps: true,
+          yAxisID: 'y2',
+          order: 0
+        }, {
+          label: forwardLabel,
+          data: forwardData,
+          type: 'line',
+          stepped: 'before',
+          borderColor: COLORS.forwardCurve,
+          backgroundColor: COLORS.forwardCurve,
+          borderWidth: 2,
+          borderDash: [6, 3],
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          fill: false,
+          spanGaps: true,
+          yAxisID: 'y2',
+          order: 0
+        }, {
+          label: parLabel,
+          data: parData,
+          type: 'line',
+          borderColor: COLORS.parCurve,
+          backgroundColor: COLORS.parCurve,
+          borderWidth: 2,
+          borderDash: [2, 3],
+          pointRadius: 0,
+          pointHoverRadius: 3,
+          fill: false,
+          spanGaps: true,
+          yAxisID: 'y2',
+          order: 0
         }] : [])
       ]
     },
@@ -147,7 +241,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
 
         if (activeElements.length > 0) {
           const index = activeElements[0].index;
-          announceDataPoint(cashFlows[index], totalData[index], ytmBEY);
+          announceDataPoint(cashFlows[index], totalData[index], ytmBEY, { yieldName, redemptionName, couponName, spotRate: spotData[index] });
         }
       },
       plugins: {
@@ -162,26 +256,32 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
           callbacks: {
             title: (context) => {
               const index = context[0].dataIndex;
-              return `Time: ${cashFlows[index].timeYears.toFixed(1)} years`;
+              if (cashFlows[index].perpetualTail) {
+                return `Period ${cashFlows[index].period} onward (continues forever)`;
+              }
+              return `Period ${cashFlows[index].period} (${formatTimeYears(cashFlows[index].timeYears)} years)`;
             },
             label: (context) => {
               const value = context.parsed.y;
               const index = context.dataIndex;
               const isInitialPeriod = index === 0;
               
-              if (context.dataset.label === 'Yield-to-maturity (𝑟)') {
-                return `Yield-to-maturity (𝑟): ${formatPercentage(value)}`;
+              if (context.dataset.yAxisID === 'y2') {
+                return `${context.dataset.label}: ${formatPercentage(value)}`;
               }
               
               if (isInitialPeriod && context.dataset.label === 'Principal/purchase') {
-                return `Bond purchase price (PV): ${formatCurrency(value, true)}`;
+                const accrued = Math.abs(cashFlows[index].accruedInterest || 0);
+                return accrued > 0
+                  ? `Bond purchase price (PV): ${formatCurrency(value, true)} incl. ${formatCurrency(accrued)} accrued interest`
+                  : `Bond purchase price (PV): ${formatCurrency(value, true)}`;
               }
               
               if (context.dataset.label === 'Principal/purchase' && value > 0) {
-                return `Principal repayment (FV): ${formatCurrency(value, true)}`;
+                return `${redemptionName}: ${formatCurrency(value, true)}`;
               }
               if (context.dataset.label === 'Coupon payments (PMT)') {
-                return `Coupon payment (PMT): ${formatCurrency(value, true)}`;
+                return `${couponName}: ${formatCurrency(value, true)}`;
               }
               
               return `${context.dataset.label}: ${formatCurrency(value, true)}`;
@@ -189,7 +289,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
             footer: (context) => {
               const index = context[0].dataIndex;
               const total = totalData[index];
-              if (context[0].dataset.label !== 'Yield-to-maturity (𝑟)') {
+              if (context[0].dataset.yAxisID !== 'y2') {
                 return `Total: ${formatCurrency(total, true)}`;
               }
               return '';
@@ -201,7 +301,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
         x: {
           title: {
             display: true,
-            text: 'Years',
+            text: `Years (${frequencyLabel} periods)`,
             color: COLORS.axisColor,
             font: {
               size: CHART_FONT.size,
@@ -210,6 +310,9 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
             }
           },
           ticks: {
+            // Monthly bonds have too many bars to label each; label whole years
+            autoSkip: frequency <= 4,
+            callback: (value, index) => (frequency > 4 && index % frequency !== 0 && !cashFlows[index].perpetualTail ? '' : labels[index]),
             color: COLORS.axisColor,
             font: {
               size: CHART_FONT.size,
@@ -260,8 +363,9 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
             display: false
           },
           position: 'right',
-          min: 0,
-          max: ytmBEY ? Math.max(15, (ytmBEY * 100) * 1.3) : 15,
+          // Extend below zero so negative yields stay on the axis
+          min: lowestRate < 0 ? Math.floor(lowestRate * 1.3) : 0,
+          max: Math.max(15, highestRate * 1.3),
           ticks: {
             callback: function(value, index, ticks) {
               // Remove the highest tick label to avoid visual confusion
@@ -313,7 +417,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
         ctx.rotate(Math.PI / 2);
         ctx.font = CHART_FONT_CSS;
         ctx.textBaseline = 'middle';
-        fillTightParenVar(ctx, 'Yield-to-maturity (', ITALIC_r, ') %', 0, 0, 'center');
+        fillTightParenVar(ctx, `${yieldName} (`, ITALIC_r, ') %', 0, 0, 'center');
         
         ctx.restore();
       }
@@ -329,15 +433,18 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
         const meta0 = chart.getDatasetMeta(0);
         const meta1 = chart.getDatasetMeta(1);
         
-        // Find the top of the FV bar (last period) for label positioning
-        const lastIndex = cashFlows.length - 1;
+        // Find the top of the tallest payment bar (the FV bar unless principal
+        // is repaid earlier) for label positioning
         let labelY = chart.scales.y.top;
+        const barTops = cashFlows
+          .map((cf, index) => (index > 0 && meta0.data[index] && meta1.data[index]
+            ? Math.min(meta0.data[index].y, meta1.data[index].y)
+            : Infinity));
+        const tallestBarTop = Math.min(...barTops);
         
-        if (meta0.data[lastIndex] && meta1.data[lastIndex]) {
-          // Get the top of the FV bar
-          const fvBarTop = Math.min(meta0.data[lastIndex].y, meta1.data[lastIndex].y);
-          // Position labels 25 pixels above the FV bar
-          labelY = fvBarTop - 25;
+        if (Number.isFinite(tallestBarTop)) {
+          // Position labels 25 pixels above it
+          labelY = tallestBarTop - 25;
         }
         
         chart.data.labels.forEach((label, index) => {
@@ -359,7 +466,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
             ctx.textBaseline = 'middle';
             const barMidY = (bar0.y + bar0.base) / 2;
             ctx.fillText('PV', x, barMidY);
-          } else if (index === cashFlows.length - 1) {
+          } else if (index === cashFlows.length - 1 && !cf.perpetualTail) {
             // FV - white text on teal bar
             ctx.font = CHART_FONT_CSS;
             ctx.fillStyle = 'white';
@@ -426,7 +533,7 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
     {
       id: 'ytmLineLabel',
       afterDatasetsDraw: (chart) => {
-        if (!ytmBEY) return;
+        if (ytmBEY === null) return;
         
         const ctx = chart.ctx;
         const meta = chart.getDatasetMeta(2); // YTM line is dataset index 2
@@ -496,13 +603,295 @@ export function renderChart(cashFlows, showLabels = true, ytmBEY = null) {
     }]
   });
   
-  setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY);
+  setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY, { yieldName, redemptionName, couponName }, spotData);
+}
+
+/**
+ * Create or update the key rate duration bar chart
+ * @param {Object} analysis - `keyRateDurations` from calculateBondYTMMetrics
+ */
+export function renderKeyRateChart(analysis) {
+  syncChartTypography();
+  const canvas = document.getElementById('key-rate-chart');
+  
+  if (!canvas) {
+    console.error('Key rate chart canvas not found');
+    return;
+  }
+  
+  const labels = analysis.keys.map(key => `${key.years}y`);
+  const durations = analysis.keys.map(key => key.duration);
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute(
+    'aria-label',
+    'Key rate durations: ' +
+      analysis.keys.map((key, index) => `${labels[index]} ${key.duration.toFixed(4)}`).join(', ') +
+      `. Total ${analysis.total.toFixed(4)}.`
+  );
+  
+  const axisFont = {
+    size: CHART_FONT.size,
+    weight: '600',
+    family: CHART_FONT.family
+  };
+  
+  if (keyRateChartInstance) {
+    keyRateChartInstance.destroy();
+  }
+  
+  keyRateChartInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [{
+        label: 'Key rate duration',
+        data: durations,
+        backgroundColor: COLORS.spotCurve,
+        borderWidth: 0
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: window.matchMedia('(prefers-reduced-motion: reduce)').matches ? { duration: 0 } : undefined,
+      plugins: {
+        title: {
+          display: false
+        },
+        legend: {
+          display: false
+        },
+        tooltip: {
+          callbacks: {
+            title: (context) => `${labels[context[0].dataIndex]} key rate`,
+            label: (context) => `Key rate duration: ${context.parsed.y.toFixed(4)}`,
+            footer: (context) => {
+              const key = analysis.keys[context[0].dataIndex];
+              return `Price change per 1 bp: USD${key.pvbp.toFixed(4)}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Key rate maturity (years)',
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          ticks: {
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Key rate duration',
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          ticks: {
+            callback: (value) => value.toFixed(2),
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.07)',
+            drawOnChartArea: true
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 10,
+          right: 10,
+          top: 15,
+          bottom: 10
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Cleanup the key rate duration chart
+ */
+export function destroyKeyRateChart() {
+  if (keyRateChartInstance) {
+    keyRateChartInstance.destroy();
+    keyRateChartInstance = null;
+  }
+}
+
+/**
+ * Create or update the horizon reinvestment build-up chart
+ * @param {Object} analysis - Result of calculateHorizonReturn
+ * @param {number} ytmBEY - Yield-to-maturity (decimal) the comparison line reinvests at
+ */
+export function renderHorizonChart(analysis, ytmBEY) {
+  syncChartTypography();
+  const canvas = document.getElementById('horizon-chart');
+  
+  if (!canvas) {
+    console.error('Horizon chart canvas not found');
+    return;
+  }
+  
+  const { buildUp } = analysis;
+  const labels = buildUp.map(point => formatTimeYears(point.timeYears));
+  const atYieldLabel = `Reinvested at the YTM of ${formatPercentage(ytmBEY * 100)}`;
+  const horizonPoint = buildUp[buildUp.length - 1];
+  canvas.setAttribute('role', 'img');
+  canvas.setAttribute(
+    'aria-label',
+    `Reinvested cash flows growing to ${formatCurrency(horizonPoint.reinvestedValue)} by the ${analysis.horizonYears}-year horizon: ` +
+      `${formatCurrency(horizonPoint.received)} received and ${formatCurrency(horizonPoint.reinvestmentIncome)} of reinvestment income, ` +
+      `against ${formatCurrency(horizonPoint.reinvestedAtYield)} if reinvested at the yield-to-maturity.`
+  );
+  
+  const axisFont = {
+    size: CHART_FONT.size,
+    weight: '600',
+    family: CHART_FONT.family
+  };
+  
+  if (horizonChartInstance) {
+    horizonChartInstance.destroy();
+  }
+  
+  horizonChartInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Cash flows received',
+          data: buildUp.map(point => point.received),
+          backgroundColor: COLORS.coupon,
+          borderWidth: 0,
+          stack: 'reinvested',
+          order: 1
+        },
+        {
+          label: 'Reinvestment income',
+          data: buildUp.map(point => point.reinvestmentIncome),
+          backgroundColor: COLORS.principal,
+          borderWidth: 0,
+          stack: 'reinvested',
+          order: 1
+        },
+        {
+          label: atYieldLabel,
+          data: buildUp.map(point => point.reinvestedAtYield),
+          type: 'line',
+          borderColor: COLORS.yield,
+          backgroundColor: COLORS.yield,
+          borderWidth: 3,
+          borderDash: [5, 5],
+          pointRadius: 2,
+          pointHoverRadius: 4,
+          fill: false,
+          order: 0
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: window.matchMedia('(prefers-reduced-motion: reduce)').matches ? { duration: 0 } : undefined,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      plugins: {
+        title: {
+          display: false
+        },
+        legend: {
+          display: false
+        },
+        tooltip: {
+          usePointStyle: true,
+          callbacks: {
+            title: (context) => {
+              const point = buildUp[context[0].dataIndex];
+              return point.period === null
+                ? `Horizon (${formatTimeYears(point.timeYears)} years)`
+                : `Period ${point.period} (${formatTimeYears(point.timeYears)} years)`;
+            },
+            label: (context) => `${context.dataset.label}: ${formatCurrency(context.parsed.y, true)}`,
+            footer: (context) => `Reinvested value: ${formatCurrency(buildUp[context[0].dataIndex].reinvestedValue, true)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Years',
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          ticks: {
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Reinvested value (USD)',
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          ticks: {
+            callback: (value) => value.toLocaleString('en-US', {
+              minimumFractionDigits: 0,
+              maximumFractionDigits: 0
+            }),
+            color: COLORS.axisColor,
+            font: axisFont
+          },
+          grid: {
+            color: 'rgba(0, 0, 0, 0.07)',
+            drawOnChartArea: true
+          }
+        }
+      },
+      layout: {
+        padding: {
+          left: 10,
+          right: 10,
+          top: 15,
+          bottom: 10
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Cleanup the horizon chart
+ */
+export function destroyHorizonChart() {
+  if (horizonChartInstance) {
+    horizonChartInstance.destroy();
+    horizonChartInstance = null;
+  }
 }
 
 /**
  * Setup keyboard navigation
  */
-function setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY) {
+function setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY, names, spotData) {
   const oldListener = canvas._keydownListener;
   if (oldListener) {
     canvas.removeEventListener('keydown', oldListener);
@@ -540,7 +929,7 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY) {
     if (newIndex !== currentFocusIndex) {
       currentFocusIndex = newIndex;
       chartInstance.update('none');
-      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], ytmBEY);
+      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], ytmBEY, { ...names, spotRate: spotData[currentFocusIndex] });
       showTooltipAtIndex(currentFocusIndex);
     }
   };
@@ -551,7 +940,7 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, ytmBEY) {
   const focusListener = () => {
     isKeyboardMode = true;
     showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], ytmBEY);
+    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], ytmBEY, { ...names, spotRate: spotData[currentFocusIndex] });
   };
   
   const blurListener = () => {
@@ -597,7 +986,7 @@ function showTooltipAtIndex(index) {
 /**
  * Announce data point for screen readers
  */
-function announceDataPoint(cashFlow, total, ytmBEY) {
+function announceDataPoint(cashFlow, total, ytmBEY, { yieldName, redemptionName, couponName, spotRate = null }) {
   let liveRegion = document.getElementById('chart-live-region');
   if (!liveRegion) {
     liveRegion = document.createElement('div');
@@ -609,12 +998,23 @@ function announceDataPoint(cashFlow, total, ytmBEY) {
   }
   
   const isInitialPeriod = cashFlow.period === 0;
-  const principalLabel = isInitialPeriod ? 'Bond purchase price (PV)' : 'Principal repayment (FV)';
+  const principalLabel = isInitialPeriod ? 'Bond purchase price (PV)' : redemptionName;
+  
+  const principalValue = isInitialPeriod ? total : cashFlow.principalPayment;
+  const accrued = Math.abs(cashFlow.accruedInterest || 0);
+  const accruedNote = isInitialPeriod && accrued > 0
+    ? `Includes accrued interest: ${formatCurrency(accrued)}. `
+    : '';
   
-  const announcement = `Time ${cashFlow.timeYears.toFixed(1)} years. ` +
-    `Yield-to-maturity (r): ${ytmBEY ? formatPercentage(ytmBEY * 100) : '0%'}. ` +
-    `Coupon payment (PMT): ${formatCurrency(cashFlow.couponPayment, true)}. ` +
-    `${principalLabel}: ${formatCurrency(cashFlow.principalPayment, true)}. ` +
+  const time = cashFlow.perpetualTail
+    ? `Period ${cashFlow.period} onward, continuing forever. `
+    : `Time ${formatTimeYears(cashFlow.timeYears)} years. `;
+  const announcement = time +
+    `${yieldName} (r): ${ytmBEY !== null ? formatPercentage(ytmBEY * 100) : 'no solution'}. ` +
+    (spotRate !== null ? `Spot rate (z): ${formatPercentage(spotRate)}. ` : '') +
+    `${couponName}: ${formatCurrency(cashFlow.couponPayment, true)}. ` +
+    `${principalLabel}: ${formatCurrency(principalValue, true)}. ` +
+    accruedNote +
     `Total: ${formatCurrency(total, true)}.`;
   
   liveRegion.textContent = announcement;
@@ -0,0 +1,104 @@
+/**
+ * Yield Converter Module
+ * Standalone converter that restates a typed yield for every periodicity
+ */
+
+import { $, listen, debounce, formatPercentage, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { PERIODICITIES, restateYield } from './yield-conversion.js';
+
+/** Accepted range for the typed yield, in percent */
+const RATE_MIN = -50;
+const RATE_MAX = 100;
+
+/**
+ * Set up the yield periodicity converter
+ * @param {Function} getCurrentYield - Returns { rate, periodicity } for the
+ *   calculator's solved yield, or null when there is none
+ */
+export function setupYieldConverter(getCurrentYield) {
+  const rateInput = $('#converter-rate');
+  const periodicitySelect = $('#converter-periodicity');
+  const useYtmBtn = $('#converter-use-ytm');
+  if (!rateInput || !periodicitySelect) return;
+
+  periodicitySelect.innerHTML = PERIODICITIES
+    .map(({ key, label }) => `<option value="${key}"${key === 2 ? ' selected' : ''}>${label}</option>`)
+    .join('');
+
+  const update = () => {
+    const periodicity = periodicitySelect.value === 'continuous' ? 'continuous' : Number(periodicitySelect.value);
+    renderConverterTable(parseFloat(rateInput.value), periodicity, rateInput);
+  };
+
+  const debouncedUpdate = debounce(update, 300);
+  listen(rateInput, 'input', () => {
+    clampNumericInputLength(rateInput, NUMERIC_INPUT_MAX_CHARS);
+    debouncedUpdate();
+  });
+  listen(periodicitySelect, 'change', update);
+
+  listen(useYtmBtn, 'click', () => {
+    const current = getCurrentYield();
+    if (!current) return;
+    rateInput.value = Number((current.rate * 100).toFixed(4)).toString();
+    periodicitySelect.value = String(current.periodicity);
+    update();
+  });
+
+  update();
+}
+
+/**
+ * Render the restated yields, or an error row for an invalid rate
+ */
+function renderConverterTable(ratePercent, periodicity, rateInput) {
+  const table = $('#converter-table');
+  if (!table) return;
+
+  const valid = Number.isFinite(ratePercent) && ratePercent >= RATE_MIN && ratePercent <= RATE_MAX;
+  if (valid) {
+    rateInput.removeAttribute('aria-invalid');
+    rateInput.classList.remove('error');
+  } else {
+    rateInput.setAttribute('aria-invalid', 'true');
+    rateInput.classList.add('error');
+  }
+
+  let html = `
+    <caption class="sr-only">
+      The entered yield restated as an annual rate and a rate per compounding period for each periodicity.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Compounding</th>
+        <th scope="col" class="text-right table-var-3">Annual rate</th>
+        <th scope="col" class="text-right">Rate per period</th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  if (!valid) {
+    html += `
+      <tr>
+        <td colspan="3" class="text-left">Enter an annual yield between ${RATE_MIN}% and ${RATE_MAX}%.</td>
+      </tr>`;
+  } else {
+    restateYield(ratePercent / 100, periodicity).forEach(row => {
+      const perPeriod = row.periodicity === 'continuous'
+        ? 'Instantaneous'
+        : formatPercentage(row.rate / row.periodicity * 100, 4);
+      html += `
+      <tr${row.isSource ? ' class="converter-source-row"' : ''}>
+        <th scope="row" class="text-left" data-label="Compounding">${row.label}${row.isSource ? ' (entered)' : ''}</th>
+        <td class="text-right" data-label="Annual rate"><span class="cell-value table-var-3">${formatPercentage(row.rate * 100, 4)}</span></td>
+        <td class="text-right" data-label="Rate per period"><span class="cell-value">${perPeriod}</span></td>
+      </tr>`;
+    });
+  }
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+}
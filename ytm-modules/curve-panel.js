@@ -0,0 +1,472 @@
+/**
+ * Spot-Rate Curve Panel Module
+ * Benchmark grid, bootstrapped curve table, forward-rate calculator, the
+ * government and swap curves for spreads, and the curves handed to the bond
+ * calculator
+ */
+
+import { $, listen, debounce, createElement, formatCurrency, formatPercentage, getFrequencyLabel, announceToScreenReader, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { CURVE_INPUT_TYPES, DEFAULT_CURVE_INPUT_TYPE, bootstrapSpotCurve, buildSpotCurve, spotRateAt, forwardRateBetween } from './curve.js';
+import { parseCurvePoints } from './spreads.js';
+
+/** Most benchmarks the grid accepts */
+const MAX_ROWS = 20;
+
+/** Accepted input ranges */
+const LIMITS = {
+  years: { min: 0.25, max: 50, message: (row) => `Maturity ${row} must be between 0.25 and 50 years.` },
+  parYield: { min: -5, max: 30, message: (row) => `Par yield ${row} must be between -5% and 30%.` },
+  coupon: { min: 0, max: 30, message: (row) => `Coupon ${row} must be between 0% and 30%.` },
+  price: { min: 50, max: 150, message: (row) => `Price ${row} must be between USD50 and USD150.` },
+  spotRate: { min: -5, max: 30, message: (row) => `Spot rate ${row} must be between -5% and 30%.` }
+};
+
+/** Accepted range for the ends of a forward period, in years */
+const FORWARD_LIMITS = { min: 0, max: 50 };
+
+/** Government and swap curve inputs and how their errors name them */
+const BENCHMARK_CURVES = [
+  { key: 'governmentCurve', selector: '#government-curve', name: 'Government yield' },
+  { key: 'swapCurve', selector: '#swap-curve', name: 'Swap rate' }
+];
+
+/**
+ * Starting example: an upward-sloping par curve (each row also prices a par
+ * bond, and its spot rate is close to the one the par yields bootstrap to)
+ */
+const DEFAULT_ROWS = [
+  { years: 1, parYield: 4, coupon: 4, price: 100, spotRate: 4 },
+  { years: 2, parYield: 4.3, coupon: 4.3, price: 100, spotRate: 4.31 },
+  { years: 3, parYield: 4.5, coupon: 4.5, price: 100, spotRate: 4.51 },
+  { years: 5, parYield: 4.8, coupon: 4.8, price: 100, spotRate: 4.83 },
+  { years: 7, parYield: 5, coupon: 5, price: 100, spotRate: 5.05 },
+  { years: 10, parYield: 5.2, coupon: 5.2, price: 100, spotRate: 5.28 }
+];
+
+/** Current grid rows { years, parYield, coupon, price, spotRate } */
+let rows = DEFAULT_ROWS.map(row => ({ ...row }));
+
+/** Entry mode: a key of CURVE_INPUT_TYPES */
+let inputType = DEFAULT_CURVE_INPUT_TYPE;
+
+/** Called with each changed curve, keyed as in the calculator's state */
+let onCurveChange = () => {};
+
+/** Latest curve, or null while the grid has errors */
+let currentCurve = null;
+
+/**
+ * Set up the spot-rate curve panel
+ * @param {Function} onChange - Called with the curves that changed:
+ *   { spotCurve } (see bootstrapSpotCurve) or { governmentCurve, swapCurve }
+ *   ({ years, rate } entries, decimals); each is null while its inputs have
+ *   errors, and the government and swap curves are null when left empty
+ */
+export function setupCurvePanel(onChange) {
+  const frequencySelect = $('#curve-frequency');
+  const addBtn = $('#curve-add-row-btn');
+  const entryButtons = {
+    par: $('#curve-par-btn'),
+    price: $('#curve-price-btn'),
+    spot: $('#curve-spot-btn')
+  };
+  if (!frequencySelect || !addBtn || Object.values(entryButtons).some(btn => !btn)) return;
+
+  onCurveChange = onChange;
+
+  listen(frequencySelect, 'change', () => renderCurve());
+
+  listen(addBtn, 'click', () => {
+    if (rows.length >= MAX_ROWS) return;
+    const last = rows[rows.length - 1];
+    const years = last && Number.isFinite(last.years) ? last.years + 1 : 1;
+    rows.push({
+      years,
+      parYield: last ? last.parYield : 5,
+      coupon: last ? last.coupon : 5,
+      price: 100,
+      spotRate: last ? last.spotRate : 5
+    });
+    renderGrid();
+    focusRow(rows.length, 'years');
+  });
+
+  const switchInputType = (type) => {
+    inputType = type;
+    Object.entries(entryButtons).forEach(([key, btn]) => {
+      btn.classList.toggle('active', key === type);
+      btn.setAttribute('aria-pressed', String(key === type));
+    });
+    renderGrid();
+    announceToScreenReader(`Curve entered as ${CURVE_INPUT_TYPES[type].label.toLowerCase()}`);
+  };
+  Object.entries(entryButtons).forEach(([type, btn]) => listen(btn, 'click', () => switchInputType(type)));
+
+  const debouncedForward = debounce(renderForwardRate, 300);
+  ['#forward-start', '#forward-end'].forEach(selector => {
+    const input = $(selector);
+    listen(input, 'input', () => {
+      clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS);
+      debouncedForward();
+    });
+  });
+
+  const debouncedBenchmarks = debounce(renderBenchmarkCurves, 300);
+  BENCHMARK_CURVES.forEach(({ selector }) => listen($(selector), 'input', debouncedBenchmarks));
+
+  renderGrid();
+  renderBenchmarkCurves();
+}
+
+/**
+ * Columns the grid shows for the current entry mode
+ */
+function gridColumns() {
+  if (inputType === 'par') {
+    return [{ key: 'parYield', name: 'Par yield (%)', label: 'Par yield of benchmark', step: '0.01' }];
+  }
+  if (inputType === 'spot') {
+    return [{ key: 'spotRate', name: 'Spot rate (%)', label: 'Spot rate for maturity', step: '0.01' }];
+  }
+  return [
+    { key: 'coupon', name: 'Coupon (%)', label: 'Annual coupon rate of benchmark', step: '0.01' },
+    { key: 'price', name: 'Price (USD)', label: 'Clean price per USD100 of benchmark', step: '0.01' }
+  ];
+}
+
+/** Describe what each grid row holds, for the caption */
+const GRID_CAPTIONS = {
+  par: 'par yield in percent',
+  price: 'annual coupon rate in percent and clean price per USD100 of face value',
+  spot: 'spot (zero-coupon) rate in percent'
+};
+
+/**
+ * Move focus to an input in the grid
+ * @param {number} position - 1-based row number
+ * @param {string} field - Row key
+ */
+function focusRow(position, field) {
+  const input = document.getElementById(`curve-${field}-${position}`);
+  if (input) input.focus();
+}
+
+/**
+ * Render the editable benchmark grid, then the curve it implies
+ */
+function renderGrid() {
+  const table = $('#curve-benchmark-table');
+  if (!table) return;
+
+  const columns = gridColumns();
+
+  let html = `
+    <caption class="sr-only">
+      Editable benchmarks, one per row: maturity in years and ${GRID_CAPTIONS[inputType]}.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Benchmark</th>
+        <th scope="col" class="text-left table-var-4">Maturity (years)</th>
+        ${columns.map(column => `<th scope="col" class="text-right">${column.name}</th>`).join('\n        ')}
+        <th scope="col" class="text-right"><span class="sr-only">Remove</span></th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  rows.forEach((row, index) => {
+    const position = index + 1;
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Benchmark">${position}</th>
+        <td class="text-left" data-label="Maturity (years)">
+          <input type="number" id="curve-years-${position}" class="input-field-inline" min="0.25" max="50" step="any" inputmode="decimal"
+            value="${Number.isFinite(row.years) ? row.years : ''}" aria-label="Maturity of benchmark ${position} in years">
+        </td>`;
+    columns.forEach(column => {
+      html += `
+        <td class="text-right" data-label="${column.name}">
+          <input type="number" id="curve-${column.key}-${position}" class="input-field-inline" step="${column.step}" inputmode="decimal"
+            value="${Number.isFinite(row[column.key]) ? row[column.key] : ''}" aria-label="${column.label} ${position}">
+        </td>`;
+    });
+    html += `
+        <td class="text-right" data-label="Remove">
+          <button type="button" id="curve-remove-${position}" class="toggle-btn option-schedule-remove" aria-label="Remove benchmark ${position}">Remove</button>
+        </td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+
+  const debouncedUpdate = debounce(renderCurve, 300);
+  rows.forEach((row, index) => {
+    const position = index + 1;
+    ['years', ...columns.map(column => column.key)].forEach(field => {
+      const input = document.getElementById(`curve-${field}-${position}`);
+      listen(input, 'input', () => {
+        clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS);
+        row[field] = parseFloat(input.value);
+        debouncedUpdate();
+      });
+    });
+    listen(document.getElementById(`curve-remove-${position}`), 'click', () => {
+      rows.splice(index, 1);
+      renderGrid();
+      if (rows.length > 0) {
+        focusRow(Math.min(position, rows.length), 'years');
+      } else {
+        $('#curve-add-row-btn').focus();
+      }
+    });
+  });
+
+  const addBtn = $('#curve-add-row-btn');
+  if (addBtn) addBtn.disabled = rows.length >= MAX_ROWS;
+
+  renderCurve();
+}
+
+/**
+ * Flag or clear one grid input against its limits
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkCell(field, position, value) {
+  const input = document.getElementById(`curve-${field}-${position}`);
+  const limits = LIMITS[field];
+  const valid = Number.isFinite(value) && value >= limits.min && value <= limits.max;
+  if (input) {
+    input.classList.toggle('error', !valid);
+    if (valid) {
+      input.removeAttribute('aria-invalid');
+    } else {
+      input.setAttribute('aria-invalid', 'true');
+    }
+  }
+  return valid ? null : limits.message(position);
+}
+
+/**
+ * Validate the grid, bootstrap the curve, render it and hand it on
+ */
+function renderCurve() {
+  const container = $('#curve-results');
+  if (!container) return;
+
+  const frequency = Number($('#curve-frequency').value);
+  const fields = ['years', ...gridColumns().map(column => column.key)];
+  const errors = rows.flatMap((row, index) => fields.map(field => checkCell(field, index + 1, row[field])))
+    .filter(Boolean);
+
+  if (rows.length === 0) {
+    errors.push('Enter at least one benchmark to build a curve.');
+  }
+  const maturities = rows.map(row => row.years);
+  if (errors.length === 0 && new Set(maturities).size !== maturities.length) {
+    errors.push('Each benchmark needs a different maturity.');
+  }
+
+  let curve = null;
+  if (errors.length === 0 && inputType === 'spot') {
+    curve = buildSpotCurve(rows.map(row => ({ years: row.years, spotRate: row.spotRate / 100 })), frequency);
+  } else if (errors.length === 0) {
+    const benchmarks = rows.map(row => inputType === 'par'
+      ? { years: row.years, coupon: row.parYield, price: 100 }
+      : { years: row.years, coupon: row.coupon, price: row.price });
+    curve = bootstrapSpotCurve(benchmarks, frequency);
+    if (curve.failedAt !== null) {
+      errors.push(`No spot rate prices the ${curve.failedAt}-year benchmark; check its ${inputType === 'par' ? 'par yield' : 'coupon and price'} against the shorter ones.`);
+      curve = null;
+    }
+  }
+
+  container.innerHTML = '';
+  if (errors.length > 0) {
+    const list = createElement('ul', { className: 'cash-flow-editor-errors' });
+    errors.forEach(message => list.appendChild(createElement('li', {}, message)));
+    container.appendChild(list);
+  } else {
+    container.appendChild(createCurveTable(curve));
+    container.appendChild(createElement('p', { className: 'money-market-note' },
+      `Spot, par and forward rates are quoted with ${getFrequencyLabel(frequency)} compounding. Between benchmark maturities spot rates are interpolated linearly, and beyond them the nearest one is held flat.`
+    ));
+  }
+
+  currentCurve = curve;
+  renderForwardRate();
+  onCurveChange({ spotCurve: curve });
+}
+
+/**
+ * Check one government or swap curve input
+ * @returns {Object} { points ({ years, rate } with decimal rates) or null, errors }
+ */
+function readBenchmarkCurve({ selector, name }) {
+  const input = $(selector);
+  const text = input ? input.value.trim() : '';
+  if (!text) return { points: null, errors: [] };
+
+  const parsed = parseCurvePoints(text);
+  const errors = [];
+  if (!parsed) {
+    errors.push(`${name}s must be maturity: rate pairs separated by commas, such as 2: 4.3.`);
+  } else {
+    const { years, parYield: rate } = LIMITS;
+    parsed.forEach((point, index) => {
+      if (point.years < years.min || point.years > years.max) {
+        errors.push(`${name} ${index + 1} needs a maturity between ${years.min} and ${years.max} years.`);
+      }
+      if (point.rate < rate.min || point.rate > rate.max) {
+        errors.push(`${name} ${index + 1} must be between ${rate.min}% and ${rate.max}%.`);
+      }
+    });
+    const maturities = parsed.map(point => point.years);
+    if (errors.length === 0 && new Set(maturities).size !== maturities.length) {
+      errors.push(`Each ${name.toLowerCase()} needs a different maturity.`);
+    }
+  }
+
+  if (input) {
+    input.classList.toggle('error', errors.length > 0);
+    if (errors.length > 0) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  return {
+    points: errors.length === 0 ? parsed.map(point => ({ years: point.years, rate: point.rate / 100 })) : null,
+    errors
+  };
+}
+
+/**
+ * Validate the government and swap curves and hand them on
+ */
+function renderBenchmarkCurves() {
+  const container = $('#benchmark-curves-errors');
+  const curves = {};
+  const errors = [];
+  BENCHMARK_CURVES.forEach(curve => {
+    const result = readBenchmarkCurve(curve);
+    curves[curve.key] = result.points;
+    errors.push(...result.errors);
+  });
+
+  if (container) {
+    container.innerHTML = '';
+    if (errors.length > 0) {
+      const list = createElement('ul', { className: 'cash-flow-editor-errors' });
+      errors.forEach(message => list.appendChild(createElement('li', {}, message)));
+      container.appendChild(list);
+    }
+  }
+
+  onCurveChange(curves);
+}
+
+/**
+ * Validate the forward period and show f(a, b) with the spot/forward equivalence
+ */
+function renderForwardRate() {
+  const output = $('#forward-rate-result');
+  const startInput = $('#forward-start');
+  const endInput = $('#forward-end');
+  if (!output || !startInput || !endInput) return;
+
+  const start = parseFloat(startInput.value);
+  const end = parseFloat(endInput.value);
+  const inRange = (value) => Number.isFinite(value) && value >= FORWARD_LIMITS.min && value <= FORWARD_LIMITS.max;
+  [[startInput, inRange(start)], [endInput, inRange(end) && end > start]].forEach(([input, valid]) => {
+    input.classList.toggle('error', !valid);
+    if (valid) {
+      input.removeAttribute('aria-invalid');
+    } else {
+      input.setAttribute('aria-invalid', 'true');
+    }
+  });
+
+  if (!inRange(start) || !inRange(end)) {
+    output.textContent = 'Enter a start and end between 0 and 50 years.';
+    return;
+  }
+  if (end <= start) {
+    output.textContent = 'The forward period must end after it starts.';
+    return;
+  }
+  if (!currentCurve) {
+    output.textContent = 'Correct the benchmarks above to see forward rates.';
+    return;
+  }
+
+  const m = currentCurve.frequency;
+  const forward = forwardRateBetween(currentCurve, start, end);
+  const growth = (rate, years) => Math.pow(1 + rate / m, m * years);
+  const spotStart = spotRateAt(currentCurve, start);
+  const spotEnd = spotRateAt(currentCurve, end);
+
+  output.innerHTML = '';
+  output.appendChild(createElement('strong', {}, `f(${start}, ${end}) = ${formatPercentage(forward * 100, 4)}`));
+  output.appendChild(createElement('div', { className: 'yield-measure-note' }, start === 0
+    ? `Starting today, the forward rate is the ${end}-year spot rate.`
+    : `Investing for ${start} years at the ${formatPercentage(spotStart * 100, 4)} spot rate and then for ${Number((end - start).toFixed(6))} years at the forward rate grows 1 to ` +
+    `${growth(spotStart, start).toFixed(6)} × ${growth(forward, end - start).toFixed(6)} = ${growth(spotEnd, end).toFixed(6)}, the same as investing for ${end} years at the ${formatPercentage(spotEnd * 100, 4)} spot rate.`
+  ));
+}
+
+/**
+ * Create the table of spot rates, par yields, discount factors and the
+ * forward rate between each maturity and the one before it
+ */
+function createCurveTable(curve) {
+  const wrapper = createElement('div', {
+    className: 'table-wrapper',
+    role: 'region',
+    'aria-label': 'Spot-rate curve',
+    tabindex: '0'
+  });
+  const table = createElement('table', { id: 'curve-table', className: 'data-table' });
+  const hasPrices = curve.knots.every(knot => knot.price !== undefined);
+
+  let html = `
+    <caption class="sr-only">
+      Curve at each benchmark maturity: par yield, spot (zero-coupon) rate, discount factor and the forward rate from the previous maturity${hasPrices ? ", with the benchmark's clean price per USD100 of face value" : ''}.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left table-var-4">Maturity (years)</th>
+        <th scope="col" class="text-right">Par yield</th>
+        <th scope="col" class="text-right table-var-3">Spot rate (z)</th>
+        <th scope="col" class="text-right">Discount factor</th>
+        <th scope="col" class="text-right">Forward from previous</th>
+        ${hasPrices ? '<th scope="col" class="text-right">Benchmark price (USD)</th>' : ''}
+      </tr>
+    </thead>
+    <tbody>`;
+
+  curve.knots.forEach((knot, index) => {
+    const start = index === 0 ? 0 : curve.knots[index - 1].years;
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Maturity (years)"><span class="cell-value table-var-4">${knot.years}</span></th>
+        <td class="text-right" data-label="Par yield"><span class="cell-value">${formatPercentage(knot.parYield * 100, 4)}</span></td>
+        <td class="text-right" data-label="Spot rate (z)"><span class="cell-value table-var-3">${formatPercentage(knot.spotRate * 100, 4)}</span></td>
+        <td class="text-right" data-label="Discount factor"><span class="cell-value">${knot.discountFactor.toFixed(6)}</span></td>
+        <td class="text-right" data-label="Forward from previous"><span class="cell-value">f(${start}, ${knot.years}) = ${formatPercentage(forwardRateBetween(curve, start, knot.years) * 100, 4)}</span></td>
+        ${hasPrices ? `<td class="text-right" data-label="Benchmark price (USD)"><span class="cell-value">${formatCurrency(knot.price)}</span></td>` : ''}
+      </tr>`;
+  });
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+  wrapper.appendChild(table);
+  return wrapper;
+}
@@ -0,0 +1,259 @@
+/**
+ * Spot-Rate Curve Module
+ * Bootstrapping spot rates and discount factors from par yields or benchmark
+ * bond prices, implied forward rates, and pricing cash flows off the curve
+ */
+
+import { solveRoot } from './solver.js';
+
+/**
+ * Ways the benchmark curve can be entered
+ */
+export const CURVE_INPUT_TYPES = {
+  par: { label: 'Par yields' },
+  price: { label: 'Benchmark bond prices' },
+  spot: { label: 'Spot rates' }
+};
+
+/** Curve entry used until one is chosen */
+export const DEFAULT_CURVE_INPUT_TYPE = 'par';
+
+/** Face value the benchmark coupons and prices are quoted on */
+const BENCHMARK_FACE = 100;
+
+/**
+ * Coupon dates of a benchmark bond, in years from today
+ *
+ * Coupons fall every 1/m years counting back from maturity; the first may be
+ * less than a full period away.
+ *
+ * @param {number} years - Years to maturity
+ * @param {number} frequency - Coupons per year
+ * @returns {number[]} Payment times in ascending order
+ */
+function couponTimes(years, frequency) {
+  const times = [];
+  for (let j = 0; years - j / frequency > 1e-9; j++) {
+    times.unshift(years - j / frequency);
+  }
+  return times;
+}
+
+/**
+ * Share of the current coupon period already accrued: 1 − (first coupon time × m)
+ */
+function accruedShare(times, frequency) {
+  return Math.max(0, 1 - times[0] * frequency);
+}
+
+/**
+ * Spot rate at a time, interpolated linearly between the curve's maturities
+ *
+ * Before the first maturity the first spot rate is held flat, and past the
+ * last maturity the last one is.
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve
+ * @param {number} years - Years from today
+ * @returns {number} Spot rate (decimal, compounded `curve.frequency` times a year)
+ */
+export function spotRateAt(curve, years) {
+  const { knots } = curve;
+  if (years <= knots[0].years) return knots[0].spotRate;
+  const last = knots[knots.length - 1];
+  if (years >= last.years) return last.spotRate;
+
+  const i = knots.findIndex(knot => knot.years >= years);
+  const left = knots[i - 1];
+  const right = knots[i];
+  const weight = (years - left.years) / (right.years - left.years);
+  return left.spotRate + weight * (right.spotRate - left.spotRate);
+}
+
+/**
+ * Discount factor for a payment at a time: d(t) = (1 + z(t)/m)^(−m × t)
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve
+ * @param {number} years - Years from today
+ * @param {number} [spread=0] - Constant spread added to the spot rate (decimal)
+ * @returns {number} Present value of 1 paid at `years`
+ */
+export function discountFactorAt(curve, years, spread = 0) {
+  const m = curve.frequency;
+  return Math.pow(1 + (spotRateAt(curve, years) + spread) / m, -m * years);
+}
+
+/**
+ * Par yield for a maturity: the coupon rate that prices a bond at par
+ *
+ * c = m × (1 − d_n) ÷ (Σ d_k − a), where the sum runs over the coupon dates
+ * and a is the share of the current period already accrued (zero when the
+ * maturity is a whole number of periods away).
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve
+ * @param {number} years - Years to maturity
+ * @returns {number} Par yield (decimal, coupons `curve.frequency` times a year)
+ */
+export function parYieldAt(curve, years) {
+  const m = curve.frequency;
+  const times = couponTimes(years, m);
+  const annuity = times.reduce((sum, t) => sum + discountFactorAt(curve, t), 0);
+  return m * (1 - discountFactorAt(curve, years)) / (annuity - accruedShare(times, m));
+}
+
+/**
+ * Implied forward rate between two future dates, f(a, b)
+ *
+ * The rate, compounded m times a year, that grows money from year a to
+ * year b in line with the spot curve: (1 + f/m)^(m(b − a)) = d(a) ÷ d(b),
+ * so investing to a and rolling forward to b matches investing to b.
+ * f(0, b) is the spot rate for b.
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @param {number} startYears - Start of the forward period (a), in years from today
+ * @param {number} endYears - End of the forward period (b), after a
+ * @returns {number} Forward rate (decimal, compounded `curve.frequency` times a year)
+ */
+export function forwardRateBetween(curve, startYears, endYears) {
+  const m = curve.frequency;
+  const growth = discountFactorAt(curve, startYears) / discountFactorAt(curve, endYears);
+  return m * (Math.pow(growth, 1 / (m * (endYears - startYears))) - 1);
+}
+
+/**
+ * Fill in each maturity's discount factor and par yield
+ */
+function completeKnots(curve) {
+  curve.knots.forEach(knot => {
+    knot.discountFactor = discountFactorAt(curve, knot.years);
+    knot.parYield = parYieldAt(curve, knot.years);
+  });
+  return curve;
+}
+
+/**
+ * Move every spot rate on a curve by the same amount (a parallel shift)
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @param {number} shift - Change in every spot rate (decimal)
+ * @returns {Object} Shifted curve in the same shape
+ */
+export function shiftSpotCurve(curve, shift) {
+  const knots = curve.knots.map(knot => ({ ...knot, spotRate: knot.spotRate + shift }));
+  return completeKnots({ ...curve, knots });
+}
+
+/**
+ * Build a curve from spot rates entered directly
+ *
+ * @param {Array} points - Entries { years, spotRate (decimal) }
+ * @param {number} frequency - Compounding periods per year
+ * @returns {Object} Curve in the same shape as bootstrapSpotCurve's
+ */
+export function buildSpotCurve(points, frequency) {
+  const knots = [...points]
+    .sort((a, b) => a.years - b.years)
+    .map(point => ({ years: point.years, spotRate: point.spotRate }));
+  return completeKnots({ frequency: Number(frequency), knots, converged: true, failedAt: null });
+}
+
+/**
+ * Bootstrap spot rates from benchmark bonds, shortest maturity first
+ *
+ * Each benchmark pays coupon/m per 100 of face value every 1/m years to its
+ * maturity and costs its clean price plus accrued interest. Working out from
+ * the shortest, the spot rate at each maturity is solved so that the bond
+ * prices exactly, with the spot rates between it and the previous maturity
+ * interpolated linearly (see spotRateAt). A par yield is a benchmark with a
+ * coupon equal to the yield and a price of 100.
+ *
+ * @param {Array} benchmarks - Entries { years, coupon (annual, % of face), price (per 100 face) }
+ * @param {number} frequency - Coupons and compounding periods per year
+ * @returns {Object} { frequency, knots: [{ years, coupon, price, spotRate,
+ *   discountFactor, parYield }], converged, failedAt }; when a benchmark
+ *   cannot be priced by any spot rate, `knots` stops before it and `failedAt`
+ *   is its maturity
+ */
+export function bootstrapSpotCurve(benchmarks, frequency) {
+  const m = Number(frequency);
+  const sorted = [...benchmarks].sort((a, b) => a.years - b.years);
+  const curve = { frequency: m, knots: [], converged: true, failedAt: null };
+
+  for (const benchmark of sorted) {
+    const times = couponTimes(benchmark.years, m);
+    const coupon = benchmark.coupon / 100 * BENCHMARK_FACE / m;
+    const fullPrice = benchmark.price + coupon * accruedShare(times, m);
+
+    const pricingError = (spotRate) => {
+      const trial = { frequency: m, knots: [...curve.knots, { years: benchmark.years, spotRate }] };
+      return times.reduce((pv, t) => pv + coupon * discountFactorAt(trial, t), 0) +
+        BENCHMARK_FACE * discountFactorAt(trial, benchmark.years) - fullPrice;
+    };
+
+    const solution = solveRoot(pricingError, {
+      lower: 0,
+      upper: 0.1,
+      min: -m, // Spot rate per period must stay above -100%
+      tolerance: 1e-12
+    });
+
+    if (solution.root === null) {
+      curve.converged = false;
+      curve.failedAt = benchmark.years;
+      break;
+    }
+    if (!solution.converged) curve.converged = false;
+
+    curve.knots.push({
+      years: benchmark.years,
+      coupon: benchmark.coupon / 100,
+      price: benchmark.price,
+      spotRate: solution.root
+    });
+  }
+
+  return completeKnots(curve);
+}
+
+/**
+ * Price a bond's cash flows off the spot curve
+ *
+ * Each flow is discounted at the spot rate for its own date rather than at
+ * one yield, which gives the arbitrage-free (no-arbitrage) value of the flows.
+ * Each flow also carries the forward rate for the period since the previous
+ * payment and the discount factor reached by compounding those forwards in
+ * turn, which equals the spot discount factor.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows (period 0 is the purchase)
+ * @param {Object} curve - Curve from bootstrapSpotCurve
+ * @returns {Object} { fullPrice, flows: [{ period, startYears, timeYears, cashFlow,
+ *   spotRate, discountFactor, presentValue, forwardRate, forwardDiscountFactor }] }
+ */
+export function priceOffCurve(cashFlows, curve) {
+  const m = curve.frequency;
+  let startYears = 0;
+  let forwardDiscountFactor = 1;
+
+  const flows = cashFlows.filter(cf => cf.period > 0).map(cf => {
+    const discountFactor = discountFactorAt(curve, cf.timeYears);
+    const forwardRate = forwardRateBetween(curve, startYears, cf.timeYears);
+    forwardDiscountFactor /= Math.pow(1 + forwardRate / m, m * (cf.timeYears - startYears));
+    const flow = {
+      period: cf.period,
+      startYears,
+      timeYears: cf.timeYears,
+      cashFlow: cf.totalCashFlow,
+      spotRate: spotRateAt(curve, cf.timeYears),
+      discountFactor,
+      presentValue: cf.totalCashFlow * discountFactor,
+      forwardRate,
+      forwardDiscountFactor
+    };
+    startYears = cf.timeYears;
+    return flow;
+  });
+
+  return {
+    fullPrice: flows.reduce((sum, flow) => sum + flow.presentValue, 0),
+    flows
+  };
+}
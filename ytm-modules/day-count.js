@@ -0,0 +1,162 @@
+/**
+ * Day-Count Conventions Module
+ * Year fractions for accrued interest and fractional coupon periods
+ */
+
+import { daysBetween, isMonthEnd } from './schedule.js';
+
+/**
+ * Supported conventions, keyed by the value stored in state
+ */
+export const DAY_COUNT_CONVENTIONS = {
+  '30/360': { label: '30/360 US' },
+  '30E/360': { label: '30E/360 (Eurobond)' },
+  'ACT/ACT-ICMA': { label: 'ACT/ACT ICMA' },
+  'ACT/ACT-ISDA': { label: 'ACT/ACT ISDA' },
+  'ACT/360': { label: 'ACT/360' },
+  'ACT/365F': { label: 'ACT/365 Fixed' }
+};
+
+export const DEFAULT_DAY_COUNT = 'ACT/ACT-ICMA';
+
+/**
+ * Describe a day-count convention
+ * @param {string} convention - Convention key
+ * @returns {string} Display label
+ */
+export function getDayCountLabel(convention) {
+  return DAY_COUNT_CONVENTIONS[convention]?.label || convention;
+}
+
+/**
+ * 30/360 day count between two dates
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {boolean} european - Apply 30E/360 rules instead of 30/360 US
+ * @returns {number} Day count on a 30-day-month basis
+ */
+export function days360(start, end, european = false) {
+  const y1 = start.getUTCFullYear();
+  const y2 = end.getUTCFullYear();
+  const m1 = start.getUTCMonth();
+  const m2 = end.getUTCMonth();
+  let d1 = start.getUTCDate();
+  let d2 = end.getUTCDate();
+
+  if (european) {
+    // 30E/360: every 31st becomes the 30th
+    if (d1 === 31) d1 = 30;
+    if (d2 === 31) d2 = 30;
+  } else {
+    // 30/360 US (SIA): end-of-February dates count as the 30th
+    const startIsFebEnd = m1 === 1 && isMonthEnd(start);
+    const endIsFebEnd = m2 === 1 && isMonthEnd(end);
+    if (startIsFebEnd && endIsFebEnd) d2 = 30;
+    if (startIsFebEnd) d1 = 30;
+    if (d2 === 31 && d1 >= 30) d2 = 30;
+    if (d1 === 31) d1 = 30;
+  }
+
+  return 360 * (y2 - y1) + 30 * (m2 - m1) + (d2 - d1);
+}
+
+/**
+ * ACT/ACT ISDA year fraction: days in each calendar year over that year's length
+ */
+function actActISDA(start, end) {
+  let fraction = 0;
+  let cursor = start;
+
+  while (cursor < end) {
+    const year = cursor.getUTCFullYear();
+    const nextYear = new Date(Date.UTC(year + 1, 0, 1));
+    const segmentEnd = end < nextYear ? end : nextYear;
+    const daysInYear = daysBetween(new Date(Date.UTC(year, 0, 1)), nextYear);
+    fraction += daysBetween(cursor, segmentEnd) / daysInYear;
+    cursor = segmentEnd;
+  }
+
+  return fraction;
+}
+
+/**
+ * Day count between two dates under a convention
+ * (30-day months for the 30/360 family, actual days otherwise)
+ * @param {string} convention - Convention key
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Day count
+ */
+export function dayCount(convention, start, end) {
+  switch (convention) {
+    case '30/360':
+      return days360(start, end, false);
+    case '30E/360':
+      return days360(start, end, true);
+    default:
+      return daysBetween(start, end);
+  }
+}
+
+/**
+ * Year fraction between two dates under a convention
+ *
+ * ACT/ACT ICMA measures time in coupon periods, so it needs the coupon period
+ * containing the interval and the payment frequency.
+ *
+ * @param {string} convention - Convention key
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {Object} [period] - Coupon period context (ACT/ACT ICMA only)
+ * @param {Date} period.periodStart - Coupon period start
+ * @param {Date} period.periodEnd - Coupon period end
+ * @param {number} period.frequency - Coupon payments per year
+ * @returns {number} Year fraction
+ */
+export function yearFraction(convention, start, end, period = {}) {
+  switch (convention) {
+    case '30/360':
+    case '30E/360':
+      return dayCount(convention, start, end) / 360;
+    case 'ACT/ACT-ICMA': {
+      const { periodStart, periodEnd, frequency } = period;
+      return daysBetween(start, end) / (frequency * daysBetween(periodStart, periodEnd));
+    }
+    case 'ACT/ACT-ISDA':
+      return actActISDA(start, end);
+    case 'ACT/360':
+      return daysBetween(start, end) / 360;
+    case 'ACT/365F':
+      return daysBetween(start, end) / 365;
+    default:
+      throw new Error(`Unknown day-count convention: ${convention}`);
+  }
+}
+
+/**
+ * Accrual and discounting fractions for a settlement date inside a coupon period
+ *
+ * `accruedFraction` scales the periodic coupon into accrued interest; it can
+ * exceed 1 on ACT/360 near the end of a long period, as it does in practice.
+ * `firstPeriodFraction` is the share of the period left until the next coupon,
+ * measured on the same basis, and is used as the first discounting exponent.
+ *
+ * @param {string} convention - Convention key
+ * @param {Object} schedule - Result of buildCouponSchedule
+ * @param {Date} settlementDate - Settlement date
+ * @param {number} frequency - Coupon payments per year
+ * @returns {Object} { accruedDays, periodDays, accruedFraction, firstPeriodFraction }
+ */
+export function accrualFractions(convention, { previousCouponDate, nextCouponDate }, settlementDate, frequency) {
+  const period = { periodStart: previousCouponDate, periodEnd: nextCouponDate, frequency };
+  const accruedYears = yearFraction(convention, previousCouponDate, settlementDate, period);
+  const remainingYears = yearFraction(convention, settlementDate, nextCouponDate, period);
+  const periodYears = yearFraction(convention, previousCouponDate, nextCouponDate, period);
+
+  return {
+    accruedDays: dayCount(convention, previousCouponDate, settlementDate),
+    periodDays: dayCount(convention, previousCouponDate, nextCouponDate),
+    accruedFraction: accruedYears * frequency,
+    firstPeriodFraction: periodYears > 0 ? remainingYears / periodYears : 1
+  };
+}
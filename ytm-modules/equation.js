@@ -3,7 +3,8 @@
  * Renders Bond YTM equation with actual calculated values
  */
 
-import { formatCurrency, formatPercentage } from './utils.js';
+import { formatCurrency, formatPercentage, getFrequencyLabel } from './utils.js';
+import { SOLVE_FOR_VARIABLES } from './calculations.js';
 
 /**
  * Render dynamic equation with user's values
@@ -18,6 +19,26 @@ export function renderDynamicEquation(calculations, params) {
     return;
   }
   
+  // The missing input has no solution for the entered yield
+  if (calculations && calculations.solved && calculations.solved.value === null) {
+    container.innerHTML = `
+    <div class="equation-explanation">
+      <div>${calculations.solved.reason ?? `No value of the ${SOLVE_FOR_VARIABLES[calculations.solved.variable].label.toLowerCase()} satisfies the pricing equation at the entered yield, so there is nothing to solve.`}</div>
+    </div>
+  `;
+    return;
+  }
+  
+  // No yield reproduces the price: say so instead of leaving a stale equation
+  if (calculations && calculations.solverStatus === 'no-solution') {
+    container.innerHTML = `
+    <div class="equation-explanation">
+      <div>No value of <span style="color: #7a46ff;"><strong><i>r</i></strong></span> discounts these cash flows to the entered price, so the yield-to-maturity has no solution.</div>
+    </div>
+  `;
+    return;
+  }
+  
   // Safety check - but allow small values close to zero
   if (!calculations || calculations.bondEquivalentYield === null || 
       calculations.bondEquivalentYield === undefined || 
@@ -28,29 +49,93 @@ export function renderDynamicEquation(calculations, params) {
     return;
   }
   
-  const { bondEquivalentYield, couponPayment, periods } = calculations;
-  const { bondPrice, faceValue } = params;
+  const { couponPayment, settlement, solved, stub, couponSchedule, amortization, floatingRate, inflationLinked } = calculations;
+  const { faceValue, frequency, zeroCoupon, perpetual } = params;
+  const frequencyLabel = getFrequencyLabel(frequency);
+  
+  // Name the formula in the card introduction
+  const introFrequency = document.getElementById('equation-frequency');
+  if (introFrequency) {
+    introFrequency.textContent = zeroCoupon ? 'zero-coupon' : perpetual ? 'perpetual' : floatingRate ? 'floating-rate' : inflationLinked ? 'inflation-linked' : frequencyLabel;
+  }
+  const solvedVariable = solved ? solved.variable : 'yieldRate';
+  
+  // Term in periods; with a stub the last flow falls at a fractional time
+  const periods = couponSchedule
+    ? Number(couponSchedule[couponSchedule.length - 1].time.toFixed(4))
+    : calculations.periods;
+  const bondEquivalentYield = solvedVariable === 'years' ? solved.yieldRate : calculations.bondEquivalentYield;
+  
+  // Between coupon dates the equation prices the full (dirty) price
+  const price = settlement ? calculations.dirtyPrice : params.bondPrice;
+  
+  // Box the variable that was solved for
+  const mark = (variable, mathML) => variable === solvedVariable
+    ? `<menclose notation="roundedbox">${mathML}</menclose>`
+    : mathML;
   
   // Format values for display
   const ytmFormatted = formatPercentage(bondEquivalentYield * 100);
-  const priceFormatted = formatCurrency(bondPrice);
-  const couponAnnualFormatted = formatCurrency(couponPayment * 2); // Annual coupon (2x semiannual)
+  const priceFormatted = formatCurrency(price);
+  const couponAnnualFormatted = formatCurrency(couponPayment * frequency); // Annual coupon
   const fvFormatted = formatCurrency(faceValue);
-  const periodicYield = bondEquivalentYield / 2; // Semiannual
+  const periodicYield = bondEquivalentYield / frequency;
   const yFormatted = formatPercentage(periodicYield * 100);
   
-  // Build MathML equation - Annuity formula with semiannual compounding
-  // PV = PMT/r × [1 - 1/(1+r/2)^n] + FV/(1+r/2)^n
-  // where PMT is the ANNUAL coupon payment, r is the ANNUAL yield, n is number of periods
-  const mathML = `
-    <div class="equation-math-wrapper">
-      <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
-        <mrow>
-          <mi mathvariant="bold" mathcolor="#b95b1d">${priceFormatted}</mi>
-          <mo>=</mo>
+  const rateSymbol = mark('yieldRate', '<mi mathcolor="#7a46ff">r</mi>');
+  const periodsSymbol = mark('years', `<mn mathcolor="#15803d">${periods}</mn>`);
+  
+  // (1 + r/m), where m is the number of payments per year
+  const onePlusRate = `
+                <mrow>
+                  <mo>(</mo>
+                  <mn>1</mn>
+                  <mo>+</mo>
+                  ${frequency === 1 ? rateSymbol : `<mfrac linethickness="1.2px">
+                    ${rateSymbol}
+                    <mn>${frequency}</mn>
+                  </mfrac>`}
+                  <mo>)</mo>
+                </mrow>`;
+  
+  // The part of the current period already gone (1 − the fraction left to the
+  // next coupon, as the pricer uses) grows the coupon-date value to
+  // settlement; settling on a coupon date leaves the regular-period form
+  const settlementPeriods = settlement ? 1 - settlement.firstPeriodFraction : 0;
+  const growsToSettlement = settlementPeriods > 0;
+  const settlementFactor = growsToSettlement ? `
+          <mo>×</mo>
+          <msup>
+            ${onePlusRate}
+            <mn mathcolor="#15803d">${settlementPeriods.toFixed(4)}</mn>
+          </msup>` : '';
+  
+  // Coupon term: a closed-form annuity for regular periods, or a sum over
+  // each prorated coupon when there is a stub (a zero-coupon bond has none)
+  const couponTerm = zeroCoupon ? '' : stub ? `
+          <munderover>
+            <mo>∑</mo>
+            <mrow><mi>k</mi><mo>=</mo><mn>1</mn></mrow>
+            <mn>${couponSchedule.length}</mn>
+          </munderover>
           <mfrac linethickness="1.2px">
-            <mi mathvariant="bold" mathcolor="#3c6ae5">${couponAnnualFormatted}</mi>
-            <mi mathcolor="#7a46ff">r</mi>
+            <mrow>
+              <mfrac linethickness="1.2px">
+                ${mark('couponPayment', `<mi mathvariant="bold" mathcolor="#3c6ae5">${couponAnnualFormatted}</mi>`)}
+                <mn>${frequency}</mn>
+              </mfrac>
+              <mo>×</mo>
+              <msub><mi>a</mi><mi>k</mi></msub>
+            </mrow>
+            <msup>
+              ${onePlusRate}
+              <msub><mi mathcolor="#15803d">t</mi><mi>k</mi></msub>
+            </msup>
+          </mfrac>
+          <mo>+</mo>` : `
+          <mfrac linethickness="1.2px">
+            ${mark('couponPayment', `<mi mathvariant="bold" mathcolor="#3c6ae5">${couponAnnualFormatted}</mi>`)}
+            ${rateSymbol}
           </mfrac>
           <mo>×</mo>
           <mrow>
@@ -60,43 +145,174 @@ export function renderDynamicEquation(calculations, params) {
             <mfrac linethickness="1.2px">
               <mn>1</mn>
               <msup>
-                <mrow>
-                  <mo>(</mo>
-                  <mn>1</mn>
-                  <mo>+</mo>
-                  <mfrac linethickness="1.2px">
-                    <mi mathcolor="#7a46ff">r</mi>
-                    <mn>2</mn>
-                  </mfrac>
-                  <mo>)</mo>
-                </mrow>
-                <mn mathcolor="#15803d">${periods}</mn>
+                ${onePlusRate}
+                ${periodsSymbol}
               </msup>
             </mfrac>
             <mo>]</mo>
           </mrow>
-          <mo>+</mo>
+          <mo>+</mo>`;
+  
+  // With a stub, say what t_k and a_k are
+  const stubNote = stub && !zeroCoupon ? `
+      <div>Coupon k is paid t<sub>k</sub> periods from settlement (${couponSchedule.slice(0, 2).map(p => Number(p.time.toFixed(4))).join(', ')}, …, ${periods}) and is a<sub>k</sub> of a regular coupon: ${Number(stub.fraction.toFixed(4))} for the ${stub.length} ${stub.position} coupon and 1 otherwise.</div>` : '';
+  
+  // Zero-coupon and perpetual yields come straight from the price, with no iteration
+  const closedFormNote = zeroCoupon ? `
+      <div>With a single payment the equation rearranges to <i>r</i> = ${frequency} × [(${fvFormatted} ÷ ${priceFormatted})<sup>1/${Number((calculations.years * frequency).toFixed(4))}</sup> − 1].</div>` : perpetual ? `
+      <div>The coupons never stop, so the annuity becomes a perpetuity and <i>r</i> = ${couponAnnualFormatted} ÷ ${priceFormatted}.</div>` : '';
+  
+  // Sentence under the equation naming the boxed variable and its value
+  const describeSolution = () => {
+    switch (solvedVariable) {
+      case 'bondPrice':
+        return `Solving for the <span style="color: #b95b1d;"><strong>bond price</strong></span> at ${ytmFormatted} gives ${formatCurrency(params.bondPrice)}${settlement ? ` clean, ${priceFormatted} full` : ''}`;
+      case 'couponPayment':
+        return `Solving for the <span style="color: #3c6ae5;"><strong>annual coupon payment</strong></span> at ${ytmFormatted} gives ${couponAnnualFormatted}`;
+      case 'years':
+        return `Solving for <span style="color: #15803d;"><strong>the number of periods</strong></span> at ${ytmFormatted} gives ${periods} ${frequencyLabel} periods (${solved.value.toFixed(2)} years)`;
+      case 'faceValue':
+        return `Solving for the <span style="color: #0079a6;"><strong>face value</strong></span> at ${ytmFormatted} gives ${fvFormatted}`;
+      default:
+        return `Solving ${calculations.closedForm ? 'directly' : 'iteratively'} for <span style="color: #7a46ff;"><strong><i>r</i></strong></span> gives: <span style="color: #7a46ff;"><strong>yield-to-maturity</strong></span> = ${ytmFormatted} annualized (${yFormatted} ${frequencyLabel})${settlement ? `, from the full price of ${priceFormatted}` : ''}`;
+    }
+  };
+  
+  // Build MathML equation - Annuity formula with periodic compounding
+  // PV = [PMT/r × [1 - 1/(1+r/m)^n] + FV/(1+r/m)^n] × (1+r/m)^(t/T)
+  // where PMT is the ANNUAL coupon payment, r is the ANNUAL yield, n is number of periods
+  // and t/T is the accrued fraction of the current period (dated bonds only)
+  // An amortizing bond repays principal every period, so each flow is
+  // discounted on its own: PV = Σ (PMT/m × O_k + P_k) / (1 + r/m)^t_k
+  const amortizingMathML = `
+        <mrow>
+          ${mark('bondPrice', `<mi mathvariant="bold" mathcolor="#b95b1d">${priceFormatted}</mi>`)}
+          <mo>=</mo>
+          <munderover>
+            <mo>∑</mo>
+            <mrow><mi>k</mi><mo>=</mo><mn>1</mn></mrow>
+            ${periodsSymbol}
+          </munderover>
           <mfrac linethickness="1.2px">
-            <mi mathvariant="bold" mathcolor="#0079a6">${fvFormatted}</mi>
+            <mrow>
+              <mfrac linethickness="1.2px">
+                ${mark('couponPayment', `<mi mathvariant="bold" mathcolor="#3c6ae5">${couponAnnualFormatted}</mi>`)}
+                <mn>${frequency}</mn>
+              </mfrac>
+              <mo>×</mo>
+              <msub><mi>o</mi><mi>k</mi></msub>
+              <mo>+</mo>
+              ${mark('faceValue', `<mi mathvariant="bold" mathcolor="#0079a6">${fvFormatted}</mi>`)}
+              <mo>×</mo>
+              <msub><mi>p</mi><mi>k</mi></msub>
+            </mrow>
+            <msup>
+              ${onePlusRate}
+              <msub><mi mathcolor="#15803d">t</mi><mi>k</mi></msub>
+            </msup>
+          </mfrac>
+        </mrow>`;
+  
+  const amortizationNote = amortization ? `
+      <div>Coupon k is paid t<sub>k</sub> periods from settlement on o<sub>k</sub>, the share of face value still outstanding, and p<sub>k</sub> of the face value is repaid with it (${amortization.label.toLowerCase()}).</div>` : '';
+  
+  // A perpetual bond's price is its coupon stream alone: PV = PMT / r
+  const perpetualMathML = `
+        <mrow>
+          ${mark('bondPrice', `<mi mathvariant="bold" mathcolor="#b95b1d">${priceFormatted}</mi>`)}
+          <mo>=</mo>
+          <mfrac linethickness="1.2px">
+            ${mark('couponPayment', `<mi mathvariant="bold" mathcolor="#3c6ae5">${couponAnnualFormatted}</mi>`)}
+            ${rateSymbol}
+          </mfrac>
+        </mrow>`;
+  
+  // A floating-rate note pays the reference rate plus the quoted margin, and
+  // the discount margin DM is the spread over the same rates that prices it:
+  // PV = Σ FV × (MRR_k + QM)/m / D_k + FV / D_n, with D_k compounding each
+  // period at MRR_j + DM (a single rate when the reference rate is flat)
+  const flatReference = floatingRate && floatingRate.referencePathType === 'flat';
+  const marginSymbol = '<menclose notation="roundedbox"><mi mathcolor="#7a46ff">DM</mi></menclose>';
+  const referenceSymbol = (index) => flatReference
+    ? `<mn>${formatPercentage(floatingRate.referenceRates[0] * 100)}</mn>`
+    : `<msub><mi>MRR</mi><mi>${index}</mi></msub>`;
+  const floatingDiscount = (index, exponent) => flatReference ? `
             <msup>
               <mrow>
                 <mo>(</mo>
                 <mn>1</mn>
                 <mo>+</mo>
                 <mfrac linethickness="1.2px">
-                  <mi mathcolor="#7a46ff">r</mi>
-                  <mn>2</mn>
+                  <mrow>${referenceSymbol('k')}<mo>+</mo>${marginSymbol}</mrow>
+                  <mn>${frequency}</mn>
                 </mfrac>
                 <mo>)</mo>
               </mrow>
-              <mn mathcolor="#15803d">${periods}</mn>
+              ${exponent}
+            </msup>` : `
+            <msub><mi>D</mi><mi>${index}</mi></msub>`;
+  const floatingMathML = floatingRate ? `
+        <mrow>
+          ${mark('bondPrice', `<mi mathvariant="bold" mathcolor="#b95b1d">${priceFormatted}</mi>`)}
+          <mo>=</mo>
+          <munderover>
+            <mo>∑</mo>
+            <mrow><mi>k</mi><mo>=</mo><mn>1</mn></mrow>
+            ${periodsSymbol}
+          </munderover>
+          <mfrac linethickness="1.2px">
+            <mrow>
+              <mi mathvariant="bold" mathcolor="#0079a6">${fvFormatted}</mi>
+              <mo>×</mo>
+              <mfrac linethickness="1.2px">
+                <mrow>${referenceSymbol('k')}<mo>+</mo><mn mathcolor="#3c6ae5">${formatPercentage(floatingRate.quotedMargin * 100)}</mn></mrow>
+                <mn>${frequency}</mn>
+              </mfrac>
+            </mrow>
+            ${floatingDiscount('k', '<msub><mi mathcolor="#15803d">t</mi><mi>k</mi></msub>')}
+          </mfrac>
+          <mo>+</mo>
+          <mfrac linethickness="1.2px">
+            <mi mathvariant="bold" mathcolor="#0079a6">${fvFormatted}</mi>
+            ${floatingDiscount('n', periodsSymbol)}
+          </mfrac>
+        </mrow>` : '';
+  
+  const floatingNote = floatingRate ? `
+      <div>${floatingRate.discountMargin === null
+        ? 'No discount margin prices these projected coupons at the entered price.'
+        : `The discount margin is <span style="color: #7a46ff;"><strong>DM</strong></span> = ${(floatingRate.discountMargin * 10000).toFixed(1)} bp against a quoted margin of ${(floatingRate.quotedMargin * 10000).toFixed(1)} bp.`} Coupon k is paid t<sub>k</sub> periods from settlement${flatReference
+        ? `; with a flat reference rate every period is discounted at MRR + DM, so <i>r</i> = MRR + DM.`
+        : ` at MRR<sub>k</sub>, the forward reference rate for its period, and D<sub>k</sub> = Π<sub>j ≤ k</sub> (1 + (MRR<sub>j</sub> + DM) ÷ ${frequency})<sup>τ<sub>j</sub></sup> compounds each period τ<sub>j</sub> at its own rate plus DM.`}</div>` : '';
+  
+  // An inflation-linked bond is priced in real terms, so r is its real yield
+  const inflationNote = inflationLinked ? `
+      <div>Price, coupon and face value are real (before indexation), so <i>r</i> is the real yield. ${inflationLinked.nominalYield === null
+        ? 'With no real yield there is no nominal yield to convert to.'
+        : `At ${formatPercentage(inflationLinked.inflationRate * 100)} inflation the indexed cash flows yield n = ${formatPercentage(inflationLinked.nominalYield * 100)}, from (1 + n ÷ ${frequency}) = (1 + <i>r</i> ÷ ${frequency})(1 + π)<sup>1/${frequency}</sup>.`}</div>` : '';
+  
+  const mathML = `
+    <div class="equation-math-wrapper">
+      <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">${perpetual ? perpetualMathML : floatingRate ? floatingMathML : amortization ? amortizingMathML : `
+        <mrow>
+          ${mark('bondPrice', `<mi mathvariant="bold" mathcolor="#b95b1d">${priceFormatted}</mi>`)}
+          <mo>=</mo>
+          ${growsToSettlement ? '<mrow><mo>[</mo>' : ''}
+          ${couponTerm}
+          <mfrac linethickness="1.2px">
+            ${mark('faceValue', `<mi mathvariant="bold" mathcolor="#0079a6">${fvFormatted}</mi>`)}
+            <msup>
+              ${onePlusRate}
+              ${periodsSymbol}
             </msup>
           </mfrac>
-        </mrow>
+          ${growsToSettlement ? '<mo>]</mo></mrow>' : ''}
+          ${settlementFactor}
+        </mrow>`}
       </math>
     </div>
     <div class="equation-explanation">
-      <div>Solving iteratively for <span style="color: #7a46ff;"><strong><i>r</i></strong></span> gives: <span style="color: #7a46ff;"><strong>yield-to-maturity</strong></span> = ${ytmFormatted} annualized (${yFormatted} semiannual)</div>
+      <div>${describeSolution()}</div>${floatingRate ? floatingNote : amortization ? amortizationNote : stubNote}${inflationNote}${closedFormNote}
     </div>
   `;
   
@@ -128,7 +344,9 @@ export function renderDynamicEquation(calculations, params) {
       if (equationContainer) {
         equationContainer.setAttribute(
           'aria-label',
-          `Bond pricing equation with your values. Yield-to-maturity = ${ytmFormatted} annualized (${yFormatted} semiannual).`
+          solvedVariable === 'yieldRate'
+            ? `Bond pricing equation with your values. Yield-to-maturity = ${ytmFormatted} annualized (${yFormatted} ${frequencyLabel}).`
+            : `Bond pricing equation with your values. ${describeSolution().replace(/<[^>]+>/g, '')}.`
         );
       }
     });
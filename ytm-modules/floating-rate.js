@@ -0,0 +1,40 @@
+/**
+ * Floating-Rate Note Module
+ * Reference-rate projections for FRN coupons
+ */
+
+import { parseNumberList } from './utils.js';
+
+/**
+ * Ways the reference rate can be projected over the note's life
+ */
+export const REFERENCE_PATH_TYPES = {
+  flat: { label: 'Flat reference rate' },
+  forward: { label: 'Forward path' }
+};
+
+/** Reference-rate projection used until one is chosen */
+export const DEFAULT_REFERENCE_PATH_TYPE = 'flat';
+
+/**
+ * Reference rate that sets the coupon of each remaining period
+ *
+ * A flat projection holds today's rate for every reset. A forward path
+ * gives the rate for each reset in turn (the first is the rate already
+ * fixed for the current coupon); past the end of the path its last rate
+ * is held to maturity.
+ *
+ * @param {Object} params - Projection terms
+ * @param {string} params.referencePathType - Key of REFERENCE_PATH_TYPES
+ * @param {number} params.referenceRate - Current reference rate (decimal)
+ * @param {string} [params.forwardPath] - Forward rates in percent in reset order, e.g. "4, 4.25, 4.5"
+ * @param {number} params.periods - Remaining coupon periods
+ * @returns {number[]} Annual reference rate for each period (decimal)
+ */
+export function projectReferenceRates({ referencePathType, referenceRate, forwardPath, periods }) {
+  const path = referencePathType === 'forward' ? parseNumberList(forwardPath) : null;
+  if (!path || path.length === 0) {
+    return Array(periods).fill(Number(referenceRate));
+  }
+  return Array.from({ length: periods }, (_, k) => path[Math.min(k, path.length - 1)] / 100);
+}
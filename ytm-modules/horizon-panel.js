@@ -0,0 +1,269 @@
+/**
+ * Horizon Panel Module
+ * Holding period, reinvestment rate and horizon yield inputs, the realized
+ * compound yield box and the reinvestment build-up chart and table
+ */
+
+import { $, listen, debounce, createElement, formatCurrency, formatPercentage, formatTimeYears, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { calculateHorizonReturn } from './horizon.js';
+import { renderHorizonChart, destroyHorizonChart } from './chart.js';
+
+/** Accepted input ranges */
+const LIMITS = {
+  horizonYears: { min: 0.1, max: 100, message: 'Enter a holding period between 0.1 and 100 years.' },
+  reinvestmentRate: { min: 0, max: 50, message: 'Enter a reinvestment rate between 0% and 50%.' },
+  horizonYield: { min: 0, max: 50, message: 'Enter a yield at the horizon between 0% and 50%.' }
+};
+
+/** 'chart' or 'table', kept across re-renders */
+let horizonView = 'chart';
+
+/** Bond calculations and payment frequency the analysis is run on */
+let currentBond = null;
+
+/** Latest horizon analysis being shown, with the YTM it is compared with */
+let currentAnalysis = null;
+
+/** Panel inputs, found once on setup */
+let inputs = null;
+
+/**
+ * Set up the horizon panel
+ */
+export function setupHorizonPanel() {
+  inputs = {
+    horizonYears: $('#horizon-years'),
+    reinvestmentRate: $('#horizon-reinvestment-rate'),
+    horizonYield: $('#horizon-yield')
+  };
+  if (!inputs.horizonYears || !inputs.reinvestmentRate || !inputs.horizonYield) {
+    inputs = null;
+    return;
+  }
+
+  const debouncedUpdate = debounce(renderHorizon, 300);
+  Object.values(inputs).forEach(input => {
+    listen(input, 'input', () => {
+      clampNumericInputLength(input, NUMERIC_INPUT_MAX_CHARS);
+      debouncedUpdate();
+    });
+  });
+
+  listen($('#horizon-chart-btn'), 'click', () => {
+    horizonView = 'chart';
+    showView();
+  });
+  listen($('#horizon-table-btn'), 'click', () => {
+    horizonView = 'table';
+    showView();
+  });
+}
+
+/**
+ * Rerun the horizon analysis for the bond as it now stands
+ * @param {Object} calculations - Result of calculateBondYTMMetrics
+ * @param {number} frequency - Payment frequency per year
+ */
+export function updateHorizonPanel(calculations, frequency) {
+  currentBond = { calculations, frequency: Number(frequency) };
+  renderHorizon();
+}
+
+/**
+ * Read and check one numeric input, flagging it when out of range
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkInput(input, limits) {
+  const value = parseFloat(input.value);
+  const valid = Number.isFinite(value) && value >= limits.min && value <= limits.max;
+  if (valid) {
+    input.removeAttribute('aria-invalid');
+    input.classList.remove('error');
+    return null;
+  }
+  input.setAttribute('aria-invalid', 'true');
+  input.classList.add('error');
+  return limits.message;
+}
+
+/**
+ * Why the bond cannot be analysed, or null when it can
+ */
+function unavailableReason(calculations) {
+  if (calculations.perpetual) {
+    return 'A perpetual bond never matures, so there is no finite set of cash flows to sell at the horizon.';
+  }
+  if (calculations.bondEquivalentYield === null) {
+    return 'The bond above has no yield-to-maturity to compare the realized return with.';
+  }
+  return null;
+}
+
+/**
+ * Validate the inputs, run the analysis and render it
+ */
+function renderHorizon() {
+  const errorsContainer = $('#horizon-errors');
+  const results = $('#horizon-results');
+  const output = $('#horizon-output');
+  if (!inputs || !errorsContainer || !results || !output) return;
+
+  const errors = Object.keys(LIMITS)
+    .map(key => checkInput(inputs[key], LIMITS[key]))
+    .filter(Boolean);
+
+  errorsContainer.innerHTML = '';
+  if (errors.length > 0) {
+    const list = createElement('ul', { className: 'cash-flow-editor-errors' });
+    errors.forEach(message => list.appendChild(createElement('li', {}, message)));
+    errorsContainer.appendChild(list);
+  }
+
+  results.innerHTML = '';
+  currentAnalysis = null;
+  const reason = currentBond ? unavailableReason(currentBond.calculations) : null;
+  if (errors.length > 0 || !currentBond || reason) {
+    if (reason) results.appendChild(createElement('p', { className: 'money-market-note' }, reason));
+    output.style.display = 'none';
+    destroyHorizonChart();
+    return;
+  }
+
+  const { calculations, frequency } = currentBond;
+  const assumptions = {
+    horizonYears: parseFloat(inputs.horizonYears.value),
+    reinvestmentRate: parseFloat(inputs.reinvestmentRate.value) / 100,
+    horizonYield: parseFloat(inputs.horizonYield.value) / 100
+  };
+  const analysis = calculateHorizonReturn(calculations.cashFlows, {
+    price: calculations.dirtyPrice,
+    frequency,
+    yieldRate: calculations.bondEquivalentYield,
+    ...assumptions
+  });
+  currentAnalysis = { analysis, ytm: calculations.bondEquivalentYield };
+
+  results.appendChild(createHorizonBox(analysis, calculations, assumptions));
+  renderHorizonTable(analysis);
+  output.style.display = '';
+  showView();
+}
+
+/**
+ * Create the realized compound yield box
+ */
+function createHorizonBox(analysis, calculations, { reinvestmentRate, horizonYield }) {
+  const ytm = calculations.bondEquivalentYield;
+  const box = createElement('div', { className: 'result-box horizon' });
+  box.appendChild(createElement('h5', { className: 'result-title horizon' },
+    `Held for ${analysis.horizonYears} Years`
+  ));
+
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  const gap = (analysis.realizedYield - ytm) * 10000;
+  const sold = analysis.salePrice > 0;
+
+  const items = [
+    { label: 'Purchase price (full)', value: formatCurrency(calculations.dirtyPrice) },
+    { label: 'Cash flows received', value: formatCurrency(analysis.received) },
+    { label: `Reinvestment income at ${formatPercentage(reinvestmentRate * 100)}`, value: formatCurrency(analysis.reinvestmentIncome) },
+    sold
+      ? { label: `Sale price at a ${formatPercentage(horizonYield * 100)} yield (full)`, value: formatCurrency(analysis.salePrice) }
+      : { label: 'Sale price', value: 'None: the bond matures by the horizon' },
+    ...(sold ? [{ label: 'Sale price − purchase price', value: `${analysis.capitalGain >= 0 ? '+' : '−'}${formatCurrency(Math.abs(analysis.capitalGain))}` }] : []),
+    { label: 'Total horizon value', value: formatCurrency(analysis.totalValue) },
+    { label: 'Realized compound yield', value: formatPercentage(analysis.realizedYield * 100, 4) },
+    { label: 'Yield-to-maturity (promised)', value: formatPercentage(ytm * 100, 4) },
+    { label: 'Realized − promised', value: `${gap >= 0 ? '+' : ''}${gap.toFixed(1)} bp` },
+    { label: 'Horizon value at the YTM', value: formatCurrency(analysis.promisedValue) }
+  ];
+
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+
+  const note = createElement('div', { className: 'analysis-details' });
+  note.innerHTML = [
+    `RCY = <i>m</i> × [(total horizon value ÷ purchase price)<sup>1 ÷ (<i>m</i> × <i>H</i>)</sup> − 1], with <i>m</i> = ${currentBond.frequency} and <i>H</i> = ${analysis.horizonYears} years.`,
+    '<span class="result-secondary">Reinvesting below the yield-to-maturity lowers the realized yield, and so does a higher yield at the horizon, ' +
+      'which cuts the sale price. The two pull in opposite directions when rates move: higher rates earn more on reinvested coupons but sell the bond for less.</span>'
+  ].map(line => `<div>${line}</div>`).join('');
+  content.appendChild(note);
+
+  box.appendChild(content);
+  return box;
+}
+
+/**
+ * Fill the table alternative to the chart
+ * @param {Object} analysis - Result of calculateHorizonReturn
+ */
+function renderHorizonTable(analysis) {
+  const table = $('#horizon-table');
+  if (!table) return;
+
+  let html = `
+    <caption class="sr-only">
+      Reinvested cash flows at each payment date up to the horizon: the cash flow paid, the total received so far, the reinvestment income earned on it, their value, and their value if reinvested at the yield-to-maturity.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Period</th>
+        <th scope="col" class="text-right">Time (years)</th>
+        <th scope="col" class="text-right">Cash flow (USD)</th>
+        <th scope="col" class="text-right">Received to date (USD)</th>
+        <th scope="col" class="text-right">Reinvestment income (USD)</th>
+        <th scope="col" class="text-right">Reinvested value (USD)</th>
+        <th scope="col" class="text-right table-var-3">At the YTM (USD)</th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  analysis.buildUp.forEach(point => {
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Period">${point.period === null ? 'Horizon' : point.period}</th>
+        <td class="text-right" data-label="Time (years)"><span class="cell-value">${formatTimeYears(point.timeYears)}</span></td>
+        <td class="text-right" data-label="Cash flow (USD)"><span class="cell-value">${formatCurrency(point.cashFlow)}</span></td>
+        <td class="text-right" data-label="Received to date (USD)"><span class="cell-value">${formatCurrency(point.received)}</span></td>
+        <td class="text-right" data-label="Reinvestment income (USD)"><span class="cell-value">${formatCurrency(point.reinvestmentIncome)}</span></td>
+        <td class="text-right" data-label="Reinvested value (USD)"><span class="cell-value">${formatCurrency(point.reinvestedValue)}</span></td>
+        <td class="text-right" data-label="At the YTM (USD)"><span class="cell-value table-var-3">${formatCurrency(point.reinvestedAtYield)}</span></td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+}
+
+/**
+ * Show the chosen view, drawing the chart only while it is visible
+ */
+function showView() {
+  const chartBtn = $('#horizon-chart-btn');
+  const tableBtn = $('#horizon-table-btn');
+  const chartContainer = $('#horizon-chart-container');
+  const tableContainer = $('#horizon-table-container');
+  if (!chartBtn || !tableBtn || !chartContainer || !tableContainer) return;
+
+  const isChart = horizonView === 'chart';
+  chartBtn.classList.toggle('active', isChart);
+  chartBtn.setAttribute('aria-pressed', String(isChart));
+  tableBtn.classList.toggle('active', !isChart);
+  tableBtn.setAttribute('aria-pressed', String(!isChart));
+  chartContainer.style.display = isChart ? '' : 'none';
+  tableContainer.style.display = isChart ? 'none' : '';
+
+  if (isChart && currentAnalysis) {
+    renderHorizonChart(currentAnalysis.analysis, currentAnalysis.ytm);
+  } else {
+    destroyHorizonChart();
+  }
+}
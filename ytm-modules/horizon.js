@@ -0,0 +1,93 @@
+/**
+ * Horizon Analysis Module
+ * Realized compound yield over a holding period: coupons reinvested at an
+ * assumed rate and the bond sold at the yield expected at the horizon
+ */
+
+/**
+ * Value of 1 grown (or discounted, for negative years) at a rate compounded
+ * m times a year: (1 + r/m)^(m × years)
+ */
+function growth(rate, years, frequency) {
+  return Math.pow(1 + rate / frequency, frequency * years);
+}
+
+/**
+ * Realized compound yield of holding a bond to a horizon
+ *
+ * Every cash flow paid by the horizon is reinvested at `reinvestmentRate`
+ * until then; the flows after it are sold at their full price discounted at
+ * `horizonYield`. The realized compound yield is the rate that grows the
+ * purchase price to that total:
+ * RCY = m × [(total ÷ price)^(1 ÷ (m × H)) − 1].
+ * The total splits into the coupons (and any principal) received, the
+ * interest earned by reinvesting them, and the sale price. The YTM is
+ * realized only if every coupon is reinvested at the YTM and the bond still
+ * yields the YTM at the horizon; the promised horizon value is the price
+ * grown at the YTM.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows (period 0 is the purchase)
+ * @param {Object} bond - Purchase and horizon assumptions
+ * @param {number} bond.price - Full (dirty) purchase price
+ * @param {number} bond.frequency - Payment and compounding periods per year
+ * @param {number} bond.yieldRate - Yield-to-maturity (decimal)
+ * @param {number} bond.horizonYears - Holding period in years
+ * @param {number} bond.reinvestmentRate - Rate the cash flows are reinvested at (decimal)
+ * @param {number} bond.horizonYield - Yield the bond sells at on the horizon (decimal)
+ * @returns {Object} { horizonYears, received, reinvestmentIncome,
+ *   reinvestedValue, salePrice, totalValue, capitalGain, realizedYield,
+ *   promisedValue, buildUp: [{ period, timeYears, cashFlow, received,
+ *   reinvestmentIncome, reinvestedValue, reinvestedAtYield }] }; `buildUp`
+ *   follows the reinvested cash flows to each payment date up to the horizon
+ *   and at the horizon itself, beside the same flows reinvested at the YTM
+ */
+export function calculateHorizonReturn(cashFlows, { price, frequency, yieldRate, horizonYears, reinvestmentRate, horizonYield }) {
+  const m = Number(frequency);
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  const paid = flows.filter(cf => cf.timeYears <= horizonYears);
+  const remaining = flows.filter(cf => cf.timeYears > horizonYears);
+
+  // The reinvested pot at time t: each flow paid by then grown from its date
+  const potAt = (t, rate) => paid
+    .filter(cf => cf.timeYears <= t)
+    .reduce((sum, cf) => sum + cf.totalCashFlow * growth(rate, t - cf.timeYears, m), 0);
+  const receivedBy = (t) => paid
+    .filter(cf => cf.timeYears <= t)
+    .reduce((sum, cf) => sum + cf.totalCashFlow, 0);
+
+  const points = paid.map(cf => ({ period: cf.period, timeYears: cf.timeYears, cashFlow: cf.totalCashFlow }));
+  const last = points[points.length - 1];
+  if (!last || last.timeYears < horizonYears) {
+    points.push({ period: null, timeYears: horizonYears, cashFlow: 0 });
+  }
+  const buildUp = points.map(point => {
+    const received = receivedBy(point.timeYears);
+    const reinvestedValue = potAt(point.timeYears, reinvestmentRate);
+    return {
+      ...point,
+      received,
+      reinvestmentIncome: reinvestedValue - received,
+      reinvestedValue,
+      reinvestedAtYield: potAt(point.timeYears, yieldRate)
+    };
+  });
+
+  const received = receivedBy(horizonYears);
+  const reinvestedValue = potAt(horizonYears, reinvestmentRate);
+  const salePrice = remaining.reduce((sum, cf) =>
+    sum + cf.totalCashFlow / growth(horizonYield, cf.timeYears - horizonYears, m), 0);
+  const totalValue = reinvestedValue + salePrice;
+
+  return {
+    horizonYears,
+    received,
+    reinvestmentIncome: reinvestedValue - received,
+    reinvestedValue,
+    salePrice,
+    totalValue,
+    capitalGain: salePrice - price,
+    realizedYield: m * (Math.pow(totalValue / price, 1 / (m * horizonYears)) - 1),
+    promisedValue: price * growth(yieldRate, horizonYears, m),
+    buildUp
+  };
+}
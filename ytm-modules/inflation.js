@@ -0,0 +1,78 @@
+/**
+ * Inflation-Linked Bond Module
+ * Indexed cash flows, Fisher conversions and breakeven inflation
+ */
+
+/**
+ * Index ratio at a time from now under a constant inflation assumption
+ *
+ * The reference CPI grows at the assumed annual rate from today's index
+ * ratio (reference CPI today ÷ reference CPI at issue):
+ * IR_t = IR_0 × (1 + π)^t.
+ *
+ * @param {number} indexRatio - Index ratio today
+ * @param {number} inflationRate - Assumed annual inflation (decimal)
+ * @param {number} timeYears - Years from now
+ * @returns {number} Projected index ratio
+ */
+export function projectIndexRatio(indexRatio, inflationRate, timeYears) {
+  return indexRatio * Math.pow(1 + inflationRate, timeYears);
+}
+
+/**
+ * Nominal cash flows of an inflation-linked bond
+ *
+ * Scales each real cash flow (per unit of unindexed face value) by the index
+ * ratio projected to its payment date, so the principal and coupons grow with
+ * the assumed inflation. The purchase at settlement is scaled by today's
+ * index ratio. Each flow carries its `indexRatio`.
+ *
+ * @param {Array} realCashFlows - Cash flows from generateCashFlows
+ * @param {Object} params - Indexation terms
+ * @param {number} params.indexRatio - Index ratio today
+ * @param {number} params.inflationRate - Assumed annual inflation (decimal)
+ * @returns {Array} Indexed cash flows in the same shape
+ */
+export function indexCashFlows(realCashFlows, { indexRatio, inflationRate }) {
+  return realCashFlows.map(cf => {
+    const ratio = projectIndexRatio(indexRatio, inflationRate, cf.timeYears);
+    return {
+      ...cf,
+      indexRatio: ratio,
+      couponPayment: cf.couponPayment * ratio,
+      principalPayment: cf.principalPayment * ratio,
+      accruedInterest: cf.accruedInterest * ratio,
+      totalCashFlow: cf.totalCashFlow * ratio
+    };
+  });
+}
+
+/**
+ * Nominal yield implied by a real yield and an inflation rate (Fisher)
+ *
+ * (1 + n/m) = (1 + r/m) × (1 + π)^(1/m), with n and r quoted on the same
+ * m-times-a-year basis and π an annual rate.
+ *
+ * @param {number} realYield - Real yield (decimal, m-times-a-year basis)
+ * @param {number} inflationRate - Annual inflation (decimal)
+ * @param {number} frequency - Compounding periods per year
+ * @returns {number} Nominal yield (decimal, same basis)
+ */
+export function nominalFromRealYield(realYield, inflationRate, frequency) {
+  return frequency * ((1 + realYield / frequency) * Math.pow(1 + inflationRate, 1 / frequency) - 1);
+}
+
+/**
+ * Breakeven inflation: the annual inflation rate at which an inflation-linked
+ * bond and a comparable nominal bond return the same
+ *
+ * π* = [(1 + n/m) ÷ (1 + r/m)]^m − 1, the Fisher relation solved for π.
+ *
+ * @param {number} realYield - Real yield of the inflation-linked bond (decimal)
+ * @param {number} nominalYield - Yield of the comparable nominal bond (decimal, same basis)
+ * @param {number} frequency - Compounding periods per year
+ * @returns {number} Breakeven inflation (decimal, annual)
+ */
+export function breakevenInflation(realYield, nominalYield, frequency) {
+  return Math.pow((1 + nominalYield / frequency) / (1 + realYield / frequency), frequency) - 1;
+}
@@ -0,0 +1,70 @@
+/**
+ * Internal Rate of Return Module
+ * Yield of an arbitrary list of dated cash flows
+ */
+
+import { solveRoot } from './solver.js';
+
+/**
+ * Count the sign changes in a cash-flow stream, in time order
+ *
+ * By Descartes' rule of signs a stream with k sign changes has at most k
+ * positive roots in the discount factor, so more than one change means the
+ * IRR may not be unique. Zero amounts are skipped.
+ *
+ * @param {Array} flows - Entries { time, amount }
+ * @returns {number} Number of sign changes
+ */
+export function countSignChanges(flows) {
+  const signs = [...flows]
+    .sort((a, b) => a.time - b.time)
+    .map(flow => Math.sign(flow.amount))
+    .filter(sign => sign !== 0);
+  return signs.reduce((count, sign, i) => count + (i > 0 && sign !== signs[i - 1] ? 1 : 0), 0);
+}
+
+/**
+ * Solve the internal rate of return of a cash-flow stream
+ *
+ * Finds the annual rate r, compounded `frequency` times a year, that sets
+ * Σ amount / (1 + r/m)^(m × time) to zero. Outflows (such as the price paid)
+ * are negative and inflows positive; flows at the same time are netted by
+ * the sum. With several sign changes the solver returns the root it brackets
+ * first from 0–10% a period, which may not be the only one.
+ *
+ * @param {Array} flows - Entries { time (years from now), amount }
+ * @param {number} frequency - Compounding periods per year
+ * @returns {Object} { yieldPerPeriod, bondEquivalentYield, effectiveAnnualYield,
+ *   signChanges, converged, solverStatus, residual, iterations }; yields are
+ *   null when no rate sets the net present value to zero
+ */
+export function calculateIRR(flows, frequency) {
+  const periods = flows.map(flow => flow.time * frequency);
+
+  const netPresentValue = (y) => flows.reduce((npv, flow, k) =>
+    npv + flow.amount / Math.pow(1 + y, periods[k]), 0);
+  const netPresentValueSlope = (y) => flows.reduce((slope, flow, k) =>
+    slope - periods[k] * flow.amount / Math.pow(1 + y, periods[k] + 1), 0);
+
+  const solution = solveRoot(netPresentValue, {
+    lower: 0,
+    upper: 0.1,
+    min: -1, // Rate per period must stay above -100%
+    derivative: netPresentValueSlope,
+    tolerance: 1e-10
+  });
+
+  const yieldPerPeriod = solution.root;
+  const hasSolution = yieldPerPeriod !== null;
+
+  return {
+    yieldPerPeriod,
+    bondEquivalentYield: hasSolution ? yieldPerPeriod * frequency : null,
+    effectiveAnnualYield: hasSolution ? Math.pow(1 + yieldPerPeriod, frequency) - 1 : null,
+    signChanges: countSignChanges(flows),
+    converged: solution.converged,
+    solverStatus: solution.status,
+    residual: solution.residual,
+    iterations: solution.iterations
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Key Rate View Module
+ * Bar chart and table of the bond's key rate durations
+ */
+
+import { $, formatPercentage, applyTableRoles } from './utils.js';
+import { renderKeyRateChart, destroyKeyRateChart } from './chart.js';
+
+/** 'chart' or 'table', kept across re-renders */
+let keyRateView = 'chart';
+
+/** Latest key rate analysis being shown */
+let currentAnalysis = null;
+
+/**
+ * Fill the table alternative to the chart
+ * @param {Object} analysis - `keyRateDurations` from calculateBondYTMMetrics
+ */
+function renderKeyRateTable(analysis) {
+  const table = $('#key-rate-table');
+  if (!table) return;
+
+  let html = `
+    <caption class="sr-only">
+      Key rate duration at each key maturity, its share of the total and the price change for a 1 basis point move in that key rate.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Key rate (years)</th>
+        <th scope="col" class="text-right">Key rate duration</th>
+        <th scope="col" class="text-right">Share of total</th>
+        <th scope="col" class="text-right">Price change per 1 bp (USD)</th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  analysis.keys.forEach(key => {
+    const share = analysis.total !== 0 ? key.duration / analysis.total * 100 : 0;
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Key rate (years)"><span class="cell-value">${key.years}</span></th>
+        <td class="text-right" data-label="Key rate duration"><span class="cell-value">${key.duration.toFixed(4)}</span></td>
+        <td class="text-right" data-label="Share of total"><span class="cell-value">${formatPercentage(share)}</span></td>
+        <td class="text-right" data-label="Price change per 1 bp (USD)"><span class="cell-value">${key.pvbp.toFixed(4)}</span></td>
+      </tr>`;
+  });
+
+  html += `
+    </tbody>
+    <tfoot>
+      <tr>
+        <th scope="row" class="text-left" data-label="Key rate (years)"><span class="cell-value">Total</span></th>
+        <td class="text-right" data-label="Key rate duration"><span class="cell-value">${analysis.total.toFixed(4)}</span></td>
+        <td class="text-right" data-label="Share of total"><span class="cell-value">${formatPercentage(100)}</span></td>
+        <td class="text-right" data-label="Price change per 1 bp (USD)"><span class="cell-value">${analysis.keys.reduce((sum, key) => sum + key.pvbp, 0).toFixed(4)}</span></td>
+      </tr>
+    </tfoot>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+}
+
+/**
+ * Show the chosen view, drawing the chart only while it is visible
+ */
+function showView() {
+  const chartBtn = $('#key-rate-chart-btn');
+  const tableBtn = $('#key-rate-table-btn');
+  const chartContainer = $('#key-rate-chart-container');
+  const tableContainer = $('#key-rate-table-container');
+  if (!chartBtn || !tableBtn || !chartContainer || !tableContainer) return;
+
+  const isChart = keyRateView === 'chart';
+  chartBtn.classList.toggle('active', isChart);
+  chartBtn.setAttribute('aria-pressed', String(isChart));
+  tableBtn.classList.toggle('active', !isChart);
+  tableBtn.setAttribute('aria-pressed', String(!isChart));
+  chartContainer.style.display = isChart ? '' : 'none';
+  tableContainer.style.display = isChart ? 'none' : '';
+
+  if (isChart && currentAnalysis) {
+    renderKeyRateChart(currentAnalysis);
+  } else {
+    destroyKeyRateChart();
+  }
+}
+
+/**
+ * Set up the chart / table toggle
+ */
+export function setupKeyRateView() {
+  const chartBtn = $('#key-rate-chart-btn');
+  const tableBtn = $('#key-rate-table-btn');
+  if (!chartBtn || !tableBtn) return;
+
+  chartBtn.addEventListener('click', () => {
+    keyRateView = 'chart';
+    showView();
+  });
+  tableBtn.addEventListener('click', () => {
+    keyRateView = 'table';
+    showView();
+  });
+}
+
+/**
+ * Render the key rate durations, or a note on what they need
+ * @param {Object|null} analysis - `keyRateDurations` from calculateBondYTMMetrics
+ */
+export function renderKeyRateDurations(analysis) {
+  const status = $('#key-rate-status');
+  const output = $('#key-rate-output');
+  if (!status || !output) return;
+
+  currentAnalysis = analysis;
+  if (!analysis) {
+    output.style.display = 'none';
+    destroyKeyRateChart();
+    status.textContent = 'Build a spot-rate curve above for a bond with fixed cash flows (not a floating-rate or inflation-linked note) ' +
+      'to see its key rate durations.';
+    return;
+  }
+
+  output.style.display = '';
+  status.textContent = `Each key rate is bumped by ${Math.round(analysis.shift * 10000)} bp down and up at a Z-spread of ` +
+    `${(analysis.zSpread * 10000).toFixed(1)} bp. The key rate durations add up to ${analysis.total.toFixed(4)}. ` +
+    'The cash flows are held fixed, so calls and puts are not revalued.';
+  renderKeyRateTable(analysis);
+  showView();
+}
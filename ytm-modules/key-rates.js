@@ -0,0 +1,85 @@
+/**
+ * Key Rate Durations Module
+ * Sensitivity of a bond's curve price to each key point on the spot curve,
+ * from triangular bumps of the spot rates
+ */
+
+import { discountFactorAt } from './curve.js';
+import { calculateZSpread } from './spreads.js';
+
+/** Key maturities in years, shortest first */
+export const KEY_RATE_YEARS = [1, 2, 3, 5, 7, 10];
+
+/** Bump to each key rate (decimal): 1 bp */
+export const KEY_RATE_SHIFT = 0.0001;
+
+/**
+ * Share of a key rate's bump felt by the spot rate at a time
+ *
+ * The bump is 1 at its key maturity and falls in a straight line to 0 at the
+ * neighbouring keys. Before the first key the first bump is felt in full, and
+ * past the last key the last one is, so the weights of all the keys add up to
+ * 1 at every date and bumping them all together is a parallel shift.
+ *
+ * @param {number[]} keys - Key maturities in years, ascending
+ * @param {number} index - Which key is bumped
+ * @param {number} years - Years from today
+ * @returns {number} Weight between 0 and 1
+ */
+export function keyRateWeight(keys, index, years) {
+  const key = keys[index];
+  const previous = keys[index - 1];
+  const next = keys[index + 1];
+
+  if (years <= key) {
+    if (previous === undefined) return 1;
+    return years <= previous ? 0 : (years - previous) / (key - previous);
+  }
+  if (next === undefined) return 1;
+  return years >= next ? 0 : (next - years) / (next - key);
+}
+
+/**
+ * Key rate durations of a bond priced off the spot curve
+ *
+ * Each key rate in turn is bumped down and up by `shift`, moving the spot rate
+ * at every cash flow date by the shift times its weight (see keyRateWeight),
+ * and the flows are repriced at the bond's Z-spread over the curve. The cash
+ * flows are held fixed, so embedded options are not revalued.
+ * KRD_k = (PV₋ − PV₊) ÷ (2 × Δ × PV₀); the key rate durations add up to the
+ * effective duration for a parallel shift of the curve.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows (period 0 is the purchase)
+ * @param {Object} spotCurve - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @param {number} fullPrice - Full (dirty) price of the bond
+ * @param {Object} [options] - Keys and bump size
+ * @param {number[]} [options.keys=KEY_RATE_YEARS] - Key maturities in years, ascending
+ * @param {number} [options.shift=KEY_RATE_SHIFT] - Bump to each key rate (decimal)
+ * @returns {Object|null} { shift, zSpread, price, keys: [{ years, duration,
+ *   pvbp, priceDown, priceUp }], total }, where `pvbp` is the price change for
+ *   a 1 bp move in the key rate; null when no Z-spread fits the price
+ */
+export function calculateKeyRateDurations(cashFlows, spotCurve, fullPrice, { keys = KEY_RATE_YEARS, shift = KEY_RATE_SHIFT } = {}) {
+  const { zSpread } = calculateZSpread(cashFlows, spotCurve, fullPrice);
+  if (zSpread === null) return null;
+
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  const reprice = (bump) => flows.reduce((pv, cf) =>
+    pv + cf.totalCashFlow * discountFactorAt(spotCurve, cf.timeYears, zSpread + bump(cf.timeYears)), 0);
+  const price = reprice(() => 0);
+
+  const results = keys.map((years, index) => {
+    const priceDown = reprice(t => -shift * keyRateWeight(keys, index, t));
+    const priceUp = reprice(t => shift * keyRateWeight(keys, index, t));
+    const duration = (priceDown - priceUp) / (2 * shift * price);
+    return { years, duration, pvbp: duration * price * 0.0001, priceDown, priceUp };
+  });
+
+  return {
+    shift,
+    zSpread,
+    price,
+    keys: results,
+    total: results.reduce((sum, key) => sum + key.duration, 0)
+  };
+}
@@ -0,0 +1,242 @@
+/**
+ * Money-Market Panel Module
+ * Inputs, results box and yield table for T-bills, CDs and commercial paper
+ */
+
+import { $, listen, debounce, createElement, formatCurrency, formatPercentage, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { MONEY_MARKET_INSTRUMENTS, MONEY_MARKET_BASIS, BOND_BASIS, priceFromQuotedRate, calculateMoneyMarketYields } from './money-market.js';
+
+/** Accepted input ranges */
+const LIMITS = {
+  faceValue: { min: 10, max: 200, message: 'Enter a face value between USD10 and USD200.' },
+  days: { min: 1, max: 366, message: 'Enter whole days to maturity between 1 and 366.' },
+  price: { min: 0.01, max: 200, message: 'Enter a price between USD0.01 and USD200.' },
+  rate: { min: 0, max: 50, message: 'Enter a quoted rate between 0% and 50%.' }
+};
+
+/** Entry mode: 'price' or 'rate' */
+let entryMode = 'price';
+
+/**
+ * Set up the money-market panel
+ */
+export function setupMoneyMarketPanel() {
+  const inputs = {
+    instrument: $('#mm-instrument'),
+    faceValue: $('#mm-face-value'),
+    days: $('#mm-days'),
+    price: $('#mm-price'),
+    rate: $('#mm-rate'),
+    addOnBasis: $('#mm-add-on-basis')
+  };
+  if (!inputs.instrument || !inputs.faceValue) return;
+
+  const update = () => renderMoneyMarket(inputs);
+  const debouncedUpdate = debounce(update, 300);
+
+  ['faceValue', 'days', 'price', 'rate'].forEach(key => {
+    listen(inputs[key], 'input', () => {
+      clampNumericInputLength(inputs[key], NUMERIC_INPUT_MAX_CHARS);
+      debouncedUpdate();
+    });
+  });
+  listen(inputs.instrument, 'change', update);
+  listen(inputs.addOnBasis, 'change', update);
+
+  const priceBtn = $('#mm-price-btn');
+  const rateBtn = $('#mm-rate-btn');
+  const switchEntryMode = (mode) => {
+    entryMode = mode;
+    priceBtn.classList.toggle('active', mode === 'price');
+    priceBtn.setAttribute('aria-pressed', String(mode === 'price'));
+    rateBtn.classList.toggle('active', mode === 'rate');
+    rateBtn.setAttribute('aria-pressed', String(mode === 'rate'));
+    $('#mm-price-group').style.display = mode === 'price' ? '' : 'none';
+    $('#mm-rate-group').style.display = mode === 'rate' ? '' : 'none';
+    update();
+  };
+  listen(priceBtn, 'click', () => switchEntryMode('price'));
+  listen(rateBtn, 'click', () => switchEntryMode('rate'));
+
+  update();
+}
+
+/**
+ * Read and check one numeric input, flagging it when out of range
+ * @returns {string|null} Error message, or null when valid
+ */
+function checkInput(input, limits, wholeNumber = false) {
+  const value = parseFloat(input.value);
+  const valid = Number.isFinite(value) && value >= limits.min && value <= limits.max &&
+    (!wholeNumber || Number.isInteger(value));
+  if (valid) {
+    input.removeAttribute('aria-invalid');
+    input.classList.remove('error');
+    return null;
+  }
+  input.setAttribute('aria-invalid', 'true');
+  input.classList.add('error');
+  return limits.message;
+}
+
+/**
+ * Validate the inputs, price the instrument and render the results
+ */
+function renderMoneyMarket(inputs) {
+  const instrument = MONEY_MARKET_INSTRUMENTS[inputs.instrument.value];
+  const addOnBasis = Number(inputs.addOnBasis.value);
+
+  const basisLabel = $('#mm-rate-basis');
+  if (basisLabel) basisLabel.textContent = instrument.quoteBasis;
+
+  const errors = [
+    checkInput(inputs.faceValue, LIMITS.faceValue),
+    checkInput(inputs.days, LIMITS.days, true),
+    entryMode === 'price' ? checkInput(inputs.price, LIMITS.price) : checkInput(inputs.rate, LIMITS.rate)
+  ].filter(Boolean);
+
+  let yields = null;
+  if (errors.length === 0) {
+    const faceValue = parseFloat(inputs.faceValue.value);
+    const days = parseFloat(inputs.days.value);
+    const price = entryMode === 'price'
+      ? parseFloat(inputs.price.value)
+      : priceFromQuotedRate({
+        faceValue,
+        days,
+        rate: parseFloat(inputs.rate.value) / 100,
+        quoteBasis: instrument.quoteBasis,
+        addOnBasis
+      });
+
+    if (price > 0) {
+      yields = calculateMoneyMarketYields({ faceValue, days, price, addOnBasis });
+    } else {
+      errors.push('This discount rate prices the instrument at zero or below; shorten the term or lower the rate.');
+    }
+  }
+
+  renderMoneyMarketResults(yields, instrument);
+  renderMoneyMarketTable(yields, instrument, errors);
+}
+
+/**
+ * Render the price and holding period return box
+ */
+function renderMoneyMarketResults(yields, instrument) {
+  const container = $('#money-market-results');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!yields) return;
+
+  const box = createElement('div', { className: 'result-box money-market' });
+  box.appendChild(createElement('h5', { className: 'result-title money-market' }, instrument.label));
+
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+
+  const items = [
+    { label: 'Price', value: formatCurrency(yields.price) },
+    { label: 'Face value (paid at maturity)', value: formatCurrency(yields.faceValue) },
+    { label: yields.discount >= 0 ? 'Dollar discount' : 'Dollar premium', value: formatCurrency(Math.abs(yields.discount)) },
+    { label: 'Days to maturity', value: String(yields.days) },
+    { label: 'Holding period return', value: formatPercentage(yields.holdingPeriodReturn * 100, 4) },
+    { label: 'Quoted on', value: instrument.quoteBasis === 'discount' ? 'Discount basis (share of face value)' : 'Add-on basis (share of price)' }
+  ];
+
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+
+  box.appendChild(content);
+  container.appendChild(box);
+}
+
+/**
+ * Render the yield table, or an error row for invalid inputs
+ */
+function renderMoneyMarketTable(yields, instrument, errors) {
+  const table = $('#money-market-table');
+  if (!table) return;
+
+  let html = `
+    <caption class="sr-only">
+      Money-market yield measures for the instrument, with how each is calculated and the days in its year.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Measure</th>
+        <th scope="col" class="text-left">Calculation</th>
+        <th scope="col" class="text-right">Year</th>
+        <th scope="col" class="text-right table-var-3">Yield</th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  if (!yields) {
+    errors.forEach(message => {
+      html += `
+      <tr>
+        <td colspan="4" class="text-left">${message}</td>
+      </tr>`;
+    });
+  } else {
+    const rows = [
+      {
+        key: 'discount',
+        measure: 'Discount yield',
+        calculation: '(FV − P) ÷ FV × 360 ÷ days',
+        basis: MONEY_MARKET_BASIS,
+        rate: yields.discountYield
+      },
+      {
+        key: 'add-on',
+        measure: 'Add-on yield',
+        calculation: `(FV − P) ÷ P × ${yields.addOnBasis} ÷ days`,
+        basis: yields.addOnBasis,
+        rate: yields.addOnYield
+      },
+      {
+        key: 'money-market',
+        measure: 'Money-market yield',
+        calculation: 'HPR × 360 ÷ days',
+        basis: MONEY_MARKET_BASIS,
+        rate: yields.moneyMarketYield
+      },
+      {
+        key: 'bond-equivalent',
+        measure: 'Bond-equivalent yield',
+        calculation: yields.days <= 182 ? 'HPR × 365 ÷ days' : 'Semiannual bond with one coupon paid (Treasury method)',
+        basis: BOND_BASIS,
+        rate: yields.bondEquivalentYield
+      },
+      {
+        key: 'effective',
+        measure: 'Effective annual yield',
+        calculation: '(1 + HPR)^(365 ÷ days) − 1',
+        basis: BOND_BASIS,
+        rate: yields.effectiveAnnualYield
+      }
+    ];
+
+    rows.forEach(row => {
+      const quoted = row.key === instrument.quoteBasis;
+      html += `
+      <tr${quoted ? ' class="converter-source-row"' : ''}>
+        <th scope="row" class="text-left" data-label="Measure">${row.measure}${quoted ? ' (quote basis)' : ''}</th>
+        <td class="text-left" data-label="Calculation">${row.calculation}</td>
+        <td class="text-right" data-label="Year"><span class="cell-value">${row.basis} days</span></td>
+        <td class="text-right" data-label="Yield"><span class="cell-value table-var-3">${formatPercentage(row.rate * 100, 4)}</span></td>
+      </tr>`;
+    });
+  }
+
+  html += `
+    </tbody>`;
+
+  table.innerHTML = html;
+  applyTableRoles(table);
+}
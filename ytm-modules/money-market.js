@@ -0,0 +1,105 @@
+/**
+ * Money-Market Calculations Module
+ * Discount, add-on, money-market, bond-equivalent and effective annual yields
+ * for T-bills, CDs and commercial paper
+ */
+
+/** Days in a year for discount and money-market quotes */
+export const MONEY_MARKET_BASIS = 360;
+
+/** Days in a year for bond-equivalent and effective annual yields */
+export const BOND_BASIS = 365;
+
+/**
+ * Supported instruments and the basis each is quoted on
+ * ('discount' rates are a share of face value, 'add-on' rates a share of price)
+ */
+export const MONEY_MARKET_INSTRUMENTS = {
+  tbill: { label: 'Treasury bill', quoteBasis: 'discount' },
+  cp: { label: 'Commercial paper', quoteBasis: 'discount' },
+  cd: { label: 'Certificate of deposit', quoteBasis: 'add-on' }
+};
+
+/**
+ * Price of a money-market instrument from its quoted rate
+ *
+ * Discount basis: P = FV × (1 − rate × days / 360)
+ * Add-on basis:   P = FV / (1 + rate × days / basis)
+ *
+ * @param {Object} params - Instrument terms
+ * @param {number} params.faceValue - Amount paid at maturity
+ * @param {number} params.days - Days to maturity
+ * @param {number} params.rate - Quoted annual rate (decimal)
+ * @param {string} params.quoteBasis - 'discount' or 'add-on'
+ * @param {number} [params.addOnBasis=360] - Days in a year for add-on rates (360 or 365)
+ * @returns {number} Price
+ */
+export function priceFromQuotedRate({ faceValue, days, rate, quoteBasis, addOnBasis = MONEY_MARKET_BASIS }) {
+  if (quoteBasis === 'discount') {
+    return faceValue * (1 - rate * days / MONEY_MARKET_BASIS);
+  }
+  return faceValue / (1 + rate * days / addOnBasis);
+}
+
+/**
+ * Bond-equivalent yield of a discount instrument (US Treasury method)
+ *
+ * Up to a half-year the BEY is the holding period return on a 365-day year.
+ * Longer bills are compared with a semiannual coupon bond that would have
+ * paid one coupon by now, so the BEY r solves
+ * P × (1 + r/2) × (1 + (days/365 − 1/2) × r) = FV.
+ *
+ * @param {number} price - Price
+ * @param {number} faceValue - Amount paid at maturity
+ * @param {number} days - Days to maturity
+ * @returns {number} Bond-equivalent yield (decimal)
+ */
+export function billBondEquivalentYield(price, faceValue, days) {
+  if (days <= 182) {
+    return (faceValue - price) / price * BOND_BASIS / days;
+  }
+  const a = days / (2 * BOND_BASIS) - 0.25;
+  const b = days / BOND_BASIS;
+  const c = (price - faceValue) / price;
+  return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+}
+
+/**
+ * All money-market yield measures for a price
+ *
+ * - Discount yield: (FV − P) / FV × 360 / days (share of face, 360-day year)
+ * - Add-on yield: (FV − P) / P × basis / days (share of price, 360 or 365 days)
+ * - Money-market yield: the add-on yield on a 360-day year (CD-equivalent)
+ * - Bond-equivalent yield: the add-on yield on a 365-day year, with the
+ *   Treasury adjustment for bills longer than a half-year
+ * - Effective annual yield: (1 + HPR)^(365 / days) − 1
+ *
+ * @param {Object} params - Instrument terms
+ * @param {number} params.faceValue - Amount paid at maturity
+ * @param {number} params.days - Days to maturity
+ * @param {number} params.price - Price
+ * @param {number} [params.addOnBasis=360] - Days in a year for the add-on yield
+ * @returns {Object} Price, discount, holding period return and each yield (decimals)
+ */
+export function calculateMoneyMarketYields({ faceValue, days, price, addOnBasis = MONEY_MARKET_BASIS }) {
+  faceValue = Number(faceValue);
+  days = Number(days);
+  price = Number(price);
+
+  const discount = faceValue - price;
+  const holdingPeriodReturn = discount / price;
+
+  return {
+    faceValue,
+    days,
+    price,
+    discount,
+    holdingPeriodReturn,
+    addOnBasis,
+    discountYield: discount / faceValue * MONEY_MARKET_BASIS / days,
+    addOnYield: holdingPeriodReturn * addOnBasis / days,
+    moneyMarketYield: holdingPeriodReturn * MONEY_MARKET_BASIS / days,
+    bondEquivalentYield: billBondEquivalentYield(price, faceValue, days),
+    effectiveAnnualYield: Math.pow(1 + holdingPeriodReturn, BOND_BASIS / days) - 1
+  };
+}
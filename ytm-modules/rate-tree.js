@@ -0,0 +1,158 @@
+/**
+ * Binomial Rate Tree Module
+ * Lognormal interest-rate tree calibrated to the spot curve, backward-induction
+ * values for bonds with embedded calls and puts, and the option-adjusted spread
+ */
+
+import { solveRoot } from './solver.js';
+import { discountFactorAt } from './curve.js';
+
+/** Most steps (remaining payments) a tree is built for */
+export const MAX_TREE_STEPS = 360;
+
+/**
+ * Discount factor for one step of the tree: (1 + r/m)^(−m × Δt)
+ */
+function stepDiscount(rate, years, frequency) {
+  return Math.pow(1 + rate / frequency, -frequency * years);
+}
+
+/**
+ * Build a binomial tree of one-step rates that reprices the spot curve
+ *
+ * The tree steps from today to each of `times` in turn. At step i the rates
+ * are r_i × e^(2σ√Δt × j) for j = 0 … i up-moves, so neighbouring rates
+ * differ by the volatility over the step (a lognormal tree), and each move
+ * up or down has probability ½. Working forward with state prices (the value
+ * today of 1 paid at each node), the lowest rate r_i is solved so that the
+ * tree prices a zero-coupon bond maturing at the end of the step exactly at
+ * the curve's discount factor. With zero volatility every rate in a step is
+ * the forward rate for it.
+ *
+ * @param {Object} curve - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @param {number[]} times - Step end times in years, ascending and after today
+ * @param {number} volatility - Annual volatility of the rate (decimal)
+ * @returns {Object|null} { frequency, volatility, times (today first),
+ *   rates: [[r per node] per step], converged }, or null when a step has no
+ *   positive rate that reprices the curve
+ */
+export function buildRateTree(curve, times, volatility) {
+  const m = curve.frequency;
+  const nodeTimes = [0, ...times];
+  const rates = [];
+  let statePrices = [1];
+  let converged = true;
+
+  for (let i = 0; i < times.length; i++) {
+    const length = nodeTimes[i + 1] - nodeTimes[i];
+    const spacing = Math.exp(2 * volatility * Math.sqrt(length));
+    const stepRates = (lowest) => statePrices.map((_, j) => lowest * Math.pow(spacing, j));
+    const target = discountFactorAt(curve, nodeTimes[i + 1]);
+    const pricingError = (lowest) => stepRates(lowest)
+      .reduce((sum, rate, j) => sum + statePrices[j] * stepDiscount(rate, length, m), 0) - target;
+
+    const solution = solveRoot(pricingError, {
+      lower: 0.01,
+      upper: 0.05,
+      min: 0, // Lognormal rates stay positive
+      tolerance: 1e-12
+    });
+    if (solution.root === null) return null;
+    if (!solution.converged) converged = false;
+
+    const row = stepRates(solution.root);
+    rates.push(row);
+
+    // Half of each node's discounted state price flows to each of its children
+    const next = new Array(row.length + 1).fill(0);
+    row.forEach((rate, j) => {
+      const share = statePrices[j] * stepDiscount(rate, length, m) / 2;
+      next[j] += share;
+      next[j + 1] += share;
+    });
+    statePrices = next;
+  }
+
+  return { frequency: m, volatility, times: nodeTimes, rates, converged };
+}
+
+/**
+ * Value a bond on the tree by backward induction
+ *
+ * Each node is worth the average of its two children plus the payment due
+ * at the end of the step, discounted at the node's rate plus `spread`. Where
+ * the issuer can call, the node is worth no more than the call price; where
+ * the holder can put, no less than the put price. Node values are ex-coupon:
+ * a payment due at a node belongs to its parent.
+ *
+ * @param {Object} tree - Tree from buildRateTree
+ * @param {number[]} payments - Cash flow paid at the end of each step
+ * @param {Object} [options] - Spread and embedded options
+ * @param {number} [options.spread=0] - Spread added to every rate (decimal)
+ * @param {Array} [options.calls=[]] - Entries { node, price }: callable at the nodes at `tree.times[node]`
+ * @param {Array} [options.puts=[]] - Entries { node, price }: putable at the nodes at `tree.times[node]`
+ * @returns {Object} { value (today), values: [[value per node] per step],
+ *   exercise: [['call'|'put'|null per node] per step] }
+ */
+export function valueOnTree(tree, payments, { spread = 0, calls = [], puts = [] } = {}) {
+  const m = tree.frequency;
+  const callPrices = new Map(calls.map(call => [call.node, call.price]));
+  const putPrices = new Map(puts.map(put => [put.node, put.price]));
+  const steps = tree.rates.length;
+  const values = new Array(steps);
+  const exercise = new Array(steps);
+  let later = new Array(steps + 1).fill(0);
+
+  for (let i = steps - 1; i >= 0; i--) {
+    const length = tree.times[i + 1] - tree.times[i];
+    const row = tree.rates[i].map((rate, j) =>
+      stepDiscount(rate + spread, length, m) * ((later[j] + later[j + 1]) / 2 + payments[i]));
+    const flags = row.map(() => null);
+
+    if (callPrices.has(i)) {
+      row.forEach((value, j) => {
+        if (value > callPrices.get(i)) {
+          row[j] = callPrices.get(i);
+          flags[j] = 'call';
+        }
+      });
+    }
+    if (putPrices.has(i)) {
+      row.forEach((value, j) => {
+        if (value < putPrices.get(i)) {
+          row[j] = putPrices.get(i);
+          flags[j] = 'put';
+        }
+      });
+    }
+
+    values[i] = row;
+    exercise[i] = flags;
+    later = row;
+  }
+
+  return { value: values[0][0], values, exercise };
+}
+
+/**
+ * Option-adjusted spread: the constant spread over every rate in the tree at
+ * which the bond's value, options included, equals its price
+ *
+ * @param {Object} tree - Tree from buildRateTree
+ * @param {number[]} payments - Cash flow paid at the end of each step
+ * @param {number} price - Full (dirty) price of the bond
+ * @param {Object} [options] - { calls, puts } as for valueOnTree
+ * @returns {Object} { oas (decimal, or null when no spread fits), converged }
+ */
+export function solveOptionAdjustedSpread(tree, payments, price, { calls = [], puts = [] } = {}) {
+  const solution = solveRoot(
+    (spread) => valueOnTree(tree, payments, { spread, calls, puts }).value - price,
+    {
+      lower: 0,
+      upper: 0.01,
+      min: -tree.frequency, // Every rate per period must stay above -100%
+      tolerance: 1e-10
+    }
+  );
+  return { oas: solution.root, converged: solution.converged };
+}
@@ -3,7 +3,48 @@
  * Renders YTM and analysis results
  */
 
-import { formatCurrency, formatPercentage, createElement } from './utils.js';
+import { formatCurrency, formatPercentage, formatTimeYears, createElement, getFrequencyLabel, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS, applyTableRoles } from './utils.js';
+import { estimatePriceChange, calculateEffectiveMeasures, SOLVE_FOR_VARIABLES } from './calculations.js';
+import { restateYield } from './yield-conversion.js';
+import { formatDisplayDate } from './schedule.js';
+import { getDayCountLabel } from './day-count.js';
+import { INTERPOLATION_METHODS, DEFAULT_INTERPOLATION_METHOD } from './spreads.js';
+
+/**
+ * Units for the duration and convexity box: 'annual' or 'period'
+ * (kept across re-renders so the choice survives input changes)
+ */
+let durationUnits = 'annual';
+
+/**
+ * Yield shock in basis points for the price-change estimator
+ */
+let yieldShockBp = 100;
+
+/** Largest yield shock the estimator accepts, in basis points */
+const MAX_YIELD_SHOCK_BP = 1000;
+
+/**
+ * Parallel shift in basis points for effective duration and convexity
+ */
+let effectiveShiftBp = 25;
+
+/** Largest shift accepted for effective duration and convexity, in basis points */
+const MAX_EFFECTIVE_SHIFT_BP = 200;
+
+/**
+ * What is shifted to reprice the bond for each effective-measure basis
+ */
+const EFFECTIVE_BASIS_LABELS = {
+  tree: 'spot curve shifted, rate tree refitted at a constant OAS',
+  curve: 'spot curve shifted at a constant Z-spread',
+  yield: 'yield-to-maturity shifted'
+};
+
+/**
+ * Interpolation for the benchmark spreads box: a key of INTERPOLATION_METHODS
+ */
+let spreadInterpolation = DEFAULT_INTERPOLATION_METHOD;
 
 /**
  * Render results and analysis section
@@ -21,10 +62,96 @@ export function renderResults(calculations, params) {
   // Clear existing content
   container.innerHTML = '';
   
+  // Create solved-input box when solving for something other than the yield
+  if (calculations.solved) {
+    const solvedBox = createSolvedBox(calculations, params);
+    container.appendChild(solvedBox);
+    
+    if (calculations.solved.value === null) return;
+  }
+  
   // Create YTM result box
-  const ytmBox = createYTMBox(calculations);
+  const ytmBox = createYTMBox(calculations, params);
   container.appendChild(ytmBox);
   
+  // Create yield periodicity box (needs a solved yield)
+  if (calculations.bondEquivalentYield !== null) {
+    const periodicityBox = createYieldPeriodicityBox(calculations, params);
+    container.appendChild(periodicityBox);
+    
+    const measuresBox = createYieldMeasuresBox(calculations, params);
+    container.appendChild(measuresBox);
+  }
+  
+  // Create average life box (amortizing and sinking-fund bonds only)
+  if (calculations.amortization) {
+    const amortizationBox = createAmortizationBox(calculations);
+    container.appendChild(amortizationBox);
+  }
+  
+  // Create quoted and discount margin box (floating-rate notes only)
+  if (calculations.floatingRate) {
+    const floatingRateBox = createFloatingRateBox(calculations);
+    container.appendChild(floatingRateBox);
+  }
+  
+  // Create real, nominal and breakeven inflation box (inflation-linked bonds only)
+  if (calculations.inflationLinked) {
+    const inflationLinkedBox = createInflationLinkedBox(calculations, params);
+    container.appendChild(inflationLinkedBox);
+  }
+  
+  // Create curve pricing box (when a spot curve has been bootstrapped)
+  if (calculations.curvePricing) {
+    const curvePricingBox = createCurvePricingBox(calculations, params);
+    container.appendChild(curvePricingBox);
+    
+    const forwardBox = createForwardDiscountingBox(calculations);
+    container.appendChild(forwardBox);
+  }
+  
+  // Create G-, I- and Z-spread box (when benchmark curves have been entered)
+  if (calculations.benchmarkSpreads) {
+    const spreadsBox = createBenchmarkSpreadsBox(calculations, params);
+    container.appendChild(spreadsBox);
+  }
+  
+  // Create accrued interest box (only when priced between coupon dates)
+  if (calculations.settlement) {
+    const settlementBox = createSettlementBox(calculations);
+    container.appendChild(settlementBox);
+  }
+  
+  // Create yield-to-call / yield-to-worst box (callable bonds only)
+  if (calculations.callAnalysis) {
+    const callBox = createCallAnalysisBox(calculations);
+    container.appendChild(callBox);
+  }
+  
+  // Create yield-to-put box (putable bonds only)
+  if (calculations.putAnalysis) {
+    const putBox = createPutAnalysisBox(calculations);
+    container.appendChild(putBox);
+  }
+  
+  // Create option-adjusted spread box (callable or putable bonds with a spot curve)
+  if (calculations.optionAdjusted) {
+    const oasBox = createOptionAdjustedBox(calculations);
+    container.appendChild(oasBox);
+  }
+  
+  // Create duration and convexity box (needs a solved yield)
+  if (calculations.durationAnalysis) {
+    const durationBox = createDurationBox(calculations, params);
+    container.appendChild(durationBox);
+  }
+  
+  // Create money duration / PVBP box with the yield-shock estimator
+  if (calculations.moneyDuration) {
+    const riskBox = createRateRiskBox(calculations, params);
+    container.appendChild(riskBox);
+  }
+  
   // Create bond details box
   const detailsBox = createBondDetailsBox(calculations, params);
   container.appendChild(detailsBox);
@@ -34,30 +161,86 @@ export function renderResults(calculations, params) {
   container.appendChild(priceBox);
 }
 
+/**
+ * Create the box for an input solved from the other four
+ */
+function createSolvedBox(calculations, params) {
+  const { variable, value, periods, yieldRate, reason } = calculations.solved;
+  const { label } = SOLVE_FOR_VARIABLES[variable];
+  const hasSolution = value !== null;
+  const frequencyLabel = getFrequencyLabel(params.frequency);
+  
+  const box = createElement('div', { className: 'result-box ytm-result' });
+  
+  const title = createElement('h5', { className: 'result-title ytm-result' }, `Solved: ${label}`);
+  box.appendChild(title);
+  
+  let display = 'No solution';
+  if (hasSolution) {
+    display = variable === 'years' ? `${value.toFixed(2)} years` : formatCurrency(value);
+  }
+  
+  const valueContainer = createElement('div', { className: 'result-value' });
+  valueContainer.appendChild(createElement('div', {
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  }, display));
+  box.appendChild(valueContainer);
+  
+  const description = createElement('div', { className: 'result-description' },
+    hasSolution
+      ? `Discounting the cash flows at the entered ${formatPercentage(yieldRate * 100)} yield-to-maturity`
+      : reason ?? `No ${label.toLowerCase()} prices the bond at the entered ${formatPercentage(yieldRate * 100)} yield-to-maturity`
+  );
+  box.appendChild(description);
+  
+  // A solved maturity rarely lands on a coupon date, so it usually carries a stub
+  if (hasSolution && variable === 'years' && calculations.stub) {
+    const note = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' },
+      `${periods.toFixed(2)} ${frequencyLabel} periods, with a ${describeStubPeriod(calculations.stub)}.`
+    );
+    box.appendChild(note);
+  } else if (!hasSolution && !reason && variable === 'years') {
+    const note = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' },
+      'When the coupon rate equals the yield the price is the same for every maturity, and prices beyond the perpetuity value are never reached.'
+    );
+    box.appendChild(note);
+  }
+  
+  return box;
+}
+
 /**
  * Create YTM result display box
  */
-function createYTMBox(calculations) {
+function createYTMBox(calculations, params) {
   const box = createElement('div', { className: 'result-box ytm-result' });
   
   const title = createElement('h5', { className: 'result-title ytm-result' });
   title.innerHTML = 'Yield-to-maturity (<i>r</i>)';
   box.appendChild(title);
   
+  const hasSolution = calculations.bondEquivalentYield !== null;
+  
   const valueContainer = createElement('div', { className: 'result-value' });
   
   // YTM value with aria-live
   const ytmValue = createElement('div', {
     'aria-live': 'polite',
     'aria-atomic': 'true'
-  }, formatPercentage(calculations.bondEquivalentYield * 100));
+  }, hasSolution ? formatPercentage(calculations.bondEquivalentYield * 100) : 'No solution');
   valueContainer.appendChild(ytmValue);
   
   box.appendChild(valueContainer);
   
   // Description
   const description = createElement('div', { className: 'result-description' },
-    'Annualized return if held to maturity'
+    hasSolution
+      ? params.perpetual ? 'Annualized return on a coupon stream that never ends'
+        : params.floating ? 'Annualized return on the projected coupons if held to maturity'
+          : params.inflationLinked ? 'Real yield: annualized return above inflation if held to maturity'
+            : 'Annualized return if held to maturity'
+      : 'No yield discounts these cash flows to the entered price'
   );
   box.appendChild(description);
   
@@ -66,15 +249,1101 @@ function createYTMBox(calculations) {
     className: 'result-secondary',
     style: 'margin-top: 0.5rem;'
   });
-  info.innerHTML = `Calculated with semiannual compounding`;
+  info.innerHTML = hasSolution
+    ? `Calculated with ${getFrequencyLabel(params.frequency)} compounding`
+    : `Check that the price is positive and the bond pays at least one cash flow`;
   box.appendChild(info);
   
+  // Solver diagnostics
+  if (hasSolution && calculations.closedForm) {
+    box.appendChild(createElement('div', { className: 'result-secondary' },
+      'Closed-form solution: no iteration needed'
+    ));
+  } else if (hasSolution) {
+    const solver = createElement('div', { className: 'result-secondary' },
+      calculations.converged
+        ? `Solver converged in ${calculations.iterations} iterations (pricing error ${formatCurrency(Math.abs(calculations.residual))})`
+        : `Solver stopped after ${calculations.iterations} iterations without converging (pricing error ${formatCurrency(Math.abs(calculations.residual))})`
+    );
+    box.appendChild(solver);
+  }
+  
+  return box;
+}
+
+/**
+ * Create box restating the YTM for every compounding periodicity
+ */
+function createYieldPeriodicityBox(calculations, params) {
+  const box = createElement('div', { className: 'result-box yield-periodicity' });
+  
+  const title = createElement('h5', { className: 'result-title yield-periodicity' },
+    'YTM on Other Compounding Bases'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  restateYield(calculations.bondEquivalentYield, params.frequency).forEach(row => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${row.label}${row.isSource ? ' (as solved)' : ''}:</strong> ${formatPercentage(row.rate * 100, 4)}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  const note = createElement('div', { className: 'analysis-details' },
+    'Each rate grows an investment by the same amount over a year: (1 + r/m)^m is equal for every m, and e^r for continuous compounding.'
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the street, true, current and simple yield box
+ */
+function createYieldMeasuresBox(calculations, params) {
+  const { streetYield, trueYield, currentYield, simpleYield } = calculations.yieldMeasures;
+  const box = createElement('div', { className: 'result-box yield-measures' });
+  
+  const title = createElement('h5', { className: 'result-title yield-measures' }, 'Yield Measures');
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const format = (rate) => rate === null ? 'Not available' : formatPercentage(rate * 100, 4);
+  
+  let trueValue;
+  let trueNote;
+  if (params.perpetual) {
+    trueValue = format(null);
+    trueNote = 'A perpetual bond has no payment dates to roll, and no maturity to spread a gain or loss over.';
+  } else if (!trueYield) {
+    trueValue = 'Needs dates';
+    trueNote = 'Switch to settlement and maturity dates to roll payments onto business days.';
+  } else {
+    trueValue = format(trueYield.bondEquivalentYield);
+    trueNote = trueYield.rolledPayments === 0
+      ? 'Every payment falls on a business day, so it matches the street yield.'
+      : `${trueYield.rolledPayments} ${trueYield.rolledPayments === 1 ? 'payment rolls' : 'payments roll'} past a weekend or US bond-market holiday; waiting for them lowers the yield.`;
+  }
+  
+  const items = [
+    {
+      label: 'Street convention YTM',
+      value: format(streetYield),
+      note: 'The solved YTM: every payment discounted from its scheduled date.'
+    },
+    {
+      label: 'True yield',
+      value: trueValue,
+      note: trueNote
+    },
+    {
+      label: 'Current yield',
+      value: format(currentYield),
+      note: 'Annual coupon over clean price. Ignores the gain or loss to par and the timing of payments.'
+    },
+    {
+      label: 'Simple yield',
+      value: format(simpleYield),
+      note: 'Japanese convention: coupon plus the gain or loss to par spread evenly over the years left, over clean price, with no compounding.'
+    }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    li.appendChild(createElement('div', { className: 'yield-measure-note' }, item.note));
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create accrued interest and clean/dirty price box
+ */
+function createSettlementBox(calculations) {
+  const { settlement } = calculations;
+  const box = createElement('div', { className: 'result-box settlement-details' });
+  
+  const title = createElement('h5', { className: 'result-title settlement-details' },
+    'Accrued Interest and Price'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const items = [
+    { label: 'Quoted (clean) price', value: formatCurrency(calculations.cleanPrice) },
+    { label: 'Accrued interest', value: formatCurrency(calculations.accruedInterest) },
+    { label: 'Full (dirty) price', value: formatCurrency(calculations.dirtyPrice) },
+    { label: 'Settlement date', value: formatDisplayDate(settlement.settlementDate) },
+    { label: 'Previous coupon', value: formatDisplayDate(settlement.previousCouponDate) },
+    { label: 'Next coupon', value: formatDisplayDate(settlement.nextCouponDate) },
+    { label: 'Day-count convention', value: getDayCountLabel(settlement.dayCount) },
+    { label: 'Days accrued', value: `${settlement.accruedDays} of ${settlement.periodDays}` }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  const note = createElement('div', { className: 'analysis-details' },
+    'The buyer pays the full price: the quoted price plus the coupon interest earned by the seller since the previous coupon date. The yield is solved from the full price, discounting the next coupon over a fractional first period.'
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create weighted average life / yield-to-average-life box
+ */
+function createAmortizationBox(calculations) {
+  const { amortization } = calculations;
+  const box = createElement('div', { className: 'result-box amortization' });
+  
+  const title = createElement('h5', { className: 'result-title amortization' },
+    'Average Life'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const repaidEarly = calculations.faceValue - amortization.finalPrincipal;
+  const items = [
+    {
+      label: 'Principal repayment',
+      value: amortization.label,
+      note: `${formatCurrency(repaidEarly)} is repaid before maturity and ${formatCurrency(amortization.finalPrincipal)} at maturity; each coupon is paid on the balance outstanding.`
+    },
+    {
+      label: 'Weighted average life',
+      value: amortization.weightedAverageLife === null ? 'Not available' : `${amortization.weightedAverageLife.toFixed(4)} years`,
+      note: 'WAL = Σ t × principal repaid at t ÷ face value: the average time until a dollar of principal comes back.'
+    },
+    {
+      label: 'Yield-to-average-life',
+      value: amortization.yieldToAverageLife === null ? 'No solution' : formatPercentage(amortization.yieldToAverageLife * 100, 4),
+      note: 'The yield if the whole face value were repaid at the weighted average life, with the full coupon paid until then.'
+    }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    li.appendChild(createElement('div', { className: 'yield-measure-note' }, item.note));
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Format a decimal spread in basis points, e.g. "125.3 bp" or, signed, "+125.3 bp"
+ * @param {number} spread - Spread (decimal)
+ * @param {boolean} [signed=false] - Always show the sign
+ * @returns {string} Formatted spread
+ */
+function formatBasisPoints(spread, signed = false) {
+  const bp = spread * 10000;
+  if (!signed) return `${bp.toFixed(1)} bp`;
+  return `${bp >= 0 ? '+' : '−'}${Math.abs(bp).toFixed(1)} bp`;
+}
+
+/**
+ * Create the quoted margin vs. discount margin box for a floating-rate note
+ */
+function createFloatingRateBox(calculations) {
+  const { floatingRate, faceValue } = calculations;
+  const { referenceRates, quotedMargin, discountMargin } = floatingRate;
+  const box = createElement('div', { className: 'result-box floating-rate' });
+  
+  const title = createElement('h5', { className: 'result-title floating-rate' },
+    'Floating-Rate Note'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const lastRate = referenceRates[referenceRates.length - 1];
+  const referenceValue = floatingRate.referencePathType === 'forward'
+    ? `${formatPercentage(referenceRates[0] * 100)} now, ${formatPercentage(lastRate * 100)} by maturity`
+    : `${formatPercentage(referenceRates[0] * 100)} at every reset`;
+  
+  // How the required spread compares with the one the coupon pays
+  let relationship;
+  if (discountMargin === null) {
+    relationship = 'No spread over the reference rate discounts the projected cash flows to the entered price.';
+  } else if (Math.abs(discountMargin - quotedMargin) < 0.000005) {
+    relationship = 'The discount margin equals the quoted margin: the market requires exactly the spread the coupon pays, so the note is worth par at each reset.';
+  } else if (discountMargin > quotedMargin) {
+    relationship = `The market requires ${formatBasisPoints(discountMargin - quotedMargin)} more than the quoted margin, so the note trades below par; the pull to par makes up the spread the coupon lacks.`;
+  } else {
+    relationship = `The market requires ${formatBasisPoints(quotedMargin - discountMargin)} less than the quoted margin, so the note trades above par; the premium gives back the extra spread the coupon pays.`;
+  }
+  
+  const items = [
+    {
+      label: 'Reference rate (MRR)',
+      value: referenceValue,
+      note: `${floatingRate.label}: each coupon is set from the rate fixed at the start of its period.`
+    },
+    {
+      label: 'Quoted margin (QM)',
+      value: formatBasisPoints(quotedMargin),
+      note: `The spread over the reference rate the issuer pays; the current coupon is ${formatPercentage(floatingRate.currentCouponRate * 100)} (${formatCurrency(floatingRate.currentCouponRate * faceValue)} a year on ${formatCurrency(faceValue)}).`
+    },
+    {
+      label: 'Discount margin (DM)',
+      value: discountMargin === null ? 'No solution' : formatBasisPoints(discountMargin),
+      note: relationship
+    }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    li.appendChild(createElement('div', { className: 'yield-measure-note' }, item.note));
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  if (discountMargin !== null) {
+    content.appendChild(createElement('div', { className: 'result-secondary' },
+      floatingRate.converged
+        ? `Solver converged in ${floatingRate.iterations} iterations`
+        : `Solver stopped after ${floatingRate.iterations} iterations without converging`
+    ));
+  }
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    'Duration and convexity below hold the projected coupons fixed, so they measure sensitivity to the discount margin. A change in the reference rate resets the coupons, so the interest-rate duration is only about the time to the next reset.'
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the real yield, nominal yield and breakeven inflation box for an
+ * inflation-linked bond
+ */
+function createInflationLinkedBox(calculations, params) {
+  const { inflationLinked } = calculations;
+  const { realYield, nominalYield, comparableYield, inflationRate } = inflationLinked;
+  const breakeven = inflationLinked.breakevenInflation;
+  const box = createElement('div', { className: 'result-box inflation-linked' });
+  
+  const title = createElement('h5', { className: 'result-title inflation-linked' },
+    'Inflation-Linked Bond'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  // How the assumed inflation compares with the rate the market prices in
+  let relationship;
+  if (breakeven === null) {
+    relationship = 'No real yield discounts these cash flows to the entered price, so there is no breakeven to compare.';
+  } else if (Math.abs(inflationRate - breakeven) < 0.000005) {
+    relationship = 'The inflation assumption equals the breakeven: the linked and nominal bonds return the same.';
+  } else if (inflationRate > breakeven) {
+    relationship = `Inflation ${formatBasisPoints(inflationRate - breakeven)} above the breakeven a year would make the inflation-linked bond return more than the nominal bond.`;
+  } else {
+    relationship = `Inflation ${formatBasisPoints(breakeven - inflationRate)} below the breakeven a year would make the nominal bond return more than the inflation-linked bond.`;
+  }
+  
+  const items = [
+    {
+      label: 'Real yield',
+      value: realYield === null ? 'No solution' : formatPercentage(realYield * 100),
+      note: 'The return above inflation, fixed at purchase whatever inflation turns out to be.'
+    },
+    {
+      label: `Nominal yield at ${formatPercentage(inflationRate * 100)} inflation`,
+      value: nominalYield === null ? 'No solution' : formatPercentage(nominalYield * 100),
+      note: 'The yield on the indexed cash flows charted below, if inflation runs at the assumed rate to maturity.'
+    },
+    {
+      label: `Breakeven inflation vs. ${formatPercentage(comparableYield * 100)} nominal`,
+      value: breakeven === null ? 'No solution'
+        : `${formatPercentage(breakeven * 100)} (approx. ${formatPercentage(inflationLinked.approximateBreakeven * 100)} = nominal − real)`,
+      note: relationship
+    },
+    {
+      label: 'Index ratio',
+      value: `${inflationLinked.indexRatio.toFixed(4)} today, ${inflationLinked.finalIndexRatio.toFixed(4)} at maturity`,
+      note: 'Reference CPI over reference CPI at issue; every cash flow is scaled by the ratio on its payment date.'
+    },
+    {
+      label: 'Invoice price',
+      value: formatCurrency(inflationLinked.invoicePrice),
+      note: 'The real price scaled by today\'s index ratio: the cash paid at settlement.'
+    },
+    {
+      label: 'Indexed principal at maturity',
+      value: formatCurrency(inflationLinked.indexedPrincipal),
+      note: 'Repaid in full; most issuers also guarantee at least the unindexed face value if prices fall.'
+    }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    li.appendChild(createElement('div', { className: 'yield-measure-note' }, item.note));
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    `Yields are quoted with ${getFrequencyLabel(params.frequency)} compounding and linked by the Fisher relation, (1 + n/m) = (1 + r/m)(1 + π)^(1/m). Duration and convexity below are real: they measure sensitivity to the real yield, not the nominal one.`
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the box comparing the bond's price off the spot curve with its YTM price
+ */
+function createCurvePricingBox(calculations, params) {
+  const { curvePricing, accruedInterest } = calculations;
+  const { difference, yieldAtCurvePrice } = curvePricing;
+  const hasYield = calculations.bondEquivalentYield !== null;
+  const box = createElement('div', { className: 'result-box curve-pricing' });
+  
+  const title = createElement('h5', { className: 'result-title curve-pricing' },
+    'Pricing off the Spot Curve'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  // Whether the bond is cheap or rich to the curve
+  let relationship;
+  if (Math.abs(difference) < 0.005) {
+    relationship = 'The two prices agree: the bond yields what the spot curve requires for its cash flows.';
+  } else if (difference > 0) {
+    relationship = `The curve values the cash flows ${formatCurrency(difference)} above the YTM price: the bond is cheap to the curve, as a credit or liquidity spread would make it.`;
+  } else {
+    relationship = `The curve values the cash flows ${formatCurrency(-difference)} below the YTM price: the bond is rich to the curve.`;
+  }
+  
+  const withAccrued = accruedInterest > 0 ? ` (full price ${formatCurrency(curvePricing.fullPrice)})` : '';
+  const ytmWithAccrued = accruedInterest > 0 ? ` (full price ${formatCurrency(curvePricing.ytmFullPrice)})` : '';
+  
+  const items = [
+    {
+      label: 'Arbitrage-free price (off the curve)',
+      value: `${formatCurrency(curvePricing.cleanPrice)}${withAccrued}`,
+      note: 'Each cash flow discounted at the spot rate for its own date: what a portfolio of zero-coupon bonds replicating the flows would cost.'
+    },
+    {
+      label: 'YTM price',
+      value: hasYield ? `${formatCurrency(curvePricing.ytmCleanPrice)}${ytmWithAccrued}` : 'No solution',
+      note: hasYield
+        ? `Every cash flow discounted at the one yield-to-maturity of ${formatPercentage(calculations.bondEquivalentYield * 100)}.`
+        : 'No yield discounts these cash flows to the entered price.'
+    },
+    {
+      label: 'Curve price − YTM price',
+      value: formatCurrency(difference, true),
+      note: relationship
+    },
+    {
+      label: 'Yield at the curve price',
+      value: yieldAtCurvePrice === null ? 'No solution' : formatPercentage(yieldAtCurvePrice * 100),
+      note: `The flat yield (${getFrequencyLabel(params.frequency)} compounding) that reproduces the curve price: a single-rate summary of the spot rates, weighted by the bond's own cash flows.`
+    }
+  ];
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    li.appendChild(createElement('div', { className: 'yield-measure-note' }, item.note));
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    calculations.callAnalysis || calculations.putAnalysis
+      ? 'The yield-to-maturity assumes one rate for every date, so it is exact only when the curve is flat. The curve price values the scheduled cash flows and ignores the embedded call and put options.'
+      : 'The yield-to-maturity assumes one rate for every date, so it is exact only when the curve is flat. With a sloped curve the same cash flows are worth a different amount, and the gap grows with the slope and the spread of payment dates.'
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the box that discounts the bond's cash flows through successive
+ * one-period forward rates, reaching the same price as the spot rates
+ */
+function createForwardDiscountingBox(calculations) {
+  const { curvePricing } = calculations;
+  const m = curvePricing.curveFrequency;
+  const box = createElement('div', { className: 'result-box curve-pricing' });
+  
+  const title = createElement('h5', { className: 'result-title curve-pricing' },
+    'Discounting with Forward Rates'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  
+  content.appendChild(createElement('div', { className: 'result-description' },
+    'Each cash flow is brought back one period at a time, at the forward rate for that period. Rolling through the forwards is the same as discounting once at the spot rate, so both routes reach the same price.'
+  ));
+  
+  const wrapper = createElement('div', {
+    className: 'table-wrapper',
+    role: 'region',
+    'aria-label': 'Forward rates for each payment period',
+    tabindex: '0'
+  });
+  const table = createElement('table', { className: 'data-table forward-rate-table' });
+  
+  let html = `
+    <caption class="sr-only">
+      For each payment: the period it ends, the implied forward rate for that period, the spot rate for its date, the discount factor from compounding the forwards, the cash flow and its present value.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Period (years)</th>
+        <th scope="col" class="text-right">Forward rate (f)</th>
+        <th scope="col" class="text-right">Spot rate (z)</th>
+        <th scope="col" class="text-right">Discount factor</th>
+        <th scope="col" class="text-right">Cash flow (USD)</th>
+        <th scope="col" class="text-right">Present value (USD)</th>
+      </tr>
+    </thead>
+    <tbody>`;
+  
+  curvePricing.flows.forEach(flow => {
+    html += `
+      <tr>
+        <th scope="row" class="text-left" data-label="Period (years)">${formatTimeYears(flow.startYears)} → ${formatTimeYears(flow.timeYears)}</th>
+        <td class="text-right" data-label="Forward rate (f)"><span class="cell-value">${formatPercentage(flow.forwardRate * 100, 4)}</span></td>
+        <td class="text-right" data-label="Spot rate (z)"><span class="cell-value">${formatPercentage(flow.spotRate * 100, 4)}</span></td>
+        <td class="text-right" data-label="Discount factor"><span class="cell-value">${flow.forwardDiscountFactor.toFixed(6)}</span></td>
+        <td class="text-right" data-label="Cash flow (USD)"><span class="cell-value">${formatCurrency(flow.cashFlow, true, false)}</span></td>
+        <td class="text-right" data-label="Present value (USD)"><span class="cell-value">${formatCurrency(flow.cashFlow * flow.forwardDiscountFactor, true, false)}</span></td>
+      </tr>`;
+  });
+  
+  html += `
+    </tbody>`;
+  
+  table.innerHTML = html;
+  applyTableRoles(table);
+  wrapper.appendChild(table);
+  content.appendChild(wrapper);
+  
+  const list = createElement('ul', { className: 'model-info-list' });
+  [
+    { label: 'Price through the forwards', value: formatCurrency(curvePricing.forwardPrice) },
+    { label: 'Price at the spot rates', value: formatCurrency(curvePricing.fullPrice) }
+  ].forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    `Discount factor for a payment at t_k = Π 1 ÷ (1 + f_j/${m})^(${m} × τ_j) over the periods before it, which equals 1 ÷ (1 + z_k/${m})^(${m} × t_k). Rates are compounded ${getFrequencyLabel(m)}, as on the curve.`
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the G-spread, I-spread and Z-spread box with an interpolation toggle
+ */
+function createBenchmarkSpreadsBox(calculations, params) {
+  const { benchmarkSpreads, bondEquivalentYield, callAnalysis } = calculations;
+  const box = createElement('div', { className: 'result-box benchmark-spreads' });
+  
+  const title = createElement('h5', { className: 'result-title benchmark-spreads', id: 'benchmark-spreads-heading' },
+    'Spreads over Benchmarks'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  
+  // Interpolation toggle
+  const controls = createElement('div', { className: 'spread-interpolation' });
+  const label = createElement('span', { className: 'control-label', id: 'spread-interpolation-label' }, 'Interpolation:');
+  const group = createElement('div', {
+    className: 'button-group',
+    role: 'group',
+    'aria-labelledby': 'spread-interpolation-label'
+  });
+  const buttons = {};
+  Object.entries(INTERPOLATION_METHODS).forEach(([method, { label: methodLabel }]) => {
+    buttons[method] = createElement('button', { type: 'button', id: `spread-${method}-btn`, className: 'toggle-btn' }, methodLabel);
+    group.appendChild(buttons[method]);
+  });
+  controls.appendChild(label);
+  controls.appendChild(group);
+  content.appendChild(controls);
+  
+  const list = createElement('ul', {
+    className: 'model-info-list',
+    'aria-labelledby': 'benchmark-spreads-heading'
+  });
+  content.appendChild(list);
+  
+  const frequencyLabel = getFrequencyLabel(params.frequency);
+  const maturity = `${formatTimeYears(benchmarkSpreads.maturityYears)}-year`;
+  
+  const fill = () => {
+    Object.entries(buttons).forEach(([method, btn]) => {
+      btn.classList.toggle('active', method === spreadInterpolation);
+      btn.setAttribute('aria-pressed', String(method === spreadInterpolation));
+    });
+    
+    const { governmentYield, gSpread, swapRate, iSpread } = benchmarkSpreads.methods[spreadInterpolation];
+    const items = [
+      { label: 'Yield-to-maturity', value: formatPercentage(bondEquivalentYield * 100, 4) }
+    ];
+    if (governmentYield !== null) {
+      items.push(
+        { label: `Government yield at ${maturity} maturity`, value: formatPercentage(governmentYield * 100, 4) },
+        { label: 'G-spread', value: `${formatBasisPoints(gSpread, true)} (YTM − government yield)` }
+      );
+    }
+    if (swapRate !== null) {
+      items.push(
+        { label: `Swap rate at ${maturity} maturity`, value: formatPercentage(swapRate * 100, 4) },
+        { label: 'I-spread', value: `${formatBasisPoints(iSpread, true)} (YTM − swap rate)` }
+      );
+    }
+    items.push({
+      label: 'Z-spread',
+      value: benchmarkSpreads.zSpread !== null
+        ? `${formatBasisPoints(benchmarkSpreads.zSpread, true)} over every spot rate`
+        : 'Needs a spot curve that prices the bond'
+    });
+    
+    list.innerHTML = '';
+    items.forEach(item => {
+      const li = createElement('li');
+      li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+      list.appendChild(li);
+    });
+  };
+  
+  Object.entries(buttons).forEach(([method, btn]) => {
+    btn.addEventListener('click', () => {
+      spreadInterpolation = method;
+      fill();
+    });
+  });
+  
+  fill();
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    `The G-spread and I-spread compare the one yield-to-maturity with the benchmark rate read off each curve at the bond's maturity, ` +
+    `taking the benchmarks as quoted with ${frequencyLabel} compounding like the bond. ` +
+    `The Z-spread is the constant spread that, added to the spot rate for every cash flow's date, discounts the flows to the full price, ` +
+    `so it allows for the shape of the curve; the interpolation choice applies to the government and swap curves only.` +
+    (callAnalysis ? ' All three ignore the call schedule and assume the bond runs to maturity.' : '')
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create the option-adjusted spread box: OAS, straight value and the value of
+ * the embedded call and put from the binomial rate tree
+ */
+function createOptionAdjustedBox(calculations) {
+  const { optionAdjusted, benchmarkSpreads } = calculations;
+  const { oas, volatility, straightValue, optionValue, callValue, putValue, treeValue } = optionAdjusted;
+  const box = createElement('div', { className: 'result-box option-adjusted' });
+  
+  const title = createElement('h5', { className: 'result-title option-adjusted' },
+    'Option-Adjusted Spread'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const atSpread = oas !== null ? 'at the OAS' : 'with no spread';
+  const zSpread = benchmarkSpreads ? benchmarkSpreads.zSpread : null;
+  const items = [
+    {
+      label: `Option-adjusted spread (σ = ${formatPercentage(volatility * 100)})`,
+      value: oas !== null ? formatBasisPoints(oas, true) : 'No spread values the bond at its price'
+    }
+  ];
+  if (oas !== null && zSpread !== null) {
+    items.push(
+      { label: 'Z-spread', value: formatBasisPoints(zSpread, true) },
+      { label: 'Option cost (Z-spread − OAS)', value: formatBasisPoints(zSpread - oas, true) }
+    );
+  }
+  items.push({ label: `Straight (option-free) value ${atSpread}`, value: formatCurrency(straightValue) });
+  if (callValue !== null) {
+    items.push({ label: 'Call option value', value: `${formatCurrency(callValue)} (straight value − callable value)` });
+  }
+  if (putValue !== null) {
+    items.push({ label: 'Put option value', value: `${formatCurrency(putValue)} (putable value − straight value)` });
+  }
+  items.push(
+    { label: `Value with the options ${atSpread}`, value: formatCurrency(optionValue) },
+    { label: 'Values on the tree with no spread', value: `straight ${formatCurrency(treeValue.straight)}, with the options ${formatCurrency(treeValue.withOptions)}` }
+  );
+  
+  items.forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  if (!optionAdjusted.converged) {
+    content.appendChild(createElement('div', { className: 'result-secondary' },
+      'The tree or spread solver stopped without converging; treat these values as approximate.'
+    ));
+  }
+  
+  content.appendChild(createElement('div', { className: 'analysis-details' },
+    'Rates in the tree move up or down at each payment date, fitted so that the tree reprices the spot curve. ' +
+    'Working back from maturity, each node is worth the average of the two nodes after it plus the payment between, discounted at the node\'s rate; ' +
+    'the issuer calls wherever the bond is worth more than the call price, and the holder puts wherever it is worth less than the put price. ' +
+    'The OAS is the spread over every rate at which that value equals the full price: the spread left once the options are paid for. ' +
+    'Unlike the yield-to-worst, it allows for rates moving between now and each exercise date.'
+  ));
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Describe when a redemption happens: its date for dated bonds, else years from now
+ */
+function describeRedemptionTime(redemption) {
+  return redemption.date
+    ? formatDisplayDate(redemption.date)
+    : `${redemption.timeYears} ${redemption.timeYears === 1 ? 'year' : 'years'}`;
+}
+
+/**
+ * Create yield-to-call and yield-to-worst box
+ */
+function createCallAnalysisBox(calculations) {
+  const { calls, yieldToWorst, worst } = calculations.callAnalysis;
+  const box = createElement('div', { className: 'result-box call-analysis' });
+  
+  const title = createElement('h5', { className: 'result-title call-analysis' },
+    'Yield-to-Call and Yield-to-Worst'
+  );
+  box.appendChild(title);
+  
+  const valueContainer = createElement('div', { className: 'result-value' },
+    yieldToWorst !== null ? formatPercentage(yieldToWorst * 100) : 'No solution'
+  );
+  box.appendChild(valueContainer);
+  
+  if (worst) {
+    const binding = worst.type === 'call'
+      ? `Yield-to-worst: the bond is called at ${formatCurrency(worst.price)} (${describeRedemptionTime(worst)})`
+      : 'Yield-to-worst: no call date gives a lower yield than holding to maturity';
+    box.appendChild(createElement('div', { className: 'result-description' }, binding));
+  }
+  
+  const content = createElement('div', { className: 'analysis-content', style: 'margin-top: 0.5rem;' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  calls.forEach((call, index) => {
+    const li = createElement('li');
+    const ytc = call.bondEquivalentYield !== null ? formatPercentage(call.bondEquivalentYield * 100) : 'no solution';
+    li.innerHTML = `<strong>Call ${index + 1} (${describeRedemptionTime(call)} at ${formatCurrency(call.price)}):</strong> yield-to-call ${ytc}`;
+    list.appendChild(li);
+  });
+  
+  const maturityItem = createElement('li');
+  const ytm = calculations.bondEquivalentYield !== null ? formatPercentage(calculations.bondEquivalentYield * 100) : 'no solution';
+  maturityItem.innerHTML = `<strong>Maturity:</strong> yield-to-maturity ${ytm}`;
+  list.appendChild(maturityItem);
+  
+  content.appendChild(list);
+  
+  const note = createElement('div', { className: 'analysis-details' },
+    'Each yield-to-call solves for the rate that discounts the coupons up to the call date, plus the call price, to the bond price. The issuer calls when it suits the issuer, so investors quote the lowest of these yields.'
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create yield-to-put box
+ */
+function createPutAnalysisBox(calculations) {
+  const { puts } = calculations.putAnalysis;
+  const box = createElement('div', { className: 'result-box put-analysis' });
+  
+  const title = createElement('h5', { className: 'result-title put-analysis' },
+    'Yield-to-Put'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  const list = createElement('ul', { className: 'model-info-list' });
+  
+  const ytmItem = createElement('li');
+  const ytm = calculations.bondEquivalentYield !== null ? formatPercentage(calculations.bondEquivalentYield * 100) : 'no solution';
+  ytmItem.innerHTML = `<strong>Held to maturity:</strong> yield-to-maturity ${ytm}`;
+  list.appendChild(ytmItem);
+  
+  puts.forEach((put, index) => {
+    const li = createElement('li');
+    const ytp = put.bondEquivalentYield !== null ? formatPercentage(put.bondEquivalentYield * 100) : 'no solution';
+    li.innerHTML = `<strong>Put ${index + 1} (${describeRedemptionTime(put)} at ${formatCurrency(put.price)}):</strong> yield-to-put ${ytp}`;
+    list.appendChild(li);
+  });
+  
+  content.appendChild(list);
+  
+  const note = createElement('div', { className: 'analysis-details' },
+    'Each yield-to-put assumes the bondholder sells the bond back at the put price on that date. The bondholder exercises when it pays to, typically when yields have risen and the bond trades below the put price.'
+  );
+  content.appendChild(note);
+  
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create duration and convexity box with a per-period / annual toggle
+ */
+function createDurationBox(calculations, params) {
+  const box = createElement('div', { className: 'result-box duration-analysis' });
+  
+  const title = createElement('h5', { className: 'result-title duration-analysis', id: 'duration-heading' },
+    'Duration and Convexity'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  
+  // Units toggle
+  const controls = createElement('div', { className: 'duration-units' });
+  const label = createElement('span', { className: 'control-label', id: 'duration-units-label' }, 'Units:');
+  const group = createElement('div', {
+    className: 'button-group',
+    role: 'group',
+    'aria-labelledby': 'duration-units-label'
+  });
+  const periodBtn = createElement('button', { type: 'button', id: 'duration-period-btn', className: 'toggle-btn' }, 'Per period');
+  const annualBtn = createElement('button', { type: 'button', id: 'duration-annual-btn', className: 'toggle-btn' }, 'Annual');
+  group.appendChild(periodBtn);
+  group.appendChild(annualBtn);
+  controls.appendChild(label);
+  controls.appendChild(group);
+  content.appendChild(controls);
+  
+  const list = createElement('ul', {
+    className: 'model-info-list',
+    'aria-labelledby': 'duration-heading'
+  });
+  content.appendChild(list);
+  
+  // Effective measures: shift size control and the measures it gives
+  const shiftGroup = createElement('div', { className: 'input-inline' });
+  const shiftLabel = createElement('label', { className: 'input-label-inline', for: 'effective-shift-bp' },
+    'Effective measures shift: ±'
+  );
+  const shiftWrap = createElement('div', { className: 'input-with-suffix-inline' });
+  const shiftInput = createElement('input', {
+    type: 'number',
+    id: 'effective-shift-bp',
+    className: 'input-field-inline',
+    min: '1',
+    max: String(MAX_EFFECTIVE_SHIFT_BP),
+    step: '1',
+    inputmode: 'numeric',
+    'aria-describedby': 'effective-shift-help'
+  });
+  shiftInput.value = String(effectiveShiftBp);
+  const shiftSuffix = createElement('span', { className: 'input-suffix-inline' }, 'bp');
+  const shiftHelp = createElement('span', { className: 'sr-only', id: 'effective-shift-help' },
+    `Enter a parallel rate shift in basis points between 1 and ${MAX_EFFECTIVE_SHIFT_BP}`
+  );
+  shiftWrap.appendChild(shiftInput);
+  shiftWrap.appendChild(shiftSuffix);
+  shiftWrap.appendChild(shiftHelp);
+  shiftGroup.appendChild(shiftLabel);
+  shiftGroup.appendChild(shiftWrap);
+  content.appendChild(shiftGroup);
+  
+  const effective = createElement('div', {
+    className: 'analysis-details effective-measures',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  content.appendChild(effective);
+  
+  const formulas = createElement('div', { className: 'analysis-details duration-formulas' });
+  content.appendChild(formulas);
+  
+  // Effective duration and convexity, in the units chosen, beside the modified duration
+  const fillEffective = () => {
+    const shiftBp = parseFloat(shiftInput.value);
+    const valid = Number.isFinite(shiftBp) && shiftBp >= 1 && shiftBp <= MAX_EFFECTIVE_SHIFT_BP;
+    shiftInput.setAttribute('aria-invalid', String(!valid));
+    
+    if (!valid) {
+      effective.textContent = `Enter a shift between 1 and ${MAX_EFFECTIVE_SHIFT_BP} bp.`;
+      return;
+    }
+    
+    effectiveShiftBp = shiftBp;
+    const measures = calculateEffectiveMeasures(calculations, params.frequency, shiftBp / 10000);
+    if (!measures) {
+      effective.textContent = 'Effective duration and convexity are not available: the bond cannot be repriced at both shifts.';
+      return;
+    }
+    
+    const annual = durationUnits === 'annual';
+    const m = params.frequency;
+    const duration = annual ? measures.duration : measures.duration * m;
+    const convexity = annual ? measures.convexity : measures.convexity * m * m;
+    const values = annual ? calculations.durationAnalysis.annual : calculations.durationAnalysis.periodic;
+    const gap = duration - values.modified;
+    
+    effective.innerHTML = [
+      `<div><strong>Effective duration (±${shiftBp} bp):</strong> ${duration.toFixed(4)}</div>`,
+      `<div><strong>Effective convexity (±${shiftBp} bp):</strong> ${convexity.toFixed(4)}</div>`,
+      `<div><strong>Effective − modified duration:</strong> ${gap >= 0 ? '+' : ''}${gap.toFixed(4)}</div>`,
+      `<div><strong>Effective − analytic convexity:</strong> ${convexity - values.convexity >= 0 ? '+' : ''}${(convexity - values.convexity).toFixed(4)}</div>`,
+      `<div class="result-secondary">Repriced with the ${EFFECTIVE_BASIS_LABELS[measures.basis]}: ` +
+        `full price ${formatCurrency(measures.priceDown)} down, ${formatCurrency(measures.price)} unshifted, ${formatCurrency(measures.priceUp)} up. ` +
+        'EffDur = (<i>PV</i><sub>−</sub> − <i>PV</i><sub>+</sub>) ÷ (2 × Δ<i>r</i> × <i>PV</i>) and ' +
+        'EffCon = (<i>PV</i><sub>−</sub> + <i>PV</i><sub>+</sub> − 2 × <i>PV</i>) ÷ (Δ<i>r</i><sup>2</sup> × <i>PV</i>). ' +
+        'The analytic measures hold the cash flows fixed and discount them at one yield; ' +
+        'the effective measures follow the rates the bond is priced from, and let calls and puts change the cash flows.</div>'
+    ].join('');
+  };
+  
+  shiftInput.addEventListener('input', () => {
+    clampNumericInputLength(shiftInput, NUMERIC_INPUT_MAX_CHARS);
+    fillEffective();
+  });
+  
+  const fill = () => {
+    const annual = durationUnits === 'annual';
+    periodBtn.classList.toggle('active', !annual);
+    periodBtn.setAttribute('aria-pressed', String(!annual));
+    annualBtn.classList.toggle('active', annual);
+    annualBtn.setAttribute('aria-pressed', String(annual));
+    
+    const { durationAnalysis } = calculations;
+    const values = annual ? durationAnalysis.annual : durationAnalysis.periodic;
+    const timeUnit = annual ? 'years' : `${getFrequencyLabel(params.frequency)} periods`;
+    const shiftBp = Math.round(durationAnalysis.yieldShift * 10000);
+    
+    const items = [
+      { label: 'Macaulay duration', value: `${values.macaulay.toFixed(4)} ${timeUnit}` },
+      { label: 'Modified duration', value: values.modified.toFixed(4) },
+      { label: `Approximate modified duration (±${shiftBp} bp)`, value: values.approximateModified.toFixed(4) },
+      { label: 'Convexity', value: values.convexity.toFixed(4) },
+      { label: `Approximate convexity (±${shiftBp} bp)`, value: values.approximateConvexity.toFixed(4) }
+    ];
+    
+    list.innerHTML = '';
+    items.forEach(item => {
+      const li = createElement('li');
+      li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+      list.appendChild(li);
+    });
+    
+    // Formulas: t in periods, PV<sub>t</sub> discounted at the YTM
+    const scale = annual ? ' ÷ <i>m</i>' : '';
+    const scale2 = annual ? ' ÷ <i>m</i><sup>2</sup>' : '';
+    formulas.innerHTML = [
+      `MacDur = [Σ <i>t</i> × PV<sub><i>t</i></sub> ÷ <i>PV</i>]${scale}`,
+      `ModDur = MacDur ÷ (1 + <i>r</i>/<i>m</i>)`,
+      `ApproxModDur = (<i>PV</i><sub>−</sub> − <i>PV</i><sub>+</sub>) ÷ (2 × Δ<i>y</i> × <i>PV</i>)`,
+      `Convexity = [Σ <i>t</i>(<i>t</i> + 1) × PV<sub><i>t</i></sub> ÷ (<i>PV</i> × (1 + <i>r</i>/<i>m</i>)<sup>2</sup>)]${scale2}`,
+      `ApproxCon = (<i>PV</i><sub>−</sub> + <i>PV</i><sub>+</sub> − 2 × <i>PV</i>) ÷ (Δ<i>y</i><sup>2</sup> × <i>PV</i>)`,
+      `<span class="result-secondary"><i>t</i> is measured in periods, <i>m</i> = ${params.frequency} payments per year, and <i>PV</i><sub>−</sub>, <i>PV</i><sub>+</sub> are full prices with the yield moved down and up by Δ<i>y</i> = ${annual ? `${shiftBp} bp a year` : `${shiftBp} bp ÷ <i>m</i> per period`}.</span>`
+    ].map(line => `<div>${line}</div>`).join('');
+    
+    fillEffective();
+  };
+  
+  periodBtn.addEventListener('click', () => {
+    durationUnits = 'period';
+    fill();
+  });
+  annualBtn.addEventListener('click', () => {
+    durationUnits = 'annual';
+    fill();
+  });
+  
+  fill();
+  box.appendChild(content);
+  
+  return box;
+}
+
+/**
+ * Create money duration, PVBP and yield-shock estimator box
+ */
+function createRateRiskBox(calculations, params) {
+  const { moneyDuration, pvbp } = calculations.moneyDuration;
+  const box = createElement('div', { className: 'result-box rate-risk' });
+  
+  const title = createElement('h5', { className: 'result-title rate-risk' },
+    'Interest Rate Risk'
+  );
+  box.appendChild(title);
+  
+  const content = createElement('div', { className: 'analysis-content' });
+  
+  const list = createElement('ul', { className: 'model-info-list' });
+  [
+    { label: 'Money duration', value: `${formatCurrency(moneyDuration)} (full price × modified duration)` },
+    { label: 'PVBP (DV01)', value: `USD${pvbp.toFixed(4)} per 1 bp change in yield` }
+  ].forEach(item => {
+    const li = createElement('li');
+    li.innerHTML = `<strong>${item.label}:</strong> ${item.value}`;
+    list.appendChild(li);
+  });
+  content.appendChild(list);
+  
+  // Yield shock control
+  const shockGroup = createElement('div', { className: 'input-inline' });
+  const shockLabel = createElement('label', { className: 'input-label-inline', for: 'yield-shock-bp' },
+    'Yield change:'
+  );
+  const shockWrap = createElement('div', { className: 'input-with-suffix-inline' });
+  const shockInput = createElement('input', {
+    type: 'number',
+    id: 'yield-shock-bp',
+    className: 'input-field-inline',
+    min: String(-MAX_YIELD_SHOCK_BP),
+    max: String(MAX_YIELD_SHOCK_BP),
+    step: '1',
+    inputmode: 'numeric',
+    'aria-describedby': 'yield-shock-help'
+  });
+  shockInput.value = String(yieldShockBp);
+  const shockSuffix = createElement('span', { className: 'input-suffix-inline' }, 'bp');
+  const shockHelp = createElement('span', { className: 'sr-only', id: 'yield-shock-help' },
+    `Enter a yield change in basis points between ${-MAX_YIELD_SHOCK_BP} and ${MAX_YIELD_SHOCK_BP}`
+  );
+  shockWrap.appendChild(shockInput);
+  shockWrap.appendChild(shockSuffix);
+  shockWrap.appendChild(shockHelp);
+  shockGroup.appendChild(shockLabel);
+  shockGroup.appendChild(shockWrap);
+  content.appendChild(shockGroup);
+  
+  const estimates = createElement('div', {
+    className: 'analysis-details',
+    'aria-live': 'polite',
+    'aria-atomic': 'true'
+  });
+  content.appendChild(estimates);
+  
+  const fill = () => {
+    const shift = parseFloat(shockInput.value);
+    const valid = Number.isFinite(shift) && Math.abs(shift) <= MAX_YIELD_SHOCK_BP;
+    shockInput.setAttribute('aria-invalid', String(!valid));
+    
+    if (!valid) {
+      estimates.textContent = `Enter a yield change between ${-MAX_YIELD_SHOCK_BP} and ${MAX_YIELD_SHOCK_BP} bp.`;
+      return;
+    }
+    
+    yieldShockBp = shift;
+    const estimate = estimatePriceChange(
+      calculations.cashFlows,
+      calculations.yieldPerPeriod,
+      params.frequency,
+      shift
+    );
+    
+    const describe = ({ percentChange, newPrice }) => {
+      const sign = percentChange >= 0 ? '+' : '';
+      return `${sign}${formatPercentage(percentChange * 100)} (full price ${formatCurrency(newPrice)})`;
+    };
+    
+    estimates.innerHTML = [
+      `<div><strong>Duration only:</strong> ${describe(estimate.durationOnly)}</div>`,
+      `<div><strong>Duration + convexity:</strong> ${describe(estimate.withConvexity)}</div>`,
+      `<div><strong>Exact reprice:</strong> ${describe(estimate.exact)}</div>`
+    ].join('');
+  };
+  
+  shockInput.addEventListener('input', () => {
+    clampNumericInputLength(shockInput, NUMERIC_INPUT_MAX_CHARS);
+    fill();
+  });
+  
+  fill();
+  box.appendChild(content);
+  
   return box;
 }
 
 /**
  * Create bond details box
  */
+/**
+ * Describe a stub period, e.g. "short first coupon of 0.60 periods"
+ * @param {Object} stub - { position, length, fraction } from the calculations
+ * @returns {string} Description
+ */
+function describeStubPeriod(stub) {
+  return `${stub.length} ${stub.position} coupon of ${stub.fraction.toFixed(2)} periods`;
+}
+
 function createBondDetailsBox(calculations, params) {
   const box = createElement('div', { className: 'result-box bond-details' });
   
@@ -88,11 +1357,29 @@ function createBondDetailsBox(calculations, params) {
   // Details list
   const list = createElement('ul', { className: 'model-info-list' });
   
+  const frequencyLabel = getFrequencyLabel(params.frequency);
+  const couponItems = params.zeroCoupon
+    ? [{ label: 'Coupon/PMT', value: `None (zero-coupon, ${frequencyLabel} compounding)` }]
+    : [
+      { label: 'Coupon/PMT (annual)', value: formatCurrency(params.couponPayment) },
+      { label: `Coupon/PMT (${frequencyLabel})`, value: formatCurrency(calculations.couponPayment) }
+    ];
+  const stubItems = calculations.stub && !params.zeroCoupon
+    ? [{
+      label: 'Odd period',
+      value: `${describeStubPeriod(calculations.stub)} (${formatCurrency(calculations.couponPayment * calculations.stub.fraction)})`
+    }]
+    : [];
   const items = [
-    { label: 'Coupon/PMT (annual)', value: formatCurrency(params.couponPayment) },
-    { label: 'Coupon/PMT (semiannual)', value: formatCurrency(calculations.couponPayment) },
-    { label: 'Periods', value: `${calculations.periods} (semiannual)` },
-    { label: 'Years', value: params.years.toString() }
+    ...couponItems,
+    ...stubItems,
+    ...(params.perpetual ? [
+      { label: 'Periods', value: `Unlimited (${frequencyLabel})` },
+      { label: 'Years', value: 'None (perpetual)' }
+    ] : [
+      { label: calculations.settlement ? 'Remaining coupons' : 'Periods', value: `${calculations.periods} (${frequencyLabel})` },
+      { label: 'Years', value: calculations.settlement ? calculations.years.toFixed(2) : Number(params.years.toFixed(4)).toString() }
+    ])
   ];
   
   items.forEach(item => {
@@ -0,0 +1,150 @@
+/**
+ * Option Schedule Editor Module
+ * Editable list of exercise dates and prices for callable and putable bonds,
+ * also used for sinking-fund retirements
+ */
+
+import { createElement, debounce, clampNumericInputLength, NUMERIC_INPUT_MAX_CHARS } from './utils.js';
+
+/** Value column of an exercise schedule: a price in USD per bond */
+const PRICE_COLUMN = { key: 'price', name: 'price', prefix: 'USD', min: '50', max: '150', step: '0.1' };
+
+/**
+ * Render an editable exercise schedule
+ *
+ * Each row holds an exercise time and price. In years mode the time is a
+ * number of years from settlement; in date mode it is a calendar date. Both
+ * are kept on the row so switching modes does not lose what was typed.
+ * Another value (such as a retirement percentage) can replace the price
+ * through `config.valueColumn`.
+ *
+ * @param {Object} config - Editor configuration
+ * @param {string} config.containerId - ID of the element to render into
+ * @param {string} config.idPrefix - Prefix for generated input IDs (e.g. 'call')
+ * @param {string} config.noun - Option name used in labels (e.g. 'Call')
+ * @param {Array} config.rows - Current entries { years, date, price }
+ * @param {string} config.termMode - 'years' or 'dates'
+ * @param {Object} config.defaultRow - Entry added by the Add button
+ * @param {number} [config.timeStep=0.5] - Years per coupon period (years mode step)
+ * @param {Object} [config.valueColumn] - Row value { key, name, prefix | suffix, min, max, step } (the price by default)
+ * @param {Function} config.onChange - Called with the updated rows
+ */
+export function renderScheduleEditor({ containerId, idPrefix, noun, rows, termMode, defaultRow, timeStep = 0.5, valueColumn = PRICE_COLUMN, onChange }) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.innerHTML = '';
+  const isDates = termMode === 'dates';
+  const current = rows.map(row => ({ ...row }));
+
+  const notify = debounce(() => onChange(current.map(row => ({ ...row }))), 300);
+  const rerender = () => {
+    onChange(current.map(row => ({ ...row })));
+    renderScheduleEditor({ containerId, idPrefix, noun, rows: current, termMode, defaultRow, timeStep, valueColumn, onChange });
+  };
+
+  const list = createElement('ul', { className: 'option-schedule-list', 'aria-label': `${noun} schedule` });
+
+  current.forEach((row, index) => {
+    const item = createElement('li', { className: 'option-schedule-row input-group-inline' });
+    const position = index + 1;
+
+    // Exercise time: date picker or years
+    const timeId = `${idPrefix}-${isDates ? 'date' : 'years'}-${position}`;
+    const timeGroup = createElement('div', { className: 'input-inline' });
+    const timeLabel = createElement('label', { className: 'input-label-inline', for: timeId },
+      isDates ? `${noun} date ${position}:` : `${noun} in (years) ${position}:`
+    );
+    const timeInput = createElement('input', {
+      type: isDates ? 'date' : 'number',
+      id: timeId,
+      className: isDates ? 'input-field-inline input-date' : 'input-field-inline'
+    });
+    if (!isDates) {
+      const step = String(Number(timeStep.toFixed(6)));
+      timeInput.setAttribute('min', step);
+      timeInput.setAttribute('step', step);
+      timeInput.setAttribute('inputmode', 'decimal');
+    }
+    timeInput.value = isDates ? (row.date || '') : String(row.years ?? '');
+    timeInput.addEventListener(isDates ? 'change' : 'input', () => {
+      if (isDates) {
+        row.date = timeInput.value;
+        notify();
+      } else {
+        clampNumericInputLength(timeInput, NUMERIC_INPUT_MAX_CHARS);
+        row.years = parseFloat(timeInput.value);
+        notify();
+      }
+    });
+    const timeWrap = createElement('div', { className: 'input-with-suffix-inline' });
+    timeWrap.appendChild(timeInput);
+    timeGroup.appendChild(timeLabel);
+    timeGroup.appendChild(timeWrap);
+
+    // Exercise price (or other row value)
+    const priceId = `${idPrefix}-${valueColumn.key}-${position}`;
+    const priceGroup = createElement('div', { className: 'input-inline' });
+    const priceLabel = createElement('label', { className: 'input-label-inline', for: priceId },
+      `${noun} ${valueColumn.name} ${position}:`
+    );
+    const priceWrap = createElement('div', { className: 'input-with-suffix-inline' });
+    const priceInput = createElement('input', {
+      type: 'number',
+      id: priceId,
+      className: valueColumn.prefix ? 'input-field-inline input-with-prefix' : 'input-field-inline',
+      min: valueColumn.min,
+      max: valueColumn.max,
+      step: valueColumn.step,
+      inputmode: 'decimal'
+    });
+    priceInput.value = String(row[valueColumn.key] ?? '');
+    priceInput.addEventListener('input', () => {
+      clampNumericInputLength(priceInput, NUMERIC_INPUT_MAX_CHARS);
+      row[valueColumn.key] = parseFloat(priceInput.value);
+      notify();
+    });
+    if (valueColumn.prefix) {
+      priceWrap.appendChild(createElement('span', { className: 'input-prefix-inline' }, valueColumn.prefix));
+    }
+    priceWrap.appendChild(priceInput);
+    if (valueColumn.suffix) {
+      priceWrap.appendChild(createElement('span', { className: 'input-suffix-inline' }, valueColumn.suffix));
+    }
+    priceGroup.appendChild(priceLabel);
+    priceGroup.appendChild(priceWrap);
+
+    // Remove row
+    const removeBtn = createElement('button', {
+      type: 'button',
+      className: 'toggle-btn option-schedule-remove',
+      'aria-label': `Remove ${noun.toLowerCase()} date ${position}`
+    }, 'Remove');
+    removeBtn.addEventListener('click', () => {
+      current.splice(index, 1);
+      rerender();
+      const addBtn = document.getElementById(`${idPrefix}-add-btn`);
+      if (addBtn) addBtn.focus();
+    });
+
+    item.appendChild(timeGroup);
+    item.appendChild(priceGroup);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+
+  const addBtn = createElement('button', {
+    type: 'button',
+    id: `${idPrefix}-add-btn`,
+    className: 'toggle-btn'
+  }, `Add ${noun.toLowerCase()} date`);
+  addBtn.addEventListener('click', () => {
+    current.push({ ...defaultRow });
+    rerender();
+    const newInput = document.getElementById(`${idPrefix}-${isDates ? 'date' : 'years'}-${current.length}`);
+    if (newInput) newInput.focus();
+  });
+  container.appendChild(addBtn);
+}
@@ -0,0 +1,172 @@
+/**
+ * Coupon Schedule Module
+ * Date helpers and coupon-date generation for bonds priced between coupon dates
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an ISO date string (YYYY-MM-DD) as a UTC calendar date
+ * @param {string} value - Date string from a date input
+ * @returns {Date|null} Date at 00:00 UTC, or null if invalid
+ */
+export function parseISODate(value) {
+  if (typeof value !== 'string') return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+export function formatISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Format a UTC date for display (e.g. "15 Mar 2027")
+ * @param {Date} date - Date to format
+ * @returns {string} Display string
+ */
+export function formatDisplayDate(date) {
+  return date.toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Actual number of calendar days from `start` to `end`
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {number} Day count (negative if end precedes start)
+ */
+export function daysBetween(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * Check whether a date falls on the last day of its month
+ * @param {Date} date - Date to check
+ * @returns {boolean} True for month-end dates
+ */
+export function isMonthEnd(date) {
+  const next = new Date(date.getTime() + MS_PER_DAY);
+  return next.getUTCMonth() !== date.getUTCMonth();
+}
+
+/**
+ * Shift a date by whole months, clamping to the end of shorter months
+ * @param {Date} date - Start date
+ * @param {number} months - Months to add (may be negative)
+ * @param {boolean} endOfMonth - Pin the result to month-end (end-of-month rule)
+ * @returns {Date} Shifted date
+ */
+export function addMonths(date, months, endOfMonth = false) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const day = endOfMonth ? lastDay : Math.min(date.getUTCDate(), lastDay);
+  return new Date(Date.UTC(year, month, day));
+}
+
+/**
+ * Build the coupon schedule around a settlement date
+ *
+ * Coupon dates are generated backwards from maturity in steps of
+ * 12 / frequency months. If maturity falls on a month-end, every coupon
+ * date does too.
+ *
+ * @param {Object} params - Schedule parameters
+ * @param {Date} params.settlementDate - Settlement date
+ * @param {Date} params.maturityDate - Maturity date (after settlement)
+ * @param {number} params.frequency - Coupon payments per year
+ * @returns {Object} { previousCouponDate, nextCouponDate, couponDates }
+ *   where couponDates are the remaining payment dates after settlement
+ */
+export function buildCouponSchedule({ settlementDate, maturityDate, frequency }) {
+  const monthsPerPeriod = 12 / frequency;
+  const endOfMonth = isMonthEnd(maturityDate);
+
+  const couponDates = [maturityDate];
+  let step = 1;
+  let candidate = addMonths(maturityDate, -monthsPerPeriod * step, endOfMonth);
+
+  while (candidate > settlementDate) {
+    couponDates.unshift(candidate);
+    step++;
+    candidate = addMonths(maturityDate, -monthsPerPeriod * step, endOfMonth);
+  }
+
+  return {
+    previousCouponDate: candidate,
+    nextCouponDate: couponDates[0],
+    couponDates
+  };
+}
+
+/**
+ * Where the odd period goes when the maturity is not a whole number of periods
+ */
+export const STUB_TYPES = {
+  'short-first': { label: 'Short first coupon' },
+  'long-first': { label: 'Long first coupon' },
+  'short-last': { label: 'Short last coupon' },
+  'long-last': { label: 'Long last coupon' }
+};
+
+export const DEFAULT_STUB_TYPE = 'short-first';
+
+/**
+ * Coupon timing for a term measured in (possibly fractional) periods
+ *
+ * A whole number of periods gives regular coupons at 1, 2, ..., n. Otherwise
+ * the leftover fraction f becomes a stub: a short stub is a period of f on
+ * its own, a long stub merges it with the neighbouring regular period (1 + f).
+ * Each stub coupon is prorated by its length.
+ *
+ * @param {number} totalPeriods - Term in coupon periods (years × frequency)
+ * @param {string} [stubType='short-first'] - One of STUB_TYPES
+ * @returns {Array} [{ time, fraction }] where time is periods from settlement
+ *   and fraction is the share of a regular coupon paid
+ */
+export function buildPeriodSchedule(totalPeriods, stubType = DEFAULT_STUB_TYPE) {
+  const rounded = Math.round(totalPeriods);
+  const isWhole = Math.abs(totalPeriods - rounded) < 1e-9;
+  const whole = isWhole ? rounded : Math.floor(totalPeriods);
+  const stub = isWhole ? 0 : totalPeriods - whole;
+
+  if (stub === 0) {
+    return Array.from({ length: whole }, (_, k) => ({ time: k + 1, fraction: 1 }));
+  }
+
+  // Shorter than one period: a single stub coupon at maturity
+  if (whole === 0) {
+    return [{ time: totalPeriods, fraction: stub }];
+  }
+
+  const regular = (count, offset) =>
+    Array.from({ length: count }, (_, k) => ({ time: offset + k + 1, fraction: 1 }));
+
+  switch (stubType) {
+    case 'long-first':
+      return [{ time: 1 + stub, fraction: 1 + stub }, ...regular(whole - 1, 1 + stub)];
+    case 'short-last':
+      return [...regular(whole, 0), { time: totalPeriods, fraction: stub }];
+    case 'long-last':
+      return [...regular(whole - 1, 0), { time: totalPeriods, fraction: 1 + stub }];
+    default:
+      return [{ time: stub, fraction: stub }, ...regular(whole, stub)];
+  }
+}
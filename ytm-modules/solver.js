@@ -0,0 +1,212 @@
+/**
+ * Root-Finding Module
+ * Bracketing solvers shared by every yield calculation
+ */
+
+/**
+ * Solver outcome codes
+ */
+export const SOLVER_STATUS = {
+  CONVERGED: 'converged',
+  NO_SOLUTION: 'no-solution',
+  MAX_ITERATIONS: 'max-iterations'
+};
+
+/** Growth factor applied to the bracket on each expansion step */
+const EXPANSION_FACTOR = 1.6;
+
+/**
+ * Grow an interval until the function changes sign across it
+ *
+ * Expands the side with the smaller |f| first, which walks towards the root
+ * for monotone functions such as price-yield curves. When a finite `min` is
+ * given, the lower edge approaches it geometrically and never reaches it
+ * (yields per period must stay above -100%).
+ *
+ * @param {Function} fn - Function of one variable
+ * @param {Object} options - Bracket options
+ * @param {number} options.lower - Initial lower edge
+ * @param {number} options.upper - Initial upper edge
+ * @param {number} [options.min=-Infinity] - Exclusive lower limit of the domain
+ * @param {number} [options.maxExpansions=60] - Maximum number of expansion steps
+ * @returns {Object|null} { lower, upper, fLower, fUpper } or null if no sign change was found
+ */
+export function bracketRoot(fn, { lower, upper, min = -Infinity, maxExpansions = 60 }) {
+  let a = lower;
+  let b = upper;
+  let fa = fn(a);
+  let fb = fn(b);
+
+  for (let i = 0; i <= maxExpansions; i++) {
+    if (!Number.isFinite(fa) || !Number.isFinite(fb)) return null;
+    if (fa === 0 || fb === 0 || Math.sign(fa) !== Math.sign(fb)) {
+      return { lower: a, upper: b, fLower: fa, fUpper: fb };
+    }
+
+    const width = b - a;
+    if (Math.abs(fa) < Math.abs(fb)) {
+      a = Number.isFinite(min) ? Math.max(a - EXPANSION_FACTOR * width, (a + min) / 2) : a - EXPANSION_FACTOR * width;
+      fa = fn(a);
+    } else {
+      b += EXPANSION_FACTOR * width;
+      fb = fn(b);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a root of `fn` with a bracketing solver
+ *
+ * The bracket is grown as needed, then refined with a safeguarded Newton
+ * iteration when a derivative is supplied (falling back to bisection whenever
+ * a Newton step would leave the bracket) or with Brent's method otherwise.
+ * The result is never clamped: if no sign change can be found the status is
+ * `no-solution` and `root` is null.
+ *
+ * @param {Function} fn - Function of one variable
+ * @param {Object} options - Solver options
+ * @param {number} options.lower - Initial lower edge of the bracket
+ * @param {number} options.upper - Initial upper edge of the bracket
+ * @param {number} [options.min=-Infinity] - Exclusive lower limit of the domain
+ * @param {Function} [options.derivative] - f'(x); enables Newton steps
+ * @param {number} [options.tolerance=1e-10] - Convergence tolerance on x and |f(x)|
+ * @param {number} [options.maxIterations=200] - Maximum refinement iterations
+ * @param {number} [options.maxExpansions=60] - Maximum bracket expansion steps
+ * @returns {Object} { root, converged, status, residual, iterations, bracket }
+ */
+export function solveRoot(fn, options) {
+  const {
+    derivative = null,
+    tolerance = 1e-10,
+    maxIterations = 200
+  } = options;
+
+  const bracket = bracketRoot(fn, options);
+
+  if (!bracket) {
+    return {
+      root: null,
+      converged: false,
+      status: SOLVER_STATUS.NO_SOLUTION,
+      residual: null,
+      iterations: 0,
+      bracket: null
+    };
+  }
+
+  const refine = derivative ? refineNewton : refineBrent;
+  const { root, iterations, converged } = refine(fn, derivative, bracket, tolerance, maxIterations);
+
+  return {
+    root,
+    converged,
+    status: converged ? SOLVER_STATUS.CONVERGED : SOLVER_STATUS.MAX_ITERATIONS,
+    residual: fn(root),
+    iterations,
+    bracket: { lower: bracket.lower, upper: bracket.upper }
+  };
+}
+
+/**
+ * Safeguarded Newton-Raphson inside a sign-change bracket
+ */
+function refineNewton(fn, derivative, { lower, upper, fLower, fUpper }, tolerance, maxIterations) {
+  if (fLower === 0) return { root: lower, iterations: 0, converged: true };
+  if (fUpper === 0) return { root: upper, iterations: 0, converged: true };
+
+  // Orient so that f(low) < 0 < f(high)
+  let low = fLower < 0 ? lower : upper;
+  let high = fLower < 0 ? upper : lower;
+  let x = (lower + upper) / 2;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    const fx = fn(x);
+    if (Math.abs(fx) <= tolerance) return { root: x, iterations: i, converged: true };
+
+    if (fx < 0) low = x; else high = x;
+
+    const dfx = derivative(x);
+    let next = x - fx / dfx;
+    const outside = !Number.isFinite(next) || (next - low) * (next - high) > 0;
+    if (outside) {
+      next = (low + high) / 2;
+    }
+
+    if (Math.abs(next - x) <= tolerance * Math.max(1, Math.abs(x))) {
+      return { root: next, iterations: i, converged: true };
+    }
+    x = next;
+  }
+
+  return { root: x, iterations: maxIterations, converged: false };
+}
+
+/**
+ * Brent's method (inverse quadratic interpolation, secant and bisection)
+ */
+function refineBrent(fn, _derivative, { lower, upper, fLower, fUpper }, tolerance, maxIterations) {
+  let a = lower;
+  let b = upper;
+  let fa = fLower;
+  let fb = fUpper;
+  let c = a;
+  let fc = fa;
+  let d = b - a;
+  let e = d;
+
+  for (let i = 1; i <= maxIterations; i++) {
+    if (Math.sign(fb) === Math.sign(fc)) {
+      c = a;
+      fc = fa;
+      d = b - a;
+      e = d;
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a;
+      fa = fb; fb = fc; fc = fa;
+    }
+
+    const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+    const m = (c - b) / 2;
+    if (Math.abs(m) <= tol || Math.abs(fb) <= tolerance) {
+      return { root: b, iterations: i, converged: true };
+    }
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Attempt interpolation
+      const s = fb / fa;
+      let p;
+      let q;
+      if (a === c) {
+        p = 2 * m * s;
+        q = 1 - s;
+      } else {
+        const qa = fa / fc;
+        const r = fb / fc;
+        p = s * (2 * m * qa * (qa - r) - (b - a) * (r - 1));
+        q = (qa - 1) * (r - 1) * (s - 1);
+      }
+      if (p > 0) q = -q; else p = -p;
+
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d;
+        d = p / q;
+      } else {
+        d = m;
+        e = d;
+      }
+    } else {
+      d = m;
+      e = d;
+    }
+
+    a = b;
+    fa = fb;
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+    fb = fn(b);
+  }
+
+  return { root: b, iterations: maxIterations, converged: false };
+}
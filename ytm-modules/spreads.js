@@ -0,0 +1,187 @@
+/**
+ * Benchmark Spreads Module
+ * G-spread over a government curve, I-spread over a swap curve and the
+ * Z-spread over the spot curve
+ */
+
+import { solveRoot } from './solver.js';
+import { discountFactorAt } from './curve.js';
+
+/**
+ * Ways a benchmark curve can be read between its maturities
+ */
+export const INTERPOLATION_METHODS = {
+  linear: { label: 'Linear' },
+  cubic: { label: 'Cubic spline' }
+};
+
+/** Interpolation used until one is chosen */
+export const DEFAULT_INTERPOLATION_METHOD = 'linear';
+
+/**
+ * Parse benchmark curve points, e.g. "1: 4, 2: 4.3, 5: 4.8"
+ * @param {string} text - Maturity (years) and rate (percent) pairs joined by a
+ *   colon, separated by commas, semicolons or new lines
+ * @returns {Array|null} Entries { years, rate (percent) } in the order given,
+ *   or null if any entry is not a pair of numbers
+ */
+export function parseCurvePoints(text) {
+  const entries = String(text ?? '').split(/[,;\n]+/).map(entry => entry.trim()).filter(Boolean);
+  const points = entries.map(entry => {
+    const match = entry.match(/^([^:\s]+)\s*:\s*([^:\s]+)$/);
+    return match ? { years: Number(match[1]), rate: Number(match[2]) } : null;
+  });
+  return points.every(point => point && Number.isFinite(point.years) && Number.isFinite(point.rate))
+    ? points
+    : null;
+}
+
+/**
+ * Second derivatives of the natural cubic spline through the points
+ *
+ * Solves the tridiagonal system that makes the slope and curvature continuous
+ * at every inner point, with zero curvature at both ends.
+ *
+ * @param {Array} points - Entries { years, rate } in ascending order of years
+ * @returns {number[]} Second derivative at each point
+ */
+function splineCurvatures(points) {
+  const n = points.length;
+  const curvatures = new Array(n).fill(0);
+  if (n < 3) return curvatures;
+
+  const h = points.slice(1).map((point, i) => point.years - points[i].years);
+  const slope = points.slice(1).map((point, i) => (point.rate - points[i].rate) / h[i]);
+
+  // Forward sweep of the Thomas algorithm over the inner points
+  const diagonal = [];
+  const rhs = [];
+  for (let i = 1; i < n - 1; i++) {
+    let d = 2 * (h[i - 1] + h[i]);
+    let r = 6 * (slope[i] - slope[i - 1]);
+    if (i > 1) {
+      const factor = h[i - 1] / diagonal[i - 2];
+      d -= factor * h[i - 1];
+      r -= factor * rhs[i - 2];
+    }
+    diagonal.push(d);
+    rhs.push(r);
+  }
+
+  for (let i = n - 2; i >= 1; i--) {
+    curvatures[i] = (rhs[i - 1] - h[i] * curvatures[i + 1]) / diagonal[i - 1];
+  }
+  return curvatures;
+}
+
+/**
+ * Benchmark rate at a maturity, read off the curve points
+ *
+ * Linear interpolation joins neighbouring points with straight lines; the
+ * cubic spline passes a smooth natural spline through all of them. Before
+ * the first maturity the first rate is held flat, and past the last
+ * maturity the last one is.
+ *
+ * @param {Array} points - Entries { years, rate }, any order
+ * @param {number} years - Maturity in years
+ * @param {string} [method='linear'] - Key of INTERPOLATION_METHODS
+ * @returns {number} Interpolated rate, in the units of the points
+ */
+export function interpolateRate(points, years, method = DEFAULT_INTERPOLATION_METHOD) {
+  const sorted = [...points].sort((a, b) => a.years - b.years);
+  if (years <= sorted[0].years) return sorted[0].rate;
+  const last = sorted[sorted.length - 1];
+  if (years >= last.years) return last.rate;
+
+  const i = sorted.findIndex(point => point.years >= years);
+  const left = sorted[i - 1];
+  const right = sorted[i];
+  const h = right.years - left.years;
+  const toRight = right.years - years;
+  const fromLeft = years - left.years;
+
+  if (method !== 'cubic') {
+    return left.rate + fromLeft / h * (right.rate - left.rate);
+  }
+
+  const curvatures = splineCurvatures(sorted);
+  const m0 = curvatures[i - 1];
+  const m1 = curvatures[i];
+  return (m0 * toRight ** 3 + m1 * fromLeft ** 3) / (6 * h) +
+    (left.rate / h - m0 * h / 6) * toRight +
+    (right.rate / h - m1 * h / 6) * fromLeft;
+}
+
+/**
+ * Z-spread: the constant spread over every spot rate that discounts the cash
+ * flows to the bond's full price
+ *
+ * Σ CF_k × (1 + (z_k + s)/m)^(−m × t_k) = full price, solved for s.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows (period 0 is the purchase)
+ * @param {Object} spotCurve - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @param {number} fullPrice - Full (dirty) price of the bond
+ * @returns {Object} { zSpread (decimal, or null when no spread fits), converged }
+ */
+export function calculateZSpread(cashFlows, spotCurve, fullPrice) {
+  const flows = cashFlows.filter(cf => cf.period > 0);
+  const lowestSpot = Math.min(...spotCurve.knots.map(knot => knot.spotRate));
+
+  const solution = solveRoot(
+    (spread) => flows.reduce((pv, cf) => pv + cf.totalCashFlow * discountFactorAt(spotCurve, cf.timeYears, spread), 0) - fullPrice,
+    {
+      lower: 0,
+      upper: 0.01,
+      min: -spotCurve.frequency - lowestSpot, // Every discount rate per period must stay above -100%
+      tolerance: 1e-12
+    }
+  );
+
+  return { zSpread: solution.root, converged: solution.converged };
+}
+
+/**
+ * G-spread, I-spread and Z-spread of a bond
+ *
+ * The G-spread and I-spread are the bond's yield-to-maturity less the
+ * government yield and the swap rate at its maturity (the time of its last
+ * cash flow), read off each curve with every interpolation method. The
+ * benchmark rates are taken to be quoted on the bond's compounding basis.
+ * The Z-spread does not depend on the interpolation method: it uses the
+ * spot curve as built.
+ *
+ * @param {Array} cashFlows - Cash flows from generateCashFlows
+ * @param {Object} bond - Bond and benchmark inputs
+ * @param {number} bond.yieldRate - Yield-to-maturity (decimal)
+ * @param {number} bond.fullPrice - Full (dirty) price
+ * @param {Array} [bond.governmentCurve] - Government yields { years, rate (decimal) }
+ * @param {Array} [bond.swapCurve] - Swap rates { years, rate (decimal) }
+ * @param {Object} [bond.spotCurve] - Curve from bootstrapSpotCurve or buildSpotCurve
+ * @returns {Object} { maturityYears, methods: { [method]: { governmentYield,
+ *   gSpread, swapRate, iSpread } }, zSpread, zSpreadConverged }; the fields
+ *   of a curve that was not given are null
+ */
+export function calculateBenchmarkSpreads(cashFlows, { yieldRate, fullPrice, governmentCurve = null, swapCurve = null, spotCurve = null }) {
+  const maturityYears = Math.max(...cashFlows.map(cf => cf.timeYears));
+
+  const methods = {};
+  Object.keys(INTERPOLATION_METHODS).forEach(method => {
+    const governmentYield = governmentCurve ? interpolateRate(governmentCurve, maturityYears, method) : null;
+    const swapRate = swapCurve ? interpolateRate(swapCurve, maturityYears, method) : null;
+    methods[method] = {
+      governmentYield,
+      gSpread: governmentYield === null ? null : yieldRate - governmentYield,
+      swapRate,
+      iSpread: swapRate === null ? null : yieldRate - swapRate
+    };
+  });
+
+  const z = spotCurve ? calculateZSpread(cashFlows, spotCurve, fullPrice) : { zSpread: null, converged: false };
+
+  return {
+    maturityYears,
+    methods,
+    zSpread: z.zSpread,
+    zSpreadConverged: z.converged
+  };
+}
@@ -9,10 +9,54 @@ export const state = {
   couponPayment: 11.0, // Annual coupon payment in dollars
   years: 5,
   faceValue: 100,
-  frequency: 2, // Semiannual
+  frequency: 2, // Semiannual (compounding periods per year for zero-coupon bonds)
+  instrumentType: 'coupon', // 'coupon', 'zero' (face value only), 'perpetual' (no maturity), 'frn' (floating rate) or 'linker' (inflation-linked)
+  yieldRate: 6, // Annual yield-to-maturity in percent (used when solving for another input)
+  stubType: 'short-first', // Odd period for fractional terms: 'short-first', 'long-first', 'short-last' or 'long-last'
   
+  // Input solved from the other four: 'yieldRate', 'bondPrice', 'couponPayment', 'years' or 'faceValue'
+  solveFor: 'yieldRate',
+  
+  // Term entry: 'years' (settles on a coupon date) or 'dates'
+  termMode: 'years',
+  settlementDate: '', // YYYY-MM-DD
+  maturityDate: '', // YYYY-MM-DD
+  dayCount: 'ACT/ACT-ICMA', // Day-count convention for accrual (see day-count.js)
+  
+  // Embedded options: entries { years, date, price }
+  callSchedule: [],
+  putSchedule: [],
+  
+  // Principal repayment: 'bullet', 'level', 'custom' or 'sinking' (see amortization.js)
+  principalType: 'bullet',
+  customPrincipal: '10, 10, 10, 10', // Percent of face value repaid each period
+  sinkingFund: [], // Retirements { years, date, percent }
+  
+  // Floating-rate notes (see floating-rate.js)
+  referenceRate: 4, // Current reference rate in percent
+  quotedMargin: 50, // Quoted margin over the reference rate in basis points
+  referencePathType: 'flat', // 'flat' or 'forward'
+  forwardPath: '4, 4.25, 4.5, 4.75', // Reference rate for each reset period, in percent
+  
+  // Inflation-linked bonds (see inflation.js)
+  indexRatio: 1.05, // Reference CPI today ÷ reference CPI at issue
+  inflationRate: 2.5, // Assumed annual inflation in percent
+  comparableYield: 6, // Yield of a comparable nominal bond in percent
+  
+  // Spot-rate curve bootstrapped from the benchmarks (see curve.js), or null
+  spotCurve: null,
+  
+  // Government and swap curves for the G- and I-spreads (see spreads.js):
+  // { years, rate } entries with decimal rates, or null
+  governmentCurve: null,
+  swapCurve: null,
+  
+  // Binomial rate tree for bonds with calls or puts (see rate-tree.js)
+  rateVolatility: 10, // Annual volatility of the short rate in percent
+    
   // UI state
   viewMode: 'chart', // 'chart' or 'table'
+  redemptionView: 'maturity', // 'maturity' or 'worst' (callable bonds)
   
   // Validation errors
   errors: {},
@@ -3,14 +3,20 @@
  * Renders accessible data table for bond cash flows and YTM
  */
 
-import { $, formatCurrency, formatPercentage, announceToScreenReader, applyTableRoles } from './utils.js';
+import { $, formatCurrency, formatPercentage, formatTimeYears, getFrequencyLabel, getPeriodName, announceToScreenReader, applyTableRoles } from './utils.js';
+import { formatDisplayDate } from './schedule.js';
 
 /**
  * Render cash flow table
  * @param {Array} cashFlows - Array of cash flow objects
- * @param {number} ytmBEY - Bond equivalent yield (decimal)
+ * @param {number|null} ytmBEY - Bond equivalent yield (decimal), null when unsolved
+ * @param {Object} [options] - Labels for non-maturity redemptions
+ * @param {string} [options.yieldName='Yield-to-maturity'] - Name of the yield column
+ * @param {number} [options.frequency=2] - Payments per year, for the period column
  */
-export function renderTable(cashFlows, ytmBEY) {
+export function renderTable(cashFlows, ytmBEY, options = {}) {
+  const { yieldName = 'Yield-to-maturity', frequency = 2 } = options;
+  const periodHeader = `Period (${getPeriodName(frequency)}s)`;
   const table = $('#cash-flow-table');
 
   if (!table) {
@@ -18,22 +24,28 @@ export function renderTable(cashFlows, ytmBEY) {
     return;
   }
 
-  const ytmPercent = ytmBEY * 100;
+  const ytmDisplay = ytmBEY === null ? 'No solution' : formatPercentage(ytmBEY * 100);
+
+  // Dated bonds add a payment date column and split the purchase into
+  // quoted price and accrued interest
+  const isDated = cashFlows.length > 0 && cashFlows[0].date !== null;
 
   // Build the HTML string
   let html = `
     <caption class="sr-only">
-      Bond cash flow schedule showing period, time in years, yield-to-maturity, coupon payments,
-      principal repayment, and total cash flows.
+      Bond cash flow schedule showing ${getFrequencyLabel(frequency)} period, ${isDated ? 'payment date, ' : ''}time in years, ${yieldName.toLowerCase()}, coupon payments,
+      principal repayment, ${isDated ? 'accrued interest, ' : ''}and total cash flows.
     </caption>
 
     <thead>
       <tr>
-        <th scope="col" class="text-left">Period</th>
+        <th scope="col" class="text-left">${periodHeader}</th>
+        ${isDated ? '<th scope="col" class="text-left">Date</th>' : ''}
         <th scope="col" class="text-left table-var-4">Time (years)</th>
-        <th scope="col" class="text-right table-var-3">Yield-to-maturity (𝑟)</th>
+        <th scope="col" class="text-right table-var-3">${yieldName} (𝑟)</th>
         <th scope="col" class="text-right table-var-2">Coupon (PMT) (USD)</th>
         <th scope="col" class="text-right table-var-4">Principal (FV) (USD)</th>
+        ${isDated ? '<th scope="col" class="text-right">Accrued interest (USD)</th>' : ''}
         <th scope="col" class="text-right">Total Cash Flow (USD)</th>
       </tr>
     </thead>
@@ -46,11 +58,13 @@ export function renderTable(cashFlows, ytmBEY) {
   cashFlows.forEach((cf, index) => {
     html += `
       <tr>
-        <th scope="row" class="text-left" data-label="Period">${cf.period}</th>
-        <td class="text-left" data-label="Time (years)"><span class="cell-value table-var-4">${cf.timeYears.toFixed(1)}</span></td>
-        <td class="text-right" data-label="Yield-to-maturity (𝑟)"><span class="cell-value table-var-3">${formatPercentage(ytmPercent)}</span></td>
+        <th scope="row" class="text-left" data-label="${periodHeader}">${cf.perpetualTail ? `${cf.period} onward (forever)` : cf.period}</th>
+        ${isDated ? `<td class="text-left" data-label="Date"><span class="cell-value">${formatDisplayDate(cf.date)}</span></td>` : ''}
+        <td class="text-left" data-label="Time (years)"><span class="cell-value table-var-4">${cf.perpetualTail ? `${formatTimeYears(cf.timeYears)} to ∞` : formatTimeYears(cf.timeYears)}</span></td>
+        <td class="text-right" data-label="${yieldName} (𝑟)"><span class="cell-value table-var-3">${ytmDisplay}</span></td>
         <td class="text-right" data-label="Coupon (PMT) (USD)"><span class="cell-value table-var-2">${formatCurrency(cf.couponPayment, false, false)}</span></td>
         <td class="text-right" data-label="Principal (FV) (USD)"><span class="cell-value table-var-4">${formatCurrency(cf.principalPayment, false, false)}</span></td>
+        ${isDated ? `<td class="text-right" data-label="Accrued interest (USD)"><span class="cell-value">${formatCurrency(cf.accruedInterest, false, false)}</span></td>` : ''}
         <td class="text-right" data-label="Total Cash Flow (USD)"><span class="cell-value"><strong>${formatCurrency(cf.totalCashFlow, false, false)}</strong></span></td>
       </tr>`;
   });
@@ -0,0 +1,211 @@
+/**
+ * Rate Tree View Module
+ * Draws the binomial rate tree behind the option-adjusted spread, with
+ * keyboard navigation between nodes
+ */
+
+import { $, formatCurrency, formatPercentage, formatTimeYears } from './utils.js';
+import { MAX_TREE_STEPS } from './rate-tree.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Steps drawn; later steps are left out to keep the nodes legible */
+const MAX_SHOWN_STEPS = 8;
+
+/** Node box and spacing, in SVG units */
+const NODE = { width: 92, height: 38, columnGap: 124, rowGap: 50, margin: 12 };
+
+/** Selected node { step, node }, kept across re-renders */
+let selected = { step: 0, node: 0 };
+
+/** Latest tree analysis being shown */
+let currentAnalysis = null;
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgElement(tag, attrs = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, String(value)));
+  return element;
+}
+
+/**
+ * Position of a node's centre; up-moves are drawn higher
+ */
+function nodeCentre(step, node, shownSteps) {
+  return {
+    x: NODE.margin + NODE.width / 2 + step * NODE.columnGap,
+    y: NODE.margin + NODE.height / 2 + (shownSteps - 1 - 2 * node + step) * NODE.rowGap / 2
+  };
+}
+
+/**
+ * Describe one node for the detail line and screen readers
+ * @param {Object} analysis - Option-adjusted analysis from calculateBondYTMMetrics
+ * @param {number} step - Step (0 is today)
+ * @param {number} node - Up-moves to reach the node
+ * @returns {string} Description
+ */
+function describeNode(analysis, step, node) {
+  const { tree, nodes, calls, puts } = analysis;
+  const rate = tree.rates[step][node];
+  const value = nodes.values[step][node];
+  const flag = nodes.exercise[step][node];
+  const place = step === 0
+    ? 'Today'
+    : `Step ${step}, ${formatTimeYears(tree.times[step])} years, ${node} of ${step} up-moves`;
+  const exercise = flag === 'call'
+    ? ` Called at ${formatCurrency(calls.find(call => call.node === step).price)}.`
+    : flag === 'put'
+      ? ` Put at ${formatCurrency(puts.find(put => put.node === step).price)}.`
+      : '';
+  return `${place}: rate ${formatPercentage(rate * 100)} to the next payment, bond value ${formatCurrency(value)}.${exercise}`;
+}
+
+/**
+ * Show the selected node in the detail line and highlight it
+ */
+function showSelected() {
+  const detail = $('#rate-tree-detail');
+  if (detail && currentAnalysis) {
+    detail.textContent = describeNode(currentAnalysis, selected.step, selected.node);
+  }
+  document.querySelectorAll('#rate-tree .rate-tree-node').forEach(group => {
+    const isSelected = Number(group.dataset.step) === selected.step && Number(group.dataset.node) === selected.node;
+    group.classList.toggle('selected', isSelected);
+  });
+}
+
+/**
+ * Render the rate tree, or a note on what it needs
+ * @param {Object|null} analysis - `optionAdjusted` from calculateBondYTMMetrics
+ */
+export function renderRateTree(analysis) {
+  const svg = $('#rate-tree');
+  const status = $('#rate-tree-status');
+  const wrapper = $('#rate-tree-wrapper');
+  const detail = $('#rate-tree-detail');
+  if (!svg || !status || !wrapper) return;
+
+  currentAnalysis = analysis;
+  if (!analysis) {
+    wrapper.style.display = 'none';
+    if (detail) detail.textContent = '';
+    status.textContent = 'Add a call or put schedule to a fixed-rate bond above and build a spot-rate curve to see its rate tree. ' +
+      `The tree needs positive forward rates and no more than ${MAX_TREE_STEPS} remaining payments.`;
+    return;
+  }
+
+  const { tree, nodes, oas } = analysis;
+  const totalSteps = tree.rates.length;
+  const shownSteps = Math.min(totalSteps, MAX_SHOWN_STEPS);
+  wrapper.style.display = '';
+  status.textContent = (shownSteps < totalSteps ? `Showing the first ${shownSteps} of ${totalSteps} steps. ` : '') +
+    `Each node shows its rate (without the spread) and the bond's value there ${oas !== null ? 'discounted at the rate plus the OAS' : 'with no spread'}, ` +
+    'excluding the payment due at that node. Highlighted nodes are where the bond is called or put.';
+
+  const width = NODE.margin * 2 + NODE.width + (shownSteps - 1) * NODE.columnGap;
+  const height = NODE.margin * 2 + NODE.height + (shownSteps - 1) * NODE.rowGap;
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('width', String(width));
+  svg.setAttribute('height', String(height));
+  svg.innerHTML = '';
+
+  // Branches first, so the nodes sit on top of them
+  for (let step = 0; step < shownSteps - 1; step++) {
+    for (let node = 0; node <= step; node++) {
+      const from = nodeCentre(step, node, shownSteps);
+      [node, node + 1].forEach(child => {
+        const to = nodeCentre(step + 1, child, shownSteps);
+        svg.appendChild(svgElement('line', {
+          class: 'rate-tree-branch',
+          x1: from.x + NODE.width / 2, y1: from.y,
+          x2: to.x - NODE.width / 2, y2: to.y
+        }));
+      });
+    }
+  }
+
+  for (let step = 0; step < shownSteps; step++) {
+    for (let node = 0; node <= step; node++) {
+      const { x, y } = nodeCentre(step, node, shownSteps);
+      const flag = nodes.exercise[step][node];
+      const group = svgElement('g', { class: `rate-tree-node${flag ? ` ${flag === 'call' ? 'called' : 'put'}` : ''}` });
+      group.dataset.step = String(step);
+      group.dataset.node = String(node);
+      group.appendChild(svgElement('rect', {
+        x: x - NODE.width / 2, y: y - NODE.height / 2,
+        width: NODE.width, height: NODE.height, rx: 4
+      }));
+      const rateText = svgElement('text', { x, y: y - 4, 'text-anchor': 'middle', class: 'rate-tree-rate' });
+      rateText.textContent = formatPercentage(tree.rates[step][node] * 100);
+      const valueText = svgElement('text', { x, y: y + 12, 'text-anchor': 'middle', class: 'rate-tree-value' });
+      valueText.textContent = formatCurrency(nodes.values[step][node]);
+      group.appendChild(rateText);
+      group.appendChild(valueText);
+      group.addEventListener('click', () => {
+        selected = { step, node };
+        showSelected();
+      });
+      svg.appendChild(group);
+    }
+  }
+
+  // Keep the selection inside the tree as it changes size
+  const step = Math.min(selected.step, shownSteps - 1);
+  selected = { step, node: Math.min(selected.node, step) };
+  setupTreeKeyboard(svg, shownSteps);
+  showSelected();
+}
+
+/**
+ * Arrow keys move between nodes: right and left step through time (keeping
+ * the number of up-moves where possible), up and down move between the
+ * nodes of one step, Home and End jump to today and the last step drawn
+ * @param {SVGElement} svg - Tree drawing
+ * @param {number} shownSteps - Steps drawn
+ */
+function setupTreeKeyboard(svg, shownSteps) {
+  if (svg._keydownListener) {
+    svg.removeEventListener('keydown', svg._keydownListener);
+    svg.removeEventListener('focus', showSelected);
+  }
+
+  const keydownListener = (e) => {
+    let { step, node } = selected;
+    switch (e.key) {
+      case 'ArrowRight':
+        step = Math.min(step + 1, shownSteps - 1);
+        break;
+      case 'ArrowLeft':
+        step = Math.max(step - 1, 0);
+        node = Math.min(node, step);
+        break;
+      case 'ArrowUp':
+        node = Math.min(node + 1, step);
+        break;
+      case 'ArrowDown':
+        node = Math.max(node - 1, 0);
+        break;
+      case 'Home':
+        step = 0;
+        node = 0;
+        break;
+      case 'End':
+        step = shownSteps - 1;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (step !== selected.step || node !== selected.node) {
+      selected = { step, node };
+      showSelected();
+    }
+  };
+
+  svg._keydownListener = keydownListener;
+  svg.addEventListener('keydown', keydownListener);
+  svg.addEventListener('focus', showSelected);
+}
@@ -64,6 +64,17 @@ export function clampNumericInputLength(input, maxLen) {
   }
 }
 
+/**
+ * Parse a list of numbers typed into one field, e.g. "10, 10, 20"
+ * @param {string} text - Numbers separated by commas, semicolons or spaces
+ * @returns {number[]|null} Numbers in the order given, or null if any entry is not a number
+ */
+export function parseNumberList(text) {
+  const entries = String(text ?? '').split(/[\s,;]+/).filter(Boolean);
+  const values = entries.map(Number);
+  return values.every(Number.isFinite) ? values : null;
+}
+
 /**
  * Format number as currency
  * @param {number} value - Numeric value
@@ -96,6 +107,55 @@ export function formatPercentage(value, decimals = 2) {
   return `${value.toFixed(decimals)}%`;
 }
 
+/**
+ * Payment frequency names, keyed by payments per year
+ */
+export const FREQUENCY_LABELS = {
+  1: 'annual',
+  2: 'semiannual',
+  4: 'quarterly',
+  12: 'monthly'
+};
+
+/**
+ * Length of one coupon period, keyed by payments per year
+ */
+export const PERIOD_NAMES = {
+  1: 'year',
+  2: 'half-year',
+  4: 'quarter',
+  12: 'month'
+};
+
+/**
+ * Describe a payment frequency in words
+ * @param {number} frequency - Payments per year
+ * @returns {string} Frequency label (e.g. "semiannual")
+ */
+export function getFrequencyLabel(frequency) {
+  return FREQUENCY_LABELS[frequency] || `${frequency} per year`;
+}
+
+/**
+ * Name one coupon period in words
+ * @param {number} frequency - Payments per year
+ * @returns {string} Period name (e.g. "half-year")
+ */
+export function getPeriodName(frequency) {
+  return PERIOD_NAMES[frequency] || 'period';
+}
+
+/**
+ * Format a time in years for axis labels and tables
+ * Whole and half years keep one decimal; dated (fractional) times get two.
+ * @param {number} timeYears - Time in years
+ * @returns {string} Formatted time
+ */
+export function formatTimeYears(timeYears) {
+  const isHalfYearStep = Math.abs(timeYears * 2 - Math.round(timeYears * 2)) < 1e-9;
+  return timeYears.toFixed(isHalfYearStep ? 1 : 2);
+}
+
 /**
  * Create DOM element with attributes and content
  * @param {string} tag - HTML tag name
@@ -3,7 +3,8 @@
  * Input validation and error handling for Bond YTM Calculator
  */
 
-import { $ } from './utils.js';
+import { $, parseNumberList } from './utils.js';
+import { parseISODate, addMonths, buildCouponSchedule, buildPeriodSchedule, formatDisplayDate } from './schedule.js';
 
 /**
  * Validation rules for each field
@@ -25,16 +26,82 @@ const VALIDATION_RULES = {
     prefix: 'USD',
     helpText: 'Enter annual coupon payment between USD0 and USD30'
   },
+  faceValue: {
+    min: 10,
+    max: 200,
+    required: true,
+    label: 'Face value',
+    prefix: 'USD',
+    helpText: 'Enter a face value between USD10 and USD200'
+  },
+  yieldRate: {
+    min: -5,
+    max: 30,
+    required: true,
+    label: 'Yield-to-maturity',
+    unit: '%',
+    helpText: 'Enter an annual yield-to-maturity between -5% and 30%'
+  },
   years: {
-    min: 0.5,
+    min: 0,
+    exclusiveMin: true,
     max: 10,
-    step: 0.5,
     required: true,
     label: 'Years to maturity',
-    helpText: 'Enter years to maturity between 0.5 and 10 years'
+    helpText: 'Enter years to maturity above 0 and up to 10 years'
+  },
+  referenceRate: {
+    min: -5,
+    max: 30,
+    required: true,
+    label: 'Reference rate',
+    unit: '%',
+    helpText: 'Enter the current reference rate between -5% and 30%'
+  },
+  quotedMargin: {
+    min: -500,
+    max: 2000,
+    required: true,
+    label: 'Quoted margin',
+    unit: ' bp',
+    helpText: 'Enter the quoted margin between -500 and 2000 basis points'
+  },
+  indexRatio: {
+    min: 0.5,
+    max: 3,
+    required: true,
+    label: 'Index ratio',
+    helpText: 'Enter the index ratio (reference CPI today over reference CPI at issue) between 0.5 and 3'
+  },
+  inflationRate: {
+    min: -5,
+    max: 20,
+    required: true,
+    label: 'Inflation assumption',
+    unit: '%',
+    helpText: 'Enter an annual inflation assumption between -5% and 20%'
+  },
+  comparableYield: {
+    min: -5,
+    max: 30,
+    required: true,
+    label: 'Comparable nominal yield',
+    unit: '%',
+    helpText: 'Enter the comparable nominal bond\'s yield between -5% and 30%'
+  },
+  rateVolatility: {
+    min: 0,
+    max: 100,
+    required: true,
+    label: 'Rate volatility',
+    unit: '%',
+    helpText: 'Enter the annual volatility of interest rates between 0% and 100%'
   }
 };
 
+/** Longest maturity accepted in date mode, matching the years field maximum */
+const MAX_TERM_MONTHS = VALIDATION_RULES.years.max * 12;
+
 /**
  * Validate a single field
  * @param {string} field - Field name
@@ -50,15 +117,11 @@ export function validateField(field, value) {
     return `${rules.label} is required. ${rules.helpText}`;
   }
   
-  // Check step for years (must be 0.5 increments)
-  if (field === 'years' && rules.step) {
-    const remainder = (value % rules.step).toFixed(2);
-    if (parseFloat(remainder) !== 0) {
-      return `${rules.label} must be in increments of ${rules.step} years (e.g., 0.5, 1.0, 1.5, 2.0...)`;
-    }
+  // Check min/max (an exclusive minimum must be exceeded)
+  if (rules.exclusiveMin && value <= rules.min) {
+    return `${rules.label} must be greater than ${rules.prefix || ''}${rules.min}${rules.unit || ''} and at most ${rules.prefix || ''}${rules.max}${rules.unit || ''}`;
   }
   
-  // Check min/max
   if (rules.min !== undefined && value < rules.min) {
     const minDisplay = rules.prefix ? `${rules.prefix}${rules.min}` : `${rules.min}${rules.unit || ''}`;
     const maxDisplay = rules.prefix ? `${rules.prefix}${rules.max}` : `${rules.max}${rules.unit || ''}`;
@@ -74,6 +137,188 @@ export function validateField(field, value) {
   return null;
 }
 
+/**
+ * Validate the settlement and maturity dates used in date mode
+ * @param {string} settlementDate - Settlement date (YYYY-MM-DD)
+ * @param {string} maturityDate - Maturity date (YYYY-MM-DD)
+ * @returns {Object} Error object keyed by field
+ */
+export function validateDates(settlementDate, maturityDate) {
+  const errors = {};
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  
+  if (!settlement) {
+    errors.settlementDate = 'Settlement date is required. Enter the date the bond changes hands';
+  }
+  
+  if (!maturity) {
+    errors.maturityDate = 'Maturity date is required. Enter the date the face value is repaid';
+  } else if (settlement && maturity <= settlement) {
+    errors.maturityDate = 'Maturity date must be after the settlement date';
+  } else if (settlement && maturity > addMonths(settlement, MAX_TERM_MONTHS)) {
+    errors.maturityDate = `Maturity date must be no more than ${VALIDATION_RULES.years.max} years after the settlement date`;
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate an option exercise schedule (call or put dates and prices)
+ * 
+ * Exercise must fall on a coupon date strictly before maturity. In years mode
+ * that means one of the coupon times, counting any stub period; in date mode
+ * the date must be one of the bond's remaining coupon dates.
+ * 
+ * @param {Array} schedule - Entries { years, date, price }
+ * @param {Object} context - Term inputs (termMode, frequency, years, stubType, settlementDate, maturityDate)
+ * @param {string} noun - Option name for messages (e.g. 'Call')
+ * @returns {string|null} First error message or null
+ */
+export function validateExerciseSchedule(schedule, context, noun) {
+  const timing = remainingCouponTiming(context);
+  
+  for (let i = 0; i < schedule.length; i++) {
+    const { price } = schedule[i];
+    const position = i + 1;
+    
+    if (price === '' || price == null || isNaN(price) || price < 50 || price > 150) {
+      return `${noun} price ${position} must be between USD50 and USD150`;
+    }
+    
+    const timeError = validateScheduleTime(schedule[i], position, noun, context, timing);
+    if (timeError) return timeError;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate an amortizing bond's principal schedule
+ * 
+ * Custom repayments are percentages of face value for each period in turn;
+ * sinking-fund retirements fall on coupon dates before maturity. Either way
+ * no more than the whole face value can be repaid, and whatever is left is
+ * repaid at maturity.
+ * 
+ * @param {Object} principal - { principalType, customPrincipal, sinkingFund }
+ * @param {Object} context - Term inputs (termMode, frequency, years, stubType, settlementDate, maturityDate)
+ * @returns {string|null} First error message or null
+ */
+export function validatePrincipalSchedule({ principalType, customPrincipal, sinkingFund }, context) {
+  if (principalType === 'custom') {
+    const percentages = parseNumberList(customPrincipal);
+    if (!percentages || percentages.length === 0) {
+      return 'Custom principal is required. Enter the percent of face value repaid each period, separated by commas';
+    }
+    if (percentages.some(percent => percent < 0)) {
+      return 'Custom principal repayments cannot be negative';
+    }
+    const { couponDates, couponTimes } = remainingCouponTiming(context);
+    const periods = couponDates ? couponDates.length : couponTimes.length + 1;
+    if ((couponDates || context.termMode !== 'dates') && percentages.length > periods) {
+      return `Custom principal lists ${percentages.length} repayments, but the bond has only ${periods} coupon periods left`;
+    }
+    if (percentages.reduce((sum, percent) => sum + percent, 0) > 100 + 1e-9) {
+      return 'Custom principal repayments must add up to no more than 100% of face value';
+    }
+  }
+  
+  if (principalType === 'sinking') {
+    const timing = remainingCouponTiming(context);
+    for (let i = 0; i < sinkingFund.length; i++) {
+      const { percent } = sinkingFund[i];
+      const position = i + 1;
+      
+      if (percent === '' || percent == null || isNaN(percent) || percent <= 0 || percent > 100) {
+        return `Retirement ${position} must be more than 0% and at most 100% of face value`;
+      }
+      
+      const timeError = validateScheduleTime(sinkingFund[i], position, 'Retirement', context, timing);
+      if (timeError) return timeError;
+    }
+    if (sinkingFund.reduce((sum, entry) => sum + Number(entry.percent), 0) > 100 + 1e-9) {
+      return 'Sinking fund retirements must add up to no more than 100% of face value';
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Validate a floating-rate note's forward path of reference rates
+ * 
+ * Each entry is the reference rate for one reset period, in order; a path
+ * shorter than the note holds its last rate to maturity.
+ * 
+ * @param {string} forwardPath - Rates in percent separated by commas
+ * @returns {string|null} Error message or null
+ */
+export function validateForwardPath(forwardPath) {
+  const rates = parseNumberList(forwardPath);
+  if (!rates || rates.length === 0) {
+    return 'Forward path is required. Enter the reference rate for each reset period in percent, separated by commas';
+  }
+  const { min, max } = VALIDATION_RULES.referenceRate;
+  const position = rates.findIndex(rate => rate < min || rate > max);
+  if (position >= 0) {
+    return `Forward rate ${position + 1} must be between ${min}% and ${max}%`;
+  }
+  return null;
+}
+
+/**
+ * Coupon dates (date mode) or coupon times before maturity (years mode)
+ * @param {Object} context - Term inputs
+ * @returns {Object} { couponDates, couponTimes }; couponDates is null in years mode or for invalid dates
+ */
+function remainingCouponTiming({ termMode, frequency, years, stubType, settlementDate, maturityDate }) {
+  const settlement = parseISODate(settlementDate);
+  const maturity = parseISODate(maturityDate);
+  const couponDates = termMode === 'dates' && settlement && maturity && maturity > settlement
+    ? buildCouponSchedule({ settlementDate: settlement, maturityDate: maturity, frequency }).couponDates
+    : null;
+  const couponTimes = termMode !== 'dates' && years > 0
+    ? buildPeriodSchedule(years * frequency, stubType).slice(0, -1).map(p => p.time / frequency)
+    : [];
+  return { couponDates, couponTimes };
+}
+
+/**
+ * Check that a schedule entry falls on a coupon date strictly before maturity
+ * @param {Object} entry - Entry { years, date }
+ * @param {number} position - 1-based row number for messages
+ * @param {string} noun - Row name for messages (e.g. 'Call')
+ * @param {Object} context - Term inputs
+ * @param {Object} timing - Result of remainingCouponTiming
+ * @returns {string|null} Error message or null
+ */
+function validateScheduleTime({ years: entryYears, date }, position, noun, context, { couponDates, couponTimes }) {
+  if (context.termMode === 'dates') {
+    const entryDate = parseISODate(date);
+    if (!entryDate) {
+      return `${noun} date ${position} is required. Enter a coupon date before maturity`;
+    }
+    if (couponDates) {
+      const isCouponDate = couponDates.slice(0, -1).some(d => d.getTime() === entryDate.getTime());
+      if (!isCouponDate) {
+        const example = couponDates.length > 1 ? ` (e.g., ${formatDisplayDate(couponDates[0])})` : '';
+        return `${noun} date ${position} must be a coupon date after settlement and before maturity${example}`;
+      }
+    }
+    return null;
+  }
+  
+  if (entryYears === '' || entryYears == null || isNaN(entryYears)) {
+    return `${noun} date ${position} is required. Enter the years until the ${noun.toLowerCase()} date`;
+  }
+  if (!couponTimes.some(time => Math.abs(time - Number(entryYears)) < 1e-9)) {
+    const examples = couponTimes.slice(0, 3).map(time => Number(time.toFixed(4))).join(', ');
+    return `${noun} date ${position} must be a coupon date before the ${context.years}-year maturity${examples ? ` (e.g., ${examples} years)` : ''}`;
+  }
+  return null;
+}
+
 /**
  * Validate all inputs
  * @param {Object} inputs - Input values
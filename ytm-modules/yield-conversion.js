@@ -0,0 +1,87 @@
+/**
+ * Yield Conversion Module
+ * Restates an annual yield between compounding periodicities
+ */
+
+/**
+ * Supported periodicities, keyed by compounding periods per year
+ * ('continuous' for continuous compounding)
+ */
+export const PERIODICITIES = [
+  { key: 1, label: 'Annual' },
+  { key: 2, label: 'Semiannual' },
+  { key: 4, label: 'Quarterly' },
+  { key: 12, label: 'Monthly' },
+  { key: 365, label: 'Daily' },
+  { key: 'continuous', label: 'Continuous' }
+];
+
+/**
+ * Describe a periodicity
+ * @param {number|string} periodicity - Periods per year or 'continuous'
+ * @returns {string} Display label
+ */
+export function getPeriodicityLabel(periodicity) {
+  const match = PERIODICITIES.find(p => String(p.key) === String(periodicity));
+  return match ? match.label : `${periodicity} per year`;
+}
+
+/**
+ * Effective annual yield of a stated annual rate
+ * @param {number} rate - Stated annual rate (decimal)
+ * @param {number|string} periodicity - Periods per year or 'continuous'
+ * @returns {number} Effective annual yield (decimal)
+ */
+export function toEffectiveAnnual(rate, periodicity) {
+  if (periodicity === 'continuous') {
+    return Math.exp(rate) - 1;
+  }
+  const m = Number(periodicity);
+  return Math.pow(1 + rate / m, m) - 1;
+}
+
+/**
+ * Stated annual rate with a given periodicity that has this effective annual yield
+ * @param {number} effectiveAnnualYield - Effective annual yield (decimal)
+ * @param {number|string} periodicity - Periods per year or 'continuous'
+ * @returns {number} Stated annual rate (decimal), NaN below -100%
+ */
+export function fromEffectiveAnnual(effectiveAnnualYield, periodicity) {
+  if (effectiveAnnualYield <= -1) return NaN;
+  if (periodicity === 'continuous') {
+    return Math.log(1 + effectiveAnnualYield);
+  }
+  const m = Number(periodicity);
+  return m * (Math.pow(1 + effectiveAnnualYield, 1 / m) - 1);
+}
+
+/**
+ * Convert a stated annual rate from one periodicity to another
+ *
+ * Both rates give the same growth over a year:
+ * (1 + r_m / m)^m = (1 + r_n / n)^n, or e^r for continuous compounding.
+ *
+ * @param {number} rate - Stated annual rate (decimal)
+ * @param {number|string} fromPeriodicity - Periodicity of `rate`
+ * @param {number|string} toPeriodicity - Periodicity to restate it in
+ * @returns {number} Equivalent stated annual rate (decimal)
+ */
+export function convertYield(rate, fromPeriodicity, toPeriodicity) {
+  if (String(fromPeriodicity) === String(toPeriodicity)) return rate;
+  return fromEffectiveAnnual(toEffectiveAnnual(rate, fromPeriodicity), toPeriodicity);
+}
+
+/**
+ * Restate a yield for every supported periodicity
+ * @param {number} rate - Stated annual rate (decimal)
+ * @param {number|string} fromPeriodicity - Periodicity of `rate`
+ * @returns {Array} [{ periodicity, label, rate, isSource }]
+ */
+export function restateYield(rate, fromPeriodicity) {
+  return PERIODICITIES.map(({ key, label }) => ({
+    periodicity: key,
+    label,
+    rate: convertYield(rate, fromPeriodicity, key),
+    isSource: String(key) === String(fromPeriodicity)
+  }));
+}